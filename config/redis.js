@@ -146,6 +146,24 @@ const deleteCache = async (key) => {
   }
 };
 
+const deleteCachePattern = async (pattern) => {
+  if (!redis) return false;
+
+  try {
+    // SCAN rather than KEYS so large keyspaces don't block Redis
+    const stream = redis.scanStream({ match: pattern, count: 100 });
+    for await (const keys of stream) {
+      if (keys.length > 0) {
+        await redis.del(...keys);
+      }
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error deleting cache pattern:', error.message);
+    return false;
+  }
+};
+
 // Cleanup function
 const closeConnections = async () => {
   try {
@@ -166,5 +184,6 @@ module.exports = {
   setCache,
   getCache,
   deleteCache,
+  deleteCachePattern,
   closeConnections
 };
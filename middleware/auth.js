@@ -45,7 +45,7 @@ const authenticateUser = async (req, res, next) => {
     // Check if user profile exists and is active
     const { data: profile, error: profileError } = await supabase
       .from('profiles')
-      .select('id, email, full_name, role, created_at, updated_at')
+      .select('id, email, full_name, role, timezone, created_at, updated_at')
       .eq('id', user.id)
       .single();
 
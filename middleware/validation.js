@@ -1,4 +1,12 @@
 const Joi = require('joi');
+const { isValidTimezone } = require('../src/utils/timezone');
+
+// IANA timezone name (e.g. Europe/Berlin)
+const ianaTimezone = Joi.string()
+  .custom((value, helpers) => isValidTimezone(value) ? value : helpers.error('any.invalid'))
+  .messages({
+    'any.invalid': 'Timezone must be a valid IANA timezone'
+  });
 
 // User registration schema
 const registerSchema = Joi.object({
@@ -114,7 +122,9 @@ const updateProfileSchema = Joi.object({
     .valid('member', 'manager', 'admin')
     .messages({
       'any.only': 'Role must be either member, manager, or admin'
-    })
+    }),
+
+  timezone: ianaTimezone
 }).min(1).messages({
   'object.min': 'At least one field is required for update'
 });
@@ -173,7 +183,9 @@ const createTeamSchema = Joi.object({
     }),
 
   allowAnonymousCheckins: Joi.boolean()
-    .default(true)
+    .default(true),
+
+  timezone: ianaTimezone
 });
 
 // Team update schema
@@ -202,7 +214,8 @@ const updateTeamSchema = Joi.object({
       'number.min': 'Team must allow at least 2 members',
       'number.max': 'Team cannot exceed 100 members'
     }),
-  allowAnonymousCheckins: Joi.boolean()
+  allowAnonymousCheckins: Joi.boolean(),
+  timezone: ianaTimezone
 }).min(1).messages({
   'object.min': 'At least one field is required for update'
 });
@@ -329,12 +342,98 @@ const checkInSchema = Joi.object({
     })
 });
 
+// Notification preferences schema
+const localTime = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Times must use 24-hour HH:MM format'
+  });
+
+// Quiet hours and digests fall back to the profile timezone, so theirs is only required without one
+const requiredWithoutProfileTimezone = Joi.when('$profileTimezone', {
+  is: Joi.string().required(),
+  otherwise: Joi.required()
+});
+
+const notificationPreferencesSchema = Joi.object({
+  enabled_methods: Joi.array()
+    .items(Joi.string().valid('in_app', 'email', 'push'))
+    .unique()
+    .messages({
+      'any.only': 'Notification methods must be in_app, email or push',
+      'array.unique': 'Notification methods must not repeat'
+    }),
+
+  alert_types: Joi.array()
+    .items(Joi.string().valid('critical', 'warning', 'info'))
+    .unique()
+    .messages({
+      'any.only': 'Alert types must be critical, warning or info',
+      'array.unique': 'Alert types must not repeat'
+    }),
+
+  quiet_hours: Joi.object({
+    enabled: Joi.boolean()
+      .required()
+      .messages({
+        'any.required': 'quiet_hours.enabled is required'
+      }),
+
+    start: localTime.when('enabled', { is: true, then: Joi.required() })
+      .messages({
+        'any.required': 'quiet_hours.start is required when quiet hours are enabled'
+      }),
+
+    end: localTime.when('enabled', { is: true, then: Joi.required() })
+      .messages({
+        'any.required': 'quiet_hours.end is required when quiet hours are enabled'
+      }),
+
+    timezone: Joi.string()
+      .custom((value, helpers) => isValidTimezone(value) ? value : helpers.error('any.invalid'))
+      .when('enabled', { is: true, then: requiredWithoutProfileTimezone })
+      .messages({
+        'any.invalid': 'quiet_hours.timezone must be a valid IANA timezone',
+        'any.required': 'quiet_hours.timezone is required when quiet hours are enabled and your profile has no timezone'
+      }),
+
+    allow_critical: Joi.boolean()
+      .default(false)
+  }),
+
+  digest: Joi.object({
+    frequency: Joi.string()
+      .valid('off', 'hourly', 'daily')
+      .required()
+      .messages({
+        'any.only': 'digest.frequency must be off, hourly or daily',
+        'any.required': 'digest.frequency is required'
+      }),
+
+    daily_at: localTime.when('frequency', { is: 'daily', then: Joi.required() })
+      .messages({
+        'any.required': 'digest.daily_at is required for daily digests'
+      }),
+
+    timezone: Joi.string()
+      .custom((value, helpers) => isValidTimezone(value) ? value : helpers.error('any.invalid'))
+      .when('frequency', { is: Joi.valid('hourly', 'daily'), then: requiredWithoutProfileTimezone })
+      .messages({
+        'any.invalid': 'digest.timezone must be a valid IANA timezone',
+        'any.required': 'digest.timezone is required when digests are on and your profile has no timezone'
+      })
+  })
+}).min(1).messages({
+  'object.min': 'At least one field is required for update'
+});
+
 // Validation middleware factory
 const validate = (schema) => {
   return (req, res, next) => {
     const { error, value } = schema.validate(req.body, {
       abortEarly: false,
-      stripUnknown: true
+      stripUnknown: true,
+      context: { profileTimezone: req.userProfile?.timezone }
     });
     
     if (error) {
@@ -370,6 +469,7 @@ module.exports = {
     acceptInvitation: acceptInvitationSchema,
     joinTeam: joinTeamSchema,
     updateMemberRole: updateMemberRoleSchema,
-    checkIn: checkInSchema
+    checkIn: checkInSchema,
+    notificationPreferences: notificationPreferencesSchema
   }
 };
\ No newline at end of file
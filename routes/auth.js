@@ -2,6 +2,7 @@ const express = require('express');
 const supabase = require('../config/supabase');
 const { authenticateUser, requireRole, authLimiter, refreshSession, securityHeaders } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const notificationService = require('../src/services/notificationService');
 
 const router = express.Router();
 
@@ -139,7 +140,7 @@ router.get('/profile', authenticateUser, refreshSession, async (req, res) => {
     const { data, error } = await supabase
       .from('profiles')
       .select(`
-        id, email, full_name, avatar_url, role, created_at, updated_at,
+        id, email, full_name, avatar_url, role, timezone, created_at, updated_at,
         team_members (
           team_id,
           role,
@@ -206,6 +207,44 @@ router.put('/profile', authenticateUser, validate(schemas.updateProfile), async
   }
 });
 
+// Get notification preferences
+router.get('/notification-preferences', authenticateUser, async (req, res) => {
+  try {
+    const preferences = await notificationService.getUserNotificationPreferences(req.user.id);
+
+    res.json({ preferences });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notification preferences',
+      code: 'PREFERENCES_FETCH_ERROR'
+    });
+  }
+});
+
+// Update notification preferences; omitted fields keep their current value
+router.put('/notification-preferences', authenticateUser, validate(schemas.notificationPreferences), async (req, res) => {
+  try {
+    const current = await notificationService.getUserNotificationPreferences(req.user.id);
+
+    const preferences = await notificationService.updateUserNotificationPreferences(req.user.id, {
+      ...current,
+      ...req.body
+    });
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification preferences',
+      code: 'PREFERENCES_UPDATE_ERROR'
+    });
+  }
+});
+
 // Change password
 router.post('/change-password', authenticateUser, validate(schemas.changePassword), async (req, res) => {
   try {
@@ -303,6 +342,23 @@ router.post('/reset-password-request', authLimiter, validate(schemas.resetPasswo
   try {
     const { email } = req.body;
 
+    if (notificationService.emailEnabled) {
+      // Send the recovery link ourselves so it goes through our SMTP transport
+      const { data: linkData, error: linkError } = await supabase.auth.admin.generateLink({
+        type: 'recovery',
+        email
+      });
+
+      // Unknown emails get the same response to prevent email enumeration
+      if (!linkError && linkData?.properties?.hashed_token) {
+        await notificationService.sendPasswordResetEmail(email, linkData.properties.hashed_token);
+      }
+
+      return res.json({
+        message: 'If an account with this email exists, a password reset link has been sent'
+      });
+    }
+
     const { error } = await supabase.auth.resetPasswordForEmail(email, {
       redirectTo: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/reset-password`
     });
@@ -706,6 +706,7 @@ router.post('/debug/publish-test-event', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'teamId is required' });
     }
 
+    // Test events are not real team events, so they are kept away from the team's webhooks
     let result;
     switch (eventType) {
       case 'checkin':
@@ -716,7 +717,7 @@ router.post('/debug/publish-test-event', authenticateUser, async (req, res) => {
           sentiment_label: 'POSITIVE',
           is_anonymous: false,
           created_at: new Date().toISOString()
-        }, userId);
+        }, userId, { webhooks: false });
         break;
 
       case 'alert':
@@ -726,14 +727,14 @@ router.post('/debug/publish-test-event', authenticateUser, async (req, res) => {
           severity: 'info',
           generated_at: new Date().toISOString(),
           metadata: { priority: 4 }
-        });
+        }, { webhooks: false });
         break;
 
       case 'activity':
       default:
         result = await pubsubService.publishTeamActivity(teamId, 'test_activity', {
           message: 'This is a test activity event'
-        }, userId);
+        }, userId, { webhooks: false });
         break;
     }
 
@@ -2,6 +2,9 @@ const express = require('express');
 const supabase = require('../config/supabase');
 const { authenticateUser, requireRole, requireTeamMembership, securityHeaders } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const notificationService = require('../src/services/notificationService');
+const slackService = require('../src/services/slackService');
+const { resolveTimezone } = require('../src/utils/timezone');
 
 const router = express.Router();
 
@@ -16,7 +19,7 @@ const generateInviteCode = () => {
 // Create team
 router.post('/', authenticateUser, requireRole('manager'), validate(schemas.createTeam), async (req, res) => {
   try {
-    const { name, description, isPrivate, maxMembers, allowAnonymousCheckins } = req.body;
+    const { name, description, isPrivate, maxMembers, allowAnonymousCheckins, timezone } = req.body;
 
     // Create team with enhanced settings
     const { data: team, error: teamError } = await supabase
@@ -29,10 +32,12 @@ router.post('/', authenticateUser, requireRole('manager'), validate(schemas.crea
         max_members: maxMembers,
         allow_anonymous_checkins: allowAnonymousCheckins,
         settings: {
+          timezone: resolveTimezone(timezone),
           notifications: {
             check_in_reminders: true,
             team_updates: true,
-            weekly_summaries: true
+            weekly_summaries: true,
+            member_wellbeing_alerts: true
           },
           privacy: {
             show_member_count: true,
@@ -158,6 +163,7 @@ router.get('/:teamId', authenticateUser, requireTeamMembership, async (req, res)
     res.json({
       team: {
         ...team,
+        settings: slackService.redactTeamSettings(team.settings),
         createdBy: team.profiles,
         members: team.team_members,
         userRole: req.teamRole
@@ -176,7 +182,7 @@ router.get('/:teamId', authenticateUser, requireTeamMembership, async (req, res)
 router.put('/:teamId/settings', authenticateUser, requireTeamMembership, validate(schemas.updateTeam), async (req, res) => {
   try {
     const { teamId } = req.params;
-    const updateData = { ...req.body };
+    const { timezone, ...updateData } = req.body;
 
     // Check if user has manager role in team
     if (req.teamRole !== 'manager') {
@@ -186,6 +192,24 @@ router.put('/:teamId/settings', authenticateUser, requireTeamMembership, validat
       });
     }
 
+    // The timezone lives in settings, next to the reminder and summary options
+    if (timezone) {
+      const { data: team, error: teamError } = await supabase
+        .from('teams')
+        .select('settings')
+        .eq('id', teamId)
+        .single();
+
+      if (teamError) {
+        return res.status(404).json({
+          error: 'Team not found',
+          code: 'TEAM_NOT_FOUND'
+        });
+      }
+
+      updateData.settings = { ...team.settings, timezone };
+    }
+
     // Update team with new settings
     const { data, error } = await supabase
       .from('teams')
@@ -209,7 +233,7 @@ router.put('/:teamId/settings', authenticateUser, requireTeamMembership, validat
 
     res.json({
       message: 'Team settings updated successfully',
-      team: data
+      team: { ...data, settings: slackService.redactTeamSettings(data.settings) }
     });
   } catch (error) {
     console.error('Update team settings error:', error);
@@ -312,7 +336,18 @@ router.post('/:teamId/invitations', authenticateUser, requireTeamMembership, val
       });
     }
 
-    // TODO: Send invitation email (integrate with email service)
+    if (notificationService.emailEnabled) {
+      // Delivery failures are logged per recipient; the invite code still works without the email
+      await notificationService.sendInvitationEmail(teamId, {
+        id: invitation.id,
+        email,
+        inviteCode,
+        teamName: invitation.teams.name,
+        inviterName: invitation.profiles?.full_name,
+        role: invitation.role,
+        expiresAt: invitation.expires_at
+      });
+    }
     console.log(`📧 Team invitation sent: ${email} -> ${inviteCode} (expires: ${expiresAt})`);
 
     res.status(201).json({
@@ -19,6 +19,15 @@ const aiRoutes = require('./routes/ai');
 const redisRoutes = require('./routes/redis');
 const realtimeRoutes = require('./src/routes/realtime');
 const websocketRoutes = require('./src/routes/websocket');
+const reminderRoutes = require('./src/routes/reminders');
+const alertRuleRoutes = require('./src/routes/alertRules');
+const escalationPolicyRoutes = require('./src/routes/escalationPolicies');
+const integrationRoutes = require('./src/routes/integrations');
+const webhookRoutes = require('./src/routes/webhooks');
+const notificationRoutes = require('./src/routes/notifications');
+const exportRoutes = require('./src/routes/exports');
+const memberWellbeingRoutes = require('./src/routes/memberWellbeing');
+const jobRoutes = require('./src/routes/jobs');
 
 // Import middleware
 const { securityHeaders } = require('./middleware/auth');
@@ -30,6 +39,9 @@ const { specs, serve, setup } = require('./config/swagger');
 const { connectRedis } = require('./config/redis');
 const { testConnection } = require('./config/huggingface');
 const websocketService = require('./src/services/websocketService');
+const schedulerService = require('./src/services/schedulerService');
+const alertService = require('./src/services/alertService');
+const { registerJobs } = require('./src/jobs');
 
 // Global rate limiting
 const globalLimiter = rateLimit({
@@ -107,10 +119,19 @@ app.use('/api/teams', teamRoutes);
 app.use('/api/teams', checkInRoutes);
 app.use('/api/check-ins', checkInRoutes);
 app.use('/api/teams', insightsRoutes);
+app.use('/api/teams', reminderRoutes);
+app.use('/api/teams', alertRuleRoutes);
+app.use('/api/teams', escalationPolicyRoutes);
+app.use('/api/teams', integrationRoutes);
+app.use('/api/teams', webhookRoutes);
+app.use('/api/teams', exportRoutes);
+app.use('/api/teams', memberWellbeingRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/redis', redisRoutes);
 app.use('/api/realtime', realtimeRoutes);
 app.use('/api/websocket', websocketRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -152,6 +173,10 @@ const startServer = async () => {
     // Initialize WebSocket server
     websocketService.initialize(server);
 
+    // Start background jobs (check-in reminders, weekly summaries, etc.)
+    registerJobs();
+    schedulerService.start();
+
     server.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -175,6 +200,10 @@ const gracefulShutdown = () => {
 
     // Cleanup WebSocket service
     websocketService.cleanup();
+
+    // Stop background jobs
+    schedulerService.stop();
+    alertService.cancelPendingEvaluations();
     process.exit(0);
 };
 
@@ -0,0 +1,101 @@
+/**
+ * Background job registration
+ * Wires service handlers into the scheduler; started from server.js
+ */
+
+const schedulerService = require('../services/schedulerService');
+const reminderService = require('../services/reminderService');
+const weeklySummaryService = require('../services/weeklySummaryService');
+const alertService = require('../services/alertService');
+const escalationService = require('../services/escalationService');
+const webhookService = require('../services/webhookService');
+const pushService = require('../services/pushService');
+const notificationService = require('../services/notificationService');
+const digestService = require('../services/digestService');
+const exportService = require('../services/exportService');
+const exportJobService = require('../services/exportJobService');
+const wellbeingService = require('../services/wellbeingService');
+
+const MINUTE = 60 * 1000;
+
+function registerJobs() {
+  // Check-in reminders fire at minute resolution in each schedule's local time
+  schedulerService.registerJob('check_in_reminders', {
+    intervalMs: MINUTE,
+    handler: () => reminderService.processDueReminders()
+  });
+
+  // Weekly summaries are due once per local week; frequent ticks keep the send time close to the configured hour
+  schedulerService.registerJob('weekly_summaries', {
+    intervalMs: 15 * MINUTE,
+    handler: () => weeklySummaryService.processWeeklySummaries(),
+    recordHistory: true
+  });
+
+  // Periodic alert sweep; check-ins also trigger a debounced evaluation per team
+  schedulerService.registerJob('alert_evaluation', {
+    intervalMs: (parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES) || 60) * MINUTE,
+    handler: () => alertService.evaluateAllTeams(),
+    recordHistory: true
+  });
+
+  // Escalation steps are measured in minutes from when an alert was triggered
+  schedulerService.registerJob('alert_escalations', {
+    intervalMs: MINUTE,
+    handler: () => escalationService.processEscalations(),
+    recordHistory: true
+  });
+
+  // Failed webhook deliveries are retried once their backoff has elapsed
+  schedulerService.registerJob('webhook_retries', {
+    intervalMs: MINUTE,
+    handler: () => webhookService.processRetries(),
+    recordHistory: true
+  });
+
+  // Email and push held back during a user's quiet hours go out once the window ends
+  schedulerService.registerJob('held_notifications', {
+    intervalMs: MINUTE,
+    handler: () => notificationService.releaseHeldNotifications(),
+    recordHistory: true
+  });
+
+  // Digests go out on the hour (or at the user's daily time); a 5 minute tick keeps them close to it
+  schedulerService.registerJob('notification_digests', {
+    intervalMs: 5 * MINUTE,
+    handler: () => digestService.processDigests(),
+    recordHistory: true
+  });
+
+  // Exports normally start as soon as they are queued; this picks up any left behind and fails interrupted ones
+  schedulerService.registerJob('export_jobs', {
+    intervalMs: MINUTE,
+    handler: () => exportJobService.processQueue(),
+    recordHistory: true
+  });
+
+  // Export files and their download records are kept for EXPORT_RETENTION_HOURS
+  schedulerService.registerJob('export_cleanup', {
+    intervalMs: 60 * MINUTE,
+    handler: () => exportService.cleanupExpiredExports(),
+    recordHistory: true
+  });
+
+  // Burnout risk moves over days, so a few sweeps a day are plenty; each member alerts at most once per cooldown
+  schedulerService.registerJob('member_wellbeing', {
+    intervalMs: (parseInt(process.env.WELLBEING_EVALUATION_INTERVAL_MINUTES) || 360) * MINUTE,
+    handler: () => wellbeingService.evaluateAllMembers(),
+    recordHistory: true
+  });
+
+  // Dead push subscriptions are also pruned on delivery; this catches devices that never get a push
+  schedulerService.registerJob('push_token_cleanup', {
+    intervalMs: 60 * MINUTE,
+    handler: () => pushService.pruneExpiredTokens(),
+    recordHistory: true
+  });
+}
+
+module.exports = {
+  registerJobs
+};
@@ -0,0 +1,692 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const alertService = require('../services/alertService');
+
+const router = express.Router();
+
+// Longest history a single backtest may replay
+const MAX_BACKTEST_DAYS = 180;
+
+/**
+ * Build validators for a rule definition, shared by create, update and backtest
+ * @param {string} prefix - Field path prefix, e.g. 'rules.*.' for rule arrays
+ * @returns {Array} express-validator chains
+ */
+const ruleValidators = (prefix = '') => [
+  body(`${prefix}title`)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 120 })
+    .withMessage('title must be between 1 and 120 characters'),
+  body(`${prefix}message`)
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('message must not exceed 500 characters'),
+  body(`${prefix}conditions`)
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage('conditions must be an array of 1 to 5 conditions'),
+  body(`${prefix}conditions.*.metric`)
+    .isIn(alertService.ruleMetrics)
+    .withMessage(`metric must be one of: ${alertService.ruleMetrics.join(', ')}`),
+  body(`${prefix}conditions.*.comparator`)
+    .isIn(Object.keys(alertService.comparators))
+    .withMessage(`comparator must be one of: ${Object.keys(alertService.comparators).join(', ')}`),
+  body(`${prefix}conditions.*.threshold`)
+    .isFloat()
+    .withMessage('threshold must be a number')
+    .toFloat(),
+  body(`${prefix}trend`)
+    .optional({ nullable: true })
+    .custom(trend => typeof trend === 'object'
+      && alertService.trendMetrics.includes(trend.metric)
+      && ['declining', 'improving'].includes(trend.direction))
+    .withMessage(`trend must have a metric (${alertService.trendMetrics.join(', ')}) and a direction (declining, improving)`),
+  body(`${prefix}severity`)
+    .optional()
+    .isIn(['critical', 'warning', 'info'])
+    .withMessage('severity must be critical, warning or info'),
+  body(`${prefix}cooldown_minutes`)
+    .optional()
+    .isInt({ min: 5, max: 30 * 24 * 60 })
+    .withMessage('cooldown_minutes must be between 5 and 43200')
+    .toInt(),
+  body(`${prefix}priority`)
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('priority must be between 1 and 5')
+    .toInt(),
+  body(`${prefix}enabled`)
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+    .toBoolean(),
+];
+
+/**
+ * Check whether a rule definition is complete enough to stand on its own
+ * @param {Object} rule - Rule definition
+ * @returns {boolean} True if title, conditions and severity are present
+ */
+const isCompleteRule = (rule) => Boolean(rule.conditions && rule.title && rule.severity);
+
+/**
+ * Look up the caller's role in a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Team role or null if not a member
+ */
+const getTeamRole = async (teamId, userId) => {
+  const { data: membership, error } = await supabase
+    .from('team_members')
+    .select('role')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !membership) {
+    return null;
+  }
+
+  return membership.role;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertRuleCondition:
+ *       type: object
+ *       required: [metric, comparator, threshold]
+ *       properties:
+ *         metric:
+ *           type: string
+ *           enum: [average_mood, average_energy, average_sentiment, participation_rate, total_checkins, unique_participants]
+ *         comparator:
+ *           type: string
+ *           enum: [lt, lte, gt, gte, eq]
+ *         threshold:
+ *           type: number
+ *     AlertRuleDefinition:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Present for rules stored for the team
+ *         name:
+ *           type: string
+ *           example: burnout_risk
+ *         source:
+ *           type: string
+ *           enum: [default, override, custom]
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         conditions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AlertRuleCondition'
+ *         trend:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             metric:
+ *               type: string
+ *               enum: [avg_mood, avg_energy, avg_sentiment]
+ *             direction:
+ *               type: string
+ *               enum: [declining, improving]
+ *         severity:
+ *           type: string
+ *           enum: [critical, warning, info]
+ *         cooldown_minutes:
+ *           type: integer
+ *           description: Minimum time between alerts from this rule. Defaults to the built-in rule's cooldown, or 24 hours for custom rules
+ *         priority:
+ *           type: integer
+ *         enabled:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alert-rules:
+ *   get:
+ *     summary: List the team's effective alert rules (built-in defaults merged with team rules)
+ *     tags: [Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alert rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertRuleDefinition'
+ *       403:
+ *         description: Not a team member
+ *   post:
+ *     summary: Create a custom alert rule, or override a built-in rule by using its name
+ *     tags: [Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRuleDefinition'
+ *           example:
+ *             name: "low_energy_streak"
+ *             title: "Warning: Energy Below Team Baseline"
+ *             message: "Average energy dropped below 3 while energy keeps declining."
+ *             conditions:
+ *               - metric: "average_energy"
+ *                 comparator: "lt"
+ *                 threshold: 3
+ *             trend:
+ *               metric: "avg_energy"
+ *               direction: "declining"
+ *             severity: "warning"
+ *             cooldown_minutes: 720
+ *     responses:
+ *       201:
+ *         description: Alert rule created
+ *       400:
+ *         description: Invalid rule definition
+ *       403:
+ *         description: Only managers can manage alert rules
+ *       409:
+ *         description: A rule with this name already exists for the team
+ */
+router.get('/:teamId/alert-rules',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      const rules = await alertService.getTeamRules(teamId, { includeDisabled: true });
+
+      res.json({
+        success: true,
+        data: rules.map(rule => alertService.describeRule(rule))
+      });
+
+    } catch (error) {
+      console.error('Get alert rules error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.post('/:teamId/alert-rules',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    body('name')
+      .trim()
+      .matches(/^[a-z0-9_]{3,50}$/)
+      .withMessage('name must be 3-50 lowercase letters, digits or underscores'),
+    ...ruleValidators(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+      const { name } = req.body;
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage alert rules'
+        });
+      }
+
+      // Custom rules need a full definition; overrides inherit from the built-in rule
+      const isOverride = alertService.defaultRules.some(rule => rule.name === name);
+      if (!isOverride && !isCompleteRule(req.body)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom rules require title, conditions and severity'
+        });
+      }
+
+      const existingRules = await alertService.getTeamRules(teamId, { includeDisabled: true });
+      if (existingRules.some(rule => rule.name === name && rule.source !== 'default')) {
+        return res.status(409).json({
+          success: false,
+          message: 'A rule with this name already exists for the team'
+        });
+      }
+
+      const stored = await alertService.createTeamRule(teamId, req.body, req.user.id);
+      const rule = alertService.compileRule(alertService.fromStoredRule(stored));
+
+      res.status(201).json({
+        success: true,
+        data: alertService.describeRule(rule),
+        message: 'Alert rule created successfully'
+      });
+
+    } catch (error) {
+      console.error('Create alert rule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alert-rules/backtest:
+ *   post:
+ *     summary: Replay alert rules over historical check-ins without creating alerts
+ *     description: |
+ *       Evaluates the rules at the end of each day (in the team's timezone) in the range against the trailing
+ *       window of check-ins and reports when each rule would have fired, with cooldowns applied.
+ *       Rules without a definition default to the team's current rules (including disabled ones).
+ *       A rule named after an existing team rule inherits any fields it does not set.
+ *     tags: [Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from, to]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               window_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *               rules:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   $ref: '#/components/schemas/AlertRuleDefinition'
+ *           example:
+ *             from: "2026-01-01T00:00:00Z"
+ *             to: "2026-03-31T00:00:00Z"
+ *             rules:
+ *               - name: "low_mood_warning"
+ *                 conditions:
+ *                   - metric: "average_mood"
+ *                     comparator: "lt"
+ *                     threshold: 2.8
+ *     responses:
+ *       200:
+ *         description: Backtest report with per-rule firings
+ *       400:
+ *         description: Invalid rule set or date range
+ *       403:
+ *         description: Only managers can manage alert rules
+ */
+router.post('/:teamId/alert-rules/backtest',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    body('from').isISO8601().withMessage('from must be an ISO 8601 date'),
+    body('to').isISO8601().withMessage('to must be an ISO 8601 date'),
+    body('window_days')
+      .optional()
+      .isInt({ min: 1, max: 30 })
+      .withMessage('window_days must be between 1 and 30')
+      .toInt(),
+    body('rules')
+      .optional()
+      .isArray({ min: 1, max: 20 })
+      .withMessage('rules must be an array of 1 to 20 rules'),
+    body('rules.*.name')
+      .trim()
+      .matches(/^[a-z0-9_]{3,50}$/)
+      .withMessage('name must be 3-50 lowercase letters, digits or underscores'),
+    ...ruleValidators('rules.*.'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+      const { from, to, window_days: windowDays = 7, rules: drafts } = req.body;
+
+      const fromDate = new Date(from);
+      const toDate = new Date(to);
+
+      if (fromDate >= toDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'from must be before to'
+        });
+      }
+
+      if (toDate - fromDate > MAX_BACKTEST_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: `Backtest range cannot exceed ${MAX_BACKTEST_DAYS} days`
+        });
+      }
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage alert rules'
+        });
+      }
+
+      const teamRules = await alertService.getTeamRules(teamId, { includeDisabled: true });
+      let rules = teamRules;
+
+      if (drafts) {
+        const incomplete = drafts.find(draft =>
+          !teamRules.some(rule => rule.name === draft.name) && !isCompleteRule(draft));
+
+        if (incomplete) {
+          return res.status(400).json({
+            success: false,
+            message: `Rule ${incomplete.name} is new and requires title, conditions and severity`
+          });
+        }
+
+        rules = drafts.map(draft => alertService.resolveDraftRule(draft, teamRules));
+      }
+
+      const report = await alertService.backtestRules(teamId, rules, {
+        from: fromDate,
+        to: toDate,
+        windowDays
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Alert rule backtest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alert-rules/{ruleId}:
+ *   put:
+ *     summary: Update a team alert rule or built-in override
+ *     tags: [Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRuleDefinition'
+ *     responses:
+ *       200:
+ *         description: Alert rule updated
+ *       403:
+ *         description: Only managers can manage alert rules
+ *       404:
+ *         description: Alert rule not found
+ *   delete:
+ *     summary: Delete a team alert rule (deleting an override restores the built-in rule)
+ *     tags: [Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alert rule deleted
+ *       403:
+ *         description: Only managers can manage alert rules
+ *       404:
+ *         description: Alert rule not found
+ */
+router.put('/:teamId/alert-rules/:ruleId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('ruleId').isUUID().withMessage('Invalid rule ID'),
+    ...ruleValidators(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, ruleId } = req.params;
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage alert rules'
+        });
+      }
+
+      const stored = await alertService.updateTeamRule(teamId, ruleId, req.body);
+
+      if (!stored) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert rule not found'
+        });
+      }
+
+      const rule = alertService.compileRule(alertService.fromStoredRule(stored));
+
+      res.json({
+        success: true,
+        data: alertService.describeRule(rule),
+        message: 'Alert rule updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Update alert rule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.delete('/:teamId/alert-rules/:ruleId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('ruleId').isUUID().withMessage('Invalid rule ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, ruleId } = req.params;
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage alert rules'
+        });
+      }
+
+      const deleted = await alertService.deleteTeamRule(teamId, ruleId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Alert rule deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete alert rule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,9 +4,21 @@ const supabase = require('../../config/supabase');
 const { authenticateUser } = require('../../middleware/auth');
 const sentimentService = require('../services/sentimentService');
 const pubsubService = require('../services/pubsubService');
-const { setCache, getCache, deleteCache } = require('../../config/redis');
+const alertService = require('../services/alertService');
+const { setCache, getCache, deleteCachePattern } = require('../../config/redis');
 const rateLimit = require('express-rate-limit');
-const { calculateAnalytics } = require('../utils/analytics');
+const {
+  GRANULARITIES,
+  COMPARISONS,
+  calculateAnalytics,
+  compareAnalytics,
+  getComparisonRange,
+  resolveAnalyticsRange,
+  validateAnalyticsRange,
+  getAnalyticsCacheKey
+} = require('../utils/analytics');
+const { isValidTimezone, resolveTimezone, getZonedDateBounds } = require('../utils/timezone');
+const reminderService = require('../services/reminderService');
 
 const router = express.Router();
 
@@ -22,6 +34,71 @@ const checkInRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Validate a query parameter holding a local calendar date (YYYY-MM-DD)
+ * The shape is checked first because isDate throws on partial dates such as 2026-03
+ * @param {string} field - Query parameter name
+ * @returns {ValidationChain} Validator
+ */
+const localDateQuery = (field) => query(field)
+  .optional()
+  .matches(/^\d{4}-\d{2}-\d{2}$/)
+  .withMessage(`${field} must be a date (YYYY-MM-DD)`)
+  .bail()
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${field} must be a date (YYYY-MM-DD)`);
+
+// PostgREST caps a response at 1000 rows, so analytics windows are read in pages of this size
+const ANALYTICS_PAGE_SIZE = 1000;
+
+/**
+ * Fetch the columns analytics need for a team's check-ins in a window
+ * Pages through the window in a stable order so ranges of up to a year aren't cut off at the row cap
+ * @param {string} teamId - Team ID
+ * @param {Object} range - { from, to } ISO timestamps
+ * @param {boolean} includeAnonymous - Whether to include anonymous check-ins
+ * @returns {Promise<Object>} Supabase-style { data, error } holding every check-in in the window
+ */
+const fetchAnalyticsCheckIns = async (teamId, { from, to }, includeAnonymous) => {
+  const checkIns = [];
+
+  for (let offset = 0; ; offset += ANALYTICS_PAGE_SIZE) {
+    let query = supabase
+      .from('check_ins')
+      .select(`
+        created_at,
+        mood_score,
+        energy_level,
+        sentiment_score,
+        sentiment_label,
+        is_anonymous,
+        user_id
+      `)
+      .eq('team_id', teamId)
+      .gte('created_at', from)
+      .lte('created_at', to);
+
+    if (!includeAnonymous) {
+      query = query.eq('is_anonymous', false);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + ANALYTICS_PAGE_SIZE - 1);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    checkIns.push(...data);
+
+    if (data.length < ANALYTICS_PAGE_SIZE) {
+      return { data: checkIns, error: null };
+    }
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -125,6 +202,22 @@ const checkInRateLimit = rateLimit({
  *         period:
  *           type: string
  *           description: Time period for analytics
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone the trend was bucketed in
+ *           example: America/New_York
+ *         from:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the analysed range
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           description: End of the analysed range
+ *         granularity:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *           description: Size of the trend buckets
  *         sentiment_trend:
  *           type: array
  *           items:
@@ -132,7 +225,7 @@ const checkInRateLimit = rateLimit({
  *             properties:
  *               date:
  *                 type: string
- *                 format: date
+ *                 description: Local start of the bucket (YYYY-MM-DD, or YYYY-MM-DDTHH:00 for hourly buckets)
  *               avg_sentiment:
  *                 type: number
  *               avg_mood:
@@ -181,8 +274,109 @@ const checkInRateLimit = rateLimit({
  *           description: Percentage of team members who submitted check-ins
  *         total_checkins:
  *           type: integer
+ *         mood_stddev:
+ *           type: number
+ *         energy_stddev:
+ *           type: number
+ *         sentiment_stddev:
+ *           type: number
  *         insights_count:
  *           type: integer
+ *         comparison:
+ *           $ref: '#/components/schemas/AnalyticsComparison'
+ *     MetricDelta:
+ *       type: object
+ *       properties:
+ *         current:
+ *           type: number
+ *         baseline:
+ *           type: number
+ *         delta:
+ *           type: number
+ *           description: current - baseline
+ *         percent_change:
+ *           type: number
+ *           nullable: true
+ *           description: Change relative to the baseline, null when the baseline is 0
+ *         significance:
+ *           type: string
+ *           enum: [significant, not_significant, insufficient_data]
+ *           description: |
+ *             Whether the change clears a 95% two-sided z-test. insufficient_data when either
+ *             window has fewer than 10 check-ins (or members, for participation)
+ *     DistributionDelta:
+ *       allOf:
+ *         - $ref: '#/components/schemas/MetricDelta'
+ *         - type: object
+ *           properties:
+ *             current_share:
+ *               type: number
+ *               description: Percent of current check-ins in this bucket
+ *             baseline_share:
+ *               type: number
+ *             share_delta:
+ *               type: number
+ *               description: Change in share, in percentage points
+ *     AnalyticsComparison:
+ *       type: object
+ *       description: Present when `compare` is requested
+ *       properties:
+ *         compare:
+ *           type: string
+ *           enum: [previous_period, same_period_last_year]
+ *         baseline:
+ *           type: object
+ *           description: Metrics of the baseline window
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date-time
+ *             to:
+ *               type: string
+ *               format: date-time
+ *             total_checkins:
+ *               type: integer
+ *             unique_participants:
+ *               type: integer
+ *             participation_rate:
+ *               type: number
+ *             average_mood:
+ *               type: number
+ *             average_energy:
+ *               type: number
+ *             average_sentiment:
+ *               type: number
+ *             mood_distribution:
+ *               type: object
+ *             energy_distribution:
+ *               type: object
+ *             sentiment_distribution:
+ *               type: object
+ *         deltas:
+ *           type: object
+ *           properties:
+ *             total_checkins:
+ *               $ref: '#/components/schemas/MetricDelta'
+ *             average_mood:
+ *               $ref: '#/components/schemas/MetricDelta'
+ *             average_energy:
+ *               $ref: '#/components/schemas/MetricDelta'
+ *             average_sentiment:
+ *               $ref: '#/components/schemas/MetricDelta'
+ *             participation_rate:
+ *               $ref: '#/components/schemas/MetricDelta'
+ *             mood_distribution:
+ *               type: object
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/DistributionDelta'
+ *             energy_distribution:
+ *               type: object
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/DistributionDelta'
+ *             sentiment_distribution:
+ *               type: object
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/DistributionDelta'
  */
 
 /**
@@ -385,25 +579,22 @@ router.post('/:teamId/check-ins',
         // Don't fail the check-in if pub/sub fails
       }
 
+      // Re-evaluate team alerts once the burst of check-ins settles
+      alertService.scheduleEvaluation(teamId);
+
       // Invalidate analytics cache for this team
+      // Custom ranges are included because one can end in the future
       try {
         const cachePatterns = [
           `analytics:${teamId}:24h:*`,
           `analytics:${teamId}:7d:*`,
           `analytics:${teamId}:30d:*`,
-          `analytics:${teamId}:90d:*`
+          `analytics:${teamId}:90d:*`,
+          `analytics:${teamId}:range:*`
         ];
 
-        // Note: In production, you'd want a more sophisticated cache invalidation
-        // For now, we'll invalidate common cache keys
-        const periods = ['24h', '7d', '30d', '90d'];
-        const anonymousOptions = [true, false];
-
-        for (const period of periods) {
-          for (const includeAnon of anonymousOptions) {
-            const cacheKey = `analytics:${teamId}:${period}:${includeAnon}`;
-            await deleteCache(cacheKey);
-          }
+        for (const pattern of cachePatterns) {
+          await deleteCachePattern(pattern);
         }
 
         console.log(`🗑️ Invalidated analytics cache for team ${teamId}`);
@@ -470,13 +661,13 @@ router.post('/:teamId/check-ins',
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter check-ins from this date
+ *         description: Filter check-ins from this local date (team timezone)
  *       - in: query
  *         name: date_to
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter check-ins until this date
+ *         description: Filter check-ins up to the end of this local date (team timezone)
  *       - in: query
  *         name: mood_min
  *         schema:
@@ -545,8 +736,8 @@ router.get('/:teamId/check-ins',
     param('teamId').isUUID().withMessage('Invalid team ID'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('date_from').optional().isISO8601().withMessage('Invalid date_from format'),
-    query('date_to').optional().isISO8601().withMessage('Invalid date_to format'),
+    localDateQuery('date_from'),
+    localDateQuery('date_to'),
     query('mood_min').optional().isInt({ min: 1, max: 5 }).withMessage('mood_min must be between 1 and 5'),
     query('mood_max').optional().isInt({ min: 1, max: 5 }).withMessage('mood_max must be between 1 and 5'),
     query('sentiment').optional().isIn(['POSITIVE', 'NEUTRAL', 'NEGATIVE']).withMessage('Invalid sentiment value'),
@@ -581,7 +772,7 @@ router.get('/:teamId/check-ins',
       // Check if user is a member of the team
       const { data: membership, error: membershipError } = await supabase
         .from('team_members')
-        .select('role')
+        .select('role, teams (settings)')
         .eq('team_id', teamId)
         .eq('user_id', userId)
         .single();
@@ -608,12 +799,15 @@ router.get('/:teamId/check-ins',
         .order('created_at', { ascending: false });
 
       // Apply filters
+      // Dates are whole days in the team's timezone
+      const timezone = resolveTimezone(membership.teams?.settings?.timezone);
+
       if (date_from) {
-        query = query.gte('created_at', `${date_from}T00:00:00Z`);
+        query = query.gte('created_at', getZonedDateBounds(date_from, timezone).start.toISOString());
       }
 
       if (date_to) {
-        query = query.lte('created_at', `${date_to}T23:59:59Z`);
+        query = query.lt('created_at', getZonedDateBounds(date_to, timezone).end.toISOString());
       }
 
       if (mood_min) {
@@ -682,6 +876,112 @@ router.get('/:teamId/check-ins',
   }
 );
 
+/**
+ * @swagger
+ * /api/teams/{teamId}/check-ins/today:
+ *   get:
+ *     summary: Get the current user's check-in for today, if already submitted
+ *     tags: [Check-ins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Team ID
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: Europe/Berlin
+ *         description: IANA timezone defining "today" (defaults to the team's timezone)
+ *     responses:
+ *       200:
+ *         description: Today's check-in status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     checked_in:
+ *                       type: boolean
+ *                     timezone:
+ *                       type: string
+ *                     check_in:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/CheckIn'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a team member
+ */
+router.get('/:teamId/check-ins/today',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    query('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+      const userId = req.user.id;
+
+      // Check if user is a member of the team
+      const { data: membership, error: membershipError } = await supabase
+        .from('team_members')
+        .select('role, teams (settings)')
+        .eq('team_id', teamId)
+        .eq('user_id', userId)
+        .single();
+
+      if (membershipError || !membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      const timezone = req.query.timezone || membership.teams?.settings?.timezone || reminderService.defaultTimezone;
+      const checkIn = await reminderService.getTodayCheckIn(teamId, userId, timezone);
+
+      res.json({
+        success: true,
+        data: {
+          checked_in: !!checkIn,
+          timezone,
+          check_in: checkIn
+        }
+      });
+
+    } catch (error) {
+      console.error('Today check-in fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+
 /**
  * @swagger
  * /api/teams/{teamId}/analytics:
@@ -704,13 +1004,49 @@ router.get('/:teamId/check-ins',
  *           type: string
  *           enum: [24h, 7d, 30d, 90d]
  *           default: 7d
- *         description: Time period for analytics
+ *         description: Time period for analytics, measured back from now (ignored when from or to is given)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-03-03T00:00:00Z"
+ *         description: Start of a custom range (defaults to `period` before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-03-17T23:59:59Z"
+ *         description: End of a custom range (defaults to now). Ranges are limited to 366 days
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *           default: day
+ *         description: Size of the sentiment_trend buckets, in the team's timezone. Hourly buckets are limited to 31-day ranges
  *       - in: query
  *         name: include_anonymous
  *         schema:
  *           type: boolean
  *           default: true
  *         description: Include anonymous check-ins in analytics
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: America/New_York
+ *         description: IANA timezone to bucket the trend by (defaults to the team's timezone)
+ *       - in: query
+ *         name: compare
+ *         schema:
+ *           type: string
+ *           enum: [previous_period, same_period_last_year]
+ *         description: |
+ *           Compare against a baseline window. previous_period is the window of the same length
+ *           just before this one; same_period_last_year is the same window a year earlier.
+ *           Adds `comparison` with the baseline metrics and deltas.
  *     responses:
  *       200:
  *         description: Team analytics data
@@ -735,7 +1071,12 @@ router.get('/:teamId/analytics',
   [
     param('teamId').isUUID().withMessage('Invalid team ID'),
     query('period').optional().isIn(['24h', '7d', '30d', '90d']).withMessage('Invalid period'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('granularity').optional().isIn(GRANULARITIES).withMessage('Granularity must be hour, day, week or month'),
     query('include_anonymous').optional().isBoolean().withMessage('include_anonymous must be a boolean'),
+    query('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+    query('compare').optional().isIn(COMPARISONS).withMessage('compare must be previous_period or same_period_last_year'),
   ],
   async (req, res) => {
     try {
@@ -749,13 +1090,14 @@ router.get('/:teamId/analytics',
       }
 
       const { teamId } = req.params;
-      const { period = '7d', include_anonymous = true } = req.query;
+      const { period = '7d', from, to, granularity = 'day', compare } = req.query;
+      const includeAnonymous = req.query.include_anonymous !== 'false';
       const userId = req.user.id;
 
       // Check if user is a member of the team (managers get full analytics, members get limited view)
       const { data: membership, error: membershipError } = await supabase
         .from('team_members')
-        .select('role')
+        .select('role, teams (settings)')
         .eq('team_id', teamId)
         .eq('user_id', userId)
         .single();
@@ -767,71 +1109,73 @@ router.get('/:teamId/analytics',
         });
       }
 
-      // Calculate date range
-      const periodHours = {
-        '24h': 24,
-        '7d': 24 * 7,
-        '30d': 24 * 30,
-        '90d': 24 * 90
-      };
-
-      const hoursAgo = periodHours[period];
-      const fromDate = new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
-
-      // Build base query
-      let query = supabase
-        .from('check_ins')
-        .select(`
-          created_at,
-          mood_score,
-          energy_level,
-          sentiment_score,
-          sentiment_label,
-          is_anonymous,
-          user_id
-        `)
-        .eq('team_id', teamId)
-        .gte('created_at', fromDate);
-
-      if (!include_anonymous) {
-        query = query.eq('is_anonymous', false);
-      }
-
-      const { data: checkIns, error: checkInsError } = await query;
-
-      if (checkInsError) {
-        console.error('Analytics fetch error:', checkInsError);
-        return res.status(500).json({
+      // An explicit from/to replaces the period, which is measured back from now
+      const range = resolveAnalyticsRange({ period, from, to });
+      const rangeError = validateAnalyticsRange(range, granularity);
+      if (rangeError) {
+        return res.status(400).json({
           success: false,
-          message: 'Failed to fetch analytics data'
+          message: rangeError
         });
       }
 
-      // Get team member count for participation rate
-      const { data: teamMembers, error: teamMembersError } = await supabase
-        .from('team_members')
-        .select('user_id')
-        .eq('team_id', teamId);
-
-      if (teamMembersError) {
-        console.error('Team members fetch error:', teamMembersError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to fetch team data'
-        });
-      }
+      const timezone = resolveTimezone(req.query.timezone, membership.teams?.settings?.timezone);
 
       // Generate cache key for analytics
-      const cacheKey = `analytics:${teamId}:${period}:${include_anonymous}:${fromDate}`;
+      const cacheKey = getAnalyticsCacheKey(teamId, { ...range, includeAnonymous, granularity, timezone, compare });
 
       // Try to get cached analytics first
       let analytics = await getCache(cacheKey);
 
       if (!analytics) {
-        console.log(`🔄 Computing analytics for team ${teamId}, period ${period}`);
+        console.log(`🔄 Computing analytics for team ${teamId}, ${range.period === 'custom' ? `${range.from} to ${range.to}` : `period ${range.period}`}`);
+
+        const { data: checkIns, error: checkInsError } = await fetchAnalyticsCheckIns(teamId, range, includeAnonymous);
+
+        if (checkInsError) {
+          console.error('Analytics fetch error:', checkInsError);
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch analytics data'
+          });
+        }
+
+        // Get team member count for participation rate
+        const { data: teamMembers, error: teamMembersError } = await supabase
+          .from('team_members')
+          .select('user_id')
+          .eq('team_id', teamId);
+
+        if (teamMembersError) {
+          console.error('Team members fetch error:', teamMembersError);
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch team data'
+          });
+        }
 
         // Calculate analytics
-        analytics = calculateAnalytics(checkIns, teamMembers, period);
+        analytics = calculateAnalytics(checkIns, teamMembers, range.period, { timezone, granularity, range });
+
+        if (compare) {
+          const baselineRange = getComparisonRange(range, compare);
+          const { data: baselineCheckIns, error: baselineError } = await fetchAnalyticsCheckIns(teamId, baselineRange, includeAnonymous);
+
+          if (baselineError) {
+            console.error('Analytics baseline fetch error:', baselineError);
+            return res.status(500).json({
+              success: false,
+              message: 'Failed to fetch analytics data'
+            });
+          }
+
+          const baseline = calculateAnalytics(baselineCheckIns, teamMembers, range.period, {
+            timezone,
+            granularity,
+            range: baselineRange
+          });
+          analytics.comparison = compareAnalytics(analytics, baseline, compare, teamMembers.length);
+        }
 
         // Cache analytics for 5 minutes (300 seconds)
         const cacheSuccess = await setCache(cacheKey, analytics, 300);
@@ -842,7 +1186,6 @@ router.get('/:teamId/analytics',
         console.log(`📦 Retrieved cached analytics for team ${teamId}`);
       }
 
-
       // Managers get full analytics, members get limited view
       if (membership.role !== 'manager') {
         // Remove individual user data for members
@@ -900,13 +1243,13 @@ router.get('/:teamId/analytics',
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter check-ins from this date
+ *         description: Filter check-ins from this local date (your profile timezone)
  *       - in: query
  *         name: date_to
  *         schema:
  *           type: string
  *           format: date
- *         description: Filter check-ins until this date
+ *         description: Filter check-ins up to the end of this local date (your profile timezone)
  *     responses:
  *       200:
  *         description: List of user's check-ins
@@ -945,8 +1288,8 @@ router.get('/me',
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('team_id').optional().isUUID().withMessage('Invalid team ID'),
-    query('date_from').optional().isISO8601().withMessage('Invalid date_from format'),
-    query('date_to').optional().isISO8601().withMessage('Invalid date_to format'),
+    localDateQuery('date_from'),
+    localDateQuery('date_to'),
   ],
   async (req, res) => {
     try {
@@ -988,12 +1331,24 @@ router.get('/me',
         query = query.eq('team_id', team_id);
       }
 
+      // Dates are whole days in the user's own timezone
+      let timezone = null;
+      if (date_from || date_to) {
+        const { data: profile } = await supabase
+          .from('profiles')
+          .select('timezone')
+          .eq('id', userId)
+          .single();
+
+        timezone = resolveTimezone(profile?.timezone);
+      }
+
       if (date_from) {
-        query = query.gte('created_at', `${date_from}T00:00:00Z`);
+        query = query.gte('created_at', getZonedDateBounds(date_from, timezone).start.toISOString());
       }
 
       if (date_to) {
-        query = query.lte('created_at', `${date_to}T23:59:59Z`);
+        query = query.lt('created_at', getZonedDateBounds(date_to, timezone).end.toISOString());
       }
 
       // Apply pagination
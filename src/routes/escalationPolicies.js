@@ -0,0 +1,277 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const escalationService = require('../services/escalationService');
+
+const router = express.Router();
+
+/**
+ * Look up the caller's role in a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Team role or null if not a member
+ */
+const getTeamRole = async (teamId, userId) => {
+  const { data: membership, error } = await supabase
+    .from('team_members')
+    .select('role')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !membership) {
+    return null;
+  }
+
+  return membership.role;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EscalationStep:
+ *       type: object
+ *       required: [after_minutes, recipients, channels]
+ *       properties:
+ *         after_minutes:
+ *           type: integer
+ *           description: Minutes after the alert was triggered, if still unacknowledged
+ *           example: 30
+ *         recipients:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [managers, admins]
+ *           description: Team managers and/or organisation admins (profiles.role = admin)
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [in_app, email, push, slack]
+ *     EscalationPolicy:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         severities:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [critical, warning, info]
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EscalationStep'
+ *         repeat_interval_minutes:
+ *           type: integer
+ *           description: How often the last step repeats once all steps have fired
+ *         max_repeats:
+ *           type: integer
+ *           description: How many times the last step repeats
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/escalation-policy:
+ *   get:
+ *     summary: Get the team's alert escalation policy
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Escalation policy (the disabled default if none is saved)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EscalationPolicy'
+ *       403:
+ *         description: Only managers can manage escalation policies
+ *   put:
+ *     summary: Create or replace the team's alert escalation policy
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EscalationPolicy'
+ *           example:
+ *             enabled: true
+ *             severities: ["critical"]
+ *             steps:
+ *               - after_minutes: 15
+ *                 recipients: ["managers"]
+ *                 channels: ["email", "push"]
+ *               - after_minutes: 60
+ *                 recipients: ["managers", "admins"]
+ *                 channels: ["email", "slack"]
+ *             repeat_interval_minutes: 60
+ *             max_repeats: 3
+ *     responses:
+ *       200:
+ *         description: Escalation policy saved
+ *       400:
+ *         description: Invalid policy
+ *       403:
+ *         description: Only managers can manage escalation policies
+ */
+router.get('/:teamId/escalation-policy',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage escalation policies'
+        });
+      }
+
+      const policy = await escalationService.getPolicy(teamId);
+
+      res.json({
+        success: true,
+        data: policy
+      });
+
+    } catch (error) {
+      console.error('Get escalation policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.put('/:teamId/escalation-policy',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+    body('severities')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('severities must be a non-empty array'),
+    body('severities.*')
+      .isIn(['critical', 'warning', 'info'])
+      .withMessage('severities must be critical, warning or info'),
+    body('steps')
+      .optional()
+      .isArray({ min: 1, max: 5 })
+      .withMessage('steps must be an array of 1 to 5 steps')
+      .custom(steps => steps.every((step, i) => i === 0 || step.after_minutes > steps[i - 1].after_minutes))
+      .withMessage('step after_minutes must be increasing'),
+    body('steps.*.after_minutes')
+      .isInt({ min: 1, max: 7 * 24 * 60 })
+      .withMessage('after_minutes must be between 1 and 10080')
+      .toInt(),
+    body('steps.*.recipients')
+      .isArray({ min: 1 })
+      .withMessage('recipients must be a non-empty array'),
+    body('steps.*.recipients.*')
+      .isIn(['managers', 'admins'])
+      .withMessage('recipients must be managers or admins'),
+    body('steps.*.channels')
+      .isArray({ min: 1 })
+      .withMessage('channels must be a non-empty array'),
+    body('steps.*.channels.*')
+      .isIn(['in_app', 'email', 'push', 'slack'])
+      .withMessage('channels must be in_app, email, push or slack'),
+    body('repeat_interval_minutes')
+      .optional()
+      .isInt({ min: 5, max: 24 * 60 })
+      .withMessage('repeat_interval_minutes must be between 5 and 1440')
+      .toInt(),
+    body('max_repeats')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('max_repeats must be between 0 and 10')
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const role = await getTeamRole(teamId, req.user.id);
+      if (role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage escalation policies'
+        });
+      }
+
+      const { enabled, severities, steps, repeat_interval_minutes, max_repeats } = req.body;
+
+      const policy = await escalationService.savePolicy(teamId, {
+        enabled,
+        severities,
+        steps: steps && steps.map(({ after_minutes, recipients, channels }) => ({ after_minutes, recipients, channels })),
+        repeat_interval_minutes,
+        max_repeats
+      }, req.user.id);
+
+      res.json({
+        success: true,
+        data: policy,
+        message: 'Escalation policy saved successfully'
+      });
+
+    } catch (error) {
+      console.error('Save escalation policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
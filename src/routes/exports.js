@@ -0,0 +1,437 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const exportService = require('../services/exportService');
+const exportJobService = require('../services/exportJobService');
+
+const router = express.Router();
+
+/**
+ * Check whether a user manages a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True for team managers
+ */
+const isTeamManager = async (teamId, userId) => {
+  const { data: membership } = await supabase
+    .from('team_members')
+    .select('role')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .single();
+
+  return membership?.role === 'manager';
+};
+
+/**
+ * Accept either a signed download link or a bearer token
+ * Signed links are checked in the handler; everyone else has to authenticate
+ */
+const authenticateDownload = (req, res, next) => {
+  if (req.query.signature) {
+    return next();
+  }
+
+  return authenticateUser(req, res, next);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExportDownloadLink:
+ *       type: object
+ *       description: Short-lived signed link that works without an Authorization header
+ *       properties:
+ *         url:
+ *           type: string
+ *           example: "/api/teams/{teamId}/exports/{exportId}/download?expires=1760000000&signature=..."
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *     ExportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         format:
+ *           type: string
+ *         layout:
+ *           type: string
+ *           enum: [report, tidy]
+ *         period:
+ *           type: string
+ *           description: Relative period, or custom for an explicit range
+ *         from:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Start of a custom range
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: End of a custom range
+ *         granularity:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *         include_check_ins:
+ *           type: boolean
+ *         progress:
+ *           type: object
+ *           properties:
+ *             stage:
+ *               type: string
+ *               enum: [queued, analyzing, writing, completed]
+ *             rows_written:
+ *               type: integer
+ *             total_rows:
+ *               type: integer
+ *               nullable: true
+ *             percent:
+ *               type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         export_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         download:
+ *           allOf:
+ *             - $ref: '#/components/schemas/ExportDownloadLink'
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     TeamExport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         format:
+ *           type: string
+ *         period:
+ *           type: string
+ *         filename:
+ *           type: string
+ *         record_count:
+ *           type: integer
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: When retention cleanup removes the export
+ *         available:
+ *           type: boolean
+ *           description: False once the file has been removed
+ *         size:
+ *           type: integer
+ *         size_formatted:
+ *           type: string
+ *         download:
+ *           allOf:
+ *             - $ref: '#/components/schemas/ExportDownloadLink'
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/exports:
+ *   get:
+ *     summary: List the team's past exports
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Exports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TeamExport'
+ *       403:
+ *         description: Only managers can access exports
+ */
+router.get('/:teamId/exports',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+      const { limit = 50 } = req.query;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can access exports'
+        });
+      }
+
+      const exports = await exportService.getTeamExports(teamId, parseInt(limit));
+
+      res.json({
+        success: true,
+        data: exports
+      });
+
+    } catch (error) {
+      console.error('List exports error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/exports/jobs/{jobId}:
+ *   get:
+ *     summary: Get the progress of an export job
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Export job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ExportJob'
+ *       403:
+ *         description: Only managers can access exports
+ *       404:
+ *         description: Export job not found
+ */
+router.get('/:teamId/exports/jobs/:jobId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('jobId').isUUID().withMessage('Invalid job ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, jobId } = req.params;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can access exports'
+        });
+      }
+
+      const job = await exportJobService.getJob(teamId, jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: exportJobService.describeJob(job)
+      });
+
+    } catch (error) {
+      console.error('Get export job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/exports/{exportId}/download:
+ *   get:
+ *     summary: Download an export file
+ *     description: Requires either a bearer token of a team manager, or the `expires` and `signature` of a signed link from the export or list response.
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: Expiry of a signed link (Unix seconds)
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Signature of a signed link
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired link, or not a team manager
+ *       404:
+ *         description: Export not found or already removed
+ */
+router.get('/:teamId/exports/:exportId/download',
+  authenticateDownload,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('exportId').isUUID().withMessage('Invalid export ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, exportId } = req.params;
+
+      if (req.query.signature) {
+        if (!exportService.verifyDownloadSignature(teamId, exportId, req.query.expires, req.query.signature)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Download link is invalid or has expired'
+          });
+        }
+      } else if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can access exports'
+        });
+      }
+
+      const exportRecord = await exportService.getExport(teamId, exportId);
+      const info = exportRecord && exportService.getExportInfo(exportRecord.filename);
+
+      if (!info) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found'
+        });
+      }
+
+      res.download(info.filepath, exportRecord.filename, (downloadError) => {
+        if (downloadError && !res.headersSent) {
+          console.error('Export download error:', downloadError);
+          res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+          });
+        }
+      });
+
+    } catch (error) {
+      console.error('Export download error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
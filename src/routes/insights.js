@@ -4,9 +4,15 @@ const supabase = require('../../config/supabase');
 const { authenticateUser } = require('../../middleware/auth');
 const insightsService = require('../services/insightsService');
 const alertService = require('../services/alertService');
-const exportService = require('../services/exportService');
+const pubsubService = require('../services/pubsubService');
+const exportJobService = require('../services/exportJobService');
 const rateLimit = require('express-rate-limit');
-const { calculateAnalytics } = require('../utils/analytics');
+const {
+  GRANULARITIES,
+  calculateAnalytics,
+  resolveAnalyticsRange,
+  validateAnalyticsRange
+} = require('../utils/analytics');
 
 const router = express.Router();
 
@@ -22,6 +28,9 @@ const insightsRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Longest an alert can be snoozed (30 days)
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+
 /**
  * @swagger
  * components:
@@ -50,6 +59,51 @@ const insightsRateLimit = rateLimit({
  *           format: date-time
  *         metadata:
  *           type: object
+ *           properties:
+ *             alert_type:
+ *               type: string
+ *               enum: [rule, anomaly]
+ *             rule_name:
+ *               type: string
+ *             anomaly:
+ *               $ref: '#/components/schemas/MetricAnomaly'
+ *     MetricAnomaly:
+ *       type: object
+ *       description: A day whose metric is unusually far from the team's rolling baseline
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Local day in the team's timezone
+ *         metric:
+ *           type: string
+ *           enum: [average_mood, average_energy, average_sentiment, participation_rate]
+ *         value:
+ *           type: number
+ *         direction:
+ *           type: string
+ *           enum: [drop, spike]
+ *         z_score:
+ *           type: number
+ *           description: Standard deviations from the baseline mean
+ *         check_ins:
+ *           type: integer
+ *         baseline:
+ *           type: object
+ *           description: Learned from the previous active days (up to 28) with at least 3 check-ins
+ *           properties:
+ *             mean:
+ *               type: number
+ *             stddev:
+ *               type: number
+ *             days:
+ *               type: integer
+ *             from:
+ *               type: string
+ *               format: date
+ *             to:
+ *               type: string
+ *               format: date
  *     AlertRule:
  *       type: object
  *       properties:
@@ -243,7 +297,7 @@ router.post('/:teamId/insights/generate',
       // Check if user is a manager
       const { data: membership, error: membershipError } = await supabase
         .from('team_members')
-        .select('role')
+        .select('role, teams (settings)')
         .eq('team_id', teamId)
         .eq('user_id', userId)
         .single();
@@ -298,8 +352,10 @@ router.post('/:teamId/insights/generate',
         });
       }
 
-      // Calculate analytics
-      const teamData = calculateAnalytics(checkIns, teamMembers, period);
+      // Calculate analytics in the team's timezone
+      const teamData = calculateAnalytics(checkIns, teamMembers, period, {
+        timezone: membership.teams?.settings?.timezone
+      });
 
       // Generate AI insight
       const insight = await insightsService.generateTeamInsight(teamData, type);
@@ -326,6 +382,13 @@ router.post('/:teamId/insights/generate',
         });
       }
 
+      // Publish real-time insight event, which also sends the team's webhooks
+      try {
+        await pubsubService.publishInsightEvent(teamId, storedInsight, req.user.id);
+      } catch (pubsubError) {
+        console.error('Failed to publish insight event:', pubsubError);
+      }
+
       res.status(201).json({
         success: true,
         data: storedInsight,
@@ -347,6 +410,7 @@ router.post('/:teamId/insights/generate',
  * /api/teams/{teamId}/alerts:
  *   get:
  *     summary: Get active alerts for team
+ *     description: Returns every unresolved alert regardless of age; resolved alerts are only included on request.
  *     tags: [Analytics & Insights]
  *     security:
  *       - bearerAuth: []
@@ -365,10 +429,22 @@ router.post('/:teamId/insights/generate',
  *           minimum: 1
  *           maximum: 168
  *           default: 72
- *         description: Hours to look back for alerts
+ *         description: With include_resolved, how many hours back to include resolved alerts (by resolution time)
+ *       - in: query
+ *         name: include_resolved
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return alerts resolved within the last `hours`
+ *       - in: query
+ *         name: include_snoozed
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return alerts that are currently snoozed
  *     responses:
  *       200:
- *         description: Active alerts retrieved successfully
+ *         description: Unresolved alerts retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -390,11 +466,13 @@ router.get('/:teamId/alerts',
   [
     param('teamId').isUUID().withMessage('Invalid team ID'),
     query('hours').optional().isInt({ min: 1, max: 168 }).withMessage('Hours must be between 1 and 168'),
+    query('include_snoozed').optional().isBoolean().withMessage('include_snoozed must be a boolean'),
+    query('include_resolved').optional().isBoolean().withMessage('include_resolved must be a boolean'),
   ],
   async (req, res) => {
     try {
       const { teamId } = req.params;
-      const { hours = 72 } = req.query;
+      const { hours = 72, include_snoozed: includeSnoozed, include_resolved: includeResolved } = req.query;
       const userId = req.user.id;
 
       // Check team membership
@@ -412,7 +490,13 @@ router.get('/:teamId/alerts',
         });
       }
 
-      const alerts = await alertService.getActiveAlerts(teamId, parseInt(hours));
+      const alerts = await alertService.getActiveAlerts(teamId, {
+        includeSnoozed: includeSnoozed === 'true'
+      });
+
+      if (includeResolved === 'true') {
+        alerts.push(...await alertService.getResolvedAlerts(teamId, parseInt(hours)));
+      }
 
       res.json({
         success: true,
@@ -434,6 +518,10 @@ router.get('/:teamId/alerts',
  * /api/teams/{teamId}/alerts/evaluate:
  *   post:
  *     summary: Evaluate alert rules against current team data
+ *     description: |
+ *       Checks the alert rules against the last 7 days, and scores yesterday (the last complete
+ *       day in the team's timezone) against the team's rolling baseline. A statistically unusual
+ *       day raises `anomaly` alerts; today is not scored until it is over.
  *     tags: [Analytics & Insights]
  *     security:
  *       - bearerAuth: []
@@ -464,6 +552,11 @@ router.get('/:teamId/alerts',
  *                         $ref: '#/components/schemas/AlertRule'
  *                     teamData:
  *                       $ref: '#/components/schemas/CheckInAnalytics'
+ *                     anomalies:
+ *                       type: array
+ *                       description: Anomalies found yesterday, whether or not they raised an alert (e.g. on cooldown)
+ *                       items:
+ *                         $ref: '#/components/schemas/MetricAnomaly'
  *                     evaluatedAt:
  *                       type: string
  *                       format: date-time
@@ -506,45 +599,26 @@ router.post('/:teamId/alerts/evaluate',
         });
       }
 
-      // Get current team analytics for the last 7 days
-      const fromDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-
-      const { data: checkIns, error: checkInsError } = await supabase
-        .from('check_ins')
-        .select('*')
-        .eq('team_id', teamId)
-        .gte('created_at', fromDate);
-
-      if (checkInsError) {
+      // Evaluate alerts against the last 7 days of team analytics
+      let evaluation;
+      try {
+        evaluation = await alertService.evaluateTeam(teamId);
+      } catch (evaluationError) {
+        console.error('Alert evaluation data error:', evaluationError);
         return res.status(500).json({
           success: false,
           message: 'Failed to fetch team data'
         });
       }
 
-      const { data: teamMembers, error: teamMembersError } = await supabase
-        .from('team_members')
-        .select('user_id')
-        .eq('team_id', teamId);
-
-      if (teamMembersError) {
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to fetch team members'
-        });
-      }
-
-      // Calculate current analytics
-      const teamData = calculateAnalytics(checkIns, teamMembers, '7d');
-
-      // Evaluate alerts
-      const triggeredAlerts = await alertService.evaluateAlerts(teamId, teamData);
+      const { alerts: triggeredAlerts, teamData, anomalies } = evaluation;
 
       res.json({
         success: true,
         data: {
           alerts: triggeredAlerts,
           teamData: teamData,
+          anomalies,
           evaluatedAt: new Date().toISOString()
         },
         message: `${triggeredAlerts.length} alerts triggered`
@@ -560,11 +634,410 @@ router.post('/:teamId/alerts/evaluate',
   }
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertHistoryEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         alert_id:
+ *           type: string
+ *           format: uuid
+ *         action:
+ *           type: string
+ *           enum: [triggered, acknowledge, resolve, snooze, escalate]
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *         to_status:
+ *           type: string
+ *           enum: [open, acknowledged, snoozed, resolved]
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         details:
+ *           type: object
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Build a handler that moves an alert through its lifecycle (managers only)
+ * @param {string} action - acknowledge, resolve or snooze
+ * @param {Function} getDetails - Extracts transition details from the request
+ * @returns {Function} Express handler
+ */
+const alertTransitionHandler = (action, getDetails = () => ({})) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { teamId, alertId } = req.params;
+    const userId = req.user.id;
+
+    // Check team membership and manager role
+    const { data: membership, error: membershipError } = await supabase
+      .from('team_members')
+      .select('role')
+      .eq('team_id', teamId)
+      .eq('user_id', userId)
+      .single();
+
+    if (membershipError || !membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this team'
+      });
+    }
+
+    if (membership.role !== 'manager') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only managers can manage alerts'
+      });
+    }
+
+    const alert = await alertService.getAlert(teamId, alertId);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (!alertService.canTransition(alert, action)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} an alert that is ${alert.status}`
+      });
+    }
+
+    const updated = await alertService.transitionAlert(alert, action, userId, getDetails(req));
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Alert was updated by someone else; reload it and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+      message: `Alert ${updated.status}`
+    });
+
+  } catch (error) {
+    console.error(`Alert ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alerts/{alertId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open or snoozed alert
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamInsight'
+ *                 message:
+ *                   type: string
+ *       403:
+ *         description: Only managers can manage alerts
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is already acknowledged or resolved
+ */
+router.post('/:teamId/alerts/:alertId/acknowledge',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('alertId').isUUID().withMessage('Invalid alert ID'),
+  ],
+  alertTransitionHandler('acknowledge')
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alerts/{alertId}/resolve:
+ *   post:
+ *     summary: Resolve an alert
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: What was done to resolve the alert
+ *     responses:
+ *       200:
+ *         description: Alert resolved
+ *       403:
+ *         description: Only managers can manage alerts
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is already resolved
+ */
+router.post('/:teamId/alerts/:alertId/resolve',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('alertId').isUUID().withMessage('Invalid alert ID'),
+    body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must not exceed 1000 characters'),
+  ],
+  alertTransitionHandler('resolve', (req) => ({ note: req.body.note || null }))
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alerts/{alertId}/snooze:
+ *   post:
+ *     summary: Snooze an unresolved alert until a given time
+ *     description: Snoozed alerts are hidden from active alerts until the snooze ends, then return to their previous state.
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the snooze ends (at most 30 days ahead)
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 43200
+ *                 description: Snooze duration, used when until is not given
+ *     responses:
+ *       200:
+ *         description: Alert snoozed
+ *       400:
+ *         description: Invalid snooze time
+ *       403:
+ *         description: Only managers can manage alerts
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is already resolved
+ */
+router.post('/:teamId/alerts/:alertId/snooze',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('alertId').isUUID().withMessage('Invalid alert ID'),
+    body('until')
+      .optional()
+      .isISO8601()
+      .withMessage('until must be an ISO 8601 date')
+      .custom(until => {
+        const ms = new Date(until).getTime() - Date.now();
+        return ms > 0 && ms <= MAX_SNOOZE_MINUTES * 60 * 1000;
+      })
+      .withMessage('until must be in the future and at most 30 days ahead'),
+    body('minutes')
+      .if(body('until').not().exists())
+      .isInt({ min: 5, max: MAX_SNOOZE_MINUTES })
+      .withMessage('Provide until, or minutes between 5 and 43200')
+      .toInt(),
+  ],
+  alertTransitionHandler('snooze', (req) => ({
+    snoozedUntil: req.body.until
+      ? new Date(req.body.until).toISOString()
+      : new Date(Date.now() + req.body.minutes * 60 * 1000).toISOString()
+  }))
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/alerts/{alertId}/history:
+ *   get:
+ *     summary: Get the lifecycle history of an alert
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alert history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertHistoryEntry'
+ *       403:
+ *         description: Not a team member
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/:teamId/alerts/:alertId/history',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('alertId').isUUID().withMessage('Invalid alert ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, alertId } = req.params;
+      const userId = req.user.id;
+
+      // Check team membership
+      const { data: membership, error: membershipError } = await supabase
+        .from('team_members')
+        .select('role')
+        .eq('team_id', teamId)
+        .eq('user_id', userId)
+        .single();
+
+      if (membershipError || !membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      const alert = await alertService.getAlert(teamId, alertId);
+
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+
+      const history = await alertService.getAlertHistory(teamId, alertId);
+
+      res.json({
+        success: true,
+        data: history
+      });
+
+    } catch (error) {
+      console.error('Get alert history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/teams/{teamId}/export:
  *   post:
  *     summary: Export team analytics report
+ *     description: |
+ *       Queues the export as a background job and returns straight away. Poll
+ *       GET /api/teams/{teamId}/exports/jobs/{jobId} for progress; the requester is
+ *       also notified when the file is ready.
  *     tags: [Analytics & Insights]
  *     security:
  *       - bearerAuth: []
@@ -587,13 +1060,31 @@ router.post('/:teamId/alerts/evaluate',
  *             properties:
  *               format:
  *                 type: string
- *                 enum: [csv, json, summary]
- *                 description: Export format (csv, json, or summary)
+ *                 enum: [csv, json, xlsx, summary, pdf]
+ *                 description: Export format (csv, json, xlsx, summary, or pdf); xlsx is a workbook with one sheet per section, summary and pdf are executive summaries, pdf with charts
+ *               layout:
+ *                 type: string
+ *                 enum: [report, tidy]
+ *                 default: report
+ *                 description: CSV only. report is a single file with one titled table per section; tidy is a zip with one single-table CSV per section
  *               period:
  *                 type: string
  *                 enum: [7d, 30d, 90d]
  *                 default: 30d
- *                 description: Time period for export
+ *                 description: Time period for export, measured back from when the job starts (ignored when from or to is given)
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of a custom range (defaults to `period` before `to`)
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of a custom range (defaults to now). Ranges are limited to 366 days
+ *               granularity:
+ *                 type: string
+ *                 enum: [hour, day, week, month]
+ *                 default: day
+ *                 description: Size of the daily trends buckets, in the team's timezone. Hourly buckets are limited to 31-day ranges
  *               includeCheckIns:
  *                 type: boolean
  *                 default: true
@@ -603,8 +1094,8 @@ router.post('/:teamId/alerts/evaluate',
  *             period: "7d"
  *             includeCheckIns: true
  *     responses:
- *       200:
- *         description: Report exported successfully
+ *       202:
+ *         description: Export queued
  *         content:
  *           application/json:
  *             schema:
@@ -613,21 +1104,7 @@ router.post('/:teamId/alerts/evaluate',
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
- *                   properties:
- *                     filename:
- *                       type: string
- *                       description: Generated filename
- *                     size:
- *                       type: string
- *                       description: File size (formatted)
- *                     recordCount:
- *                       type: integer
- *                       description: Number of records exported
- *                     exportedAt:
- *                       type: string
- *                       format: date-time
- *                       description: Export timestamp
+ *                   $ref: '#/components/schemas/ExportJob'
  *                 message:
  *                   type: string
  *       400:
@@ -636,15 +1113,18 @@ router.post('/:teamId/alerts/evaluate',
  *         description: Unauthorized
  *       403:
  *         description: Only managers can export reports
- *       404:
- *         description: Team not found 
  */
 router.post('/:teamId/export',
   authenticateUser,
   [
     param('teamId').isUUID().withMessage('Invalid team ID'),
-    body('format').isIn(['csv', 'json', 'summary']).withMessage('Format must be csv, json, or summary'),
+    body('format').isIn(['csv', 'json', 'xlsx', 'summary', 'pdf']).withMessage('Format must be csv, json, xlsx, summary, or pdf'),
+    body('layout').optional().isIn(['report', 'tidy']).withMessage('Layout must be report or tidy')
+      .custom((layout, { req }) => layout === 'report' || req.body.format === 'csv').withMessage('Layout is only supported for csv exports'),
     body('period').optional().isIn(['7d', '30d', '90d']).withMessage('Invalid period'),
+    body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    body('granularity').optional().isIn(GRANULARITIES).withMessage('Granularity must be hour, day, week or month'),
     body('includeCheckIns').optional().isBoolean().withMessage('includeCheckIns must be boolean'),
   ],
   async (req, res) => {
@@ -659,9 +1139,19 @@ router.post('/:teamId/export',
       }
 
       const { teamId } = req.params;
-      const { format, period = '30d', includeCheckIns = true } = req.body;
+      const { format, layout = 'report', period = '30d', from, to, granularity = 'day', includeCheckIns = true } = req.body;
       const userId = req.user.id;
 
+      // Relative periods are resolved when the job starts; explicit ranges are fixed now
+      const range = resolveAnalyticsRange({ period, from, to });
+      const rangeError = validateAnalyticsRange(range, granularity);
+      if (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError
+        });
+      }
+
       // Check if user is a manager
       const { data: membership, error: membershipError } = await supabase
         .from('team_members')
@@ -684,101 +1174,23 @@ router.post('/:teamId/export',
         });
       }
 
-      // Get team info
-      const { data: team, error: teamError } = await supabase
-        .from('teams')
-        .select('name')
-        .eq('id', teamId)
-        .single();
-
-      if (teamError) {
-        return res.status(404).json({
-          success: false,
-          message: 'Team not found'
-        });
-      }
-
-      // Get data for export
-      const periodHours = {
-        '7d': 24 * 7,
-        '30d': 24 * 30,
-        '90d': 24 * 90
-      };
-
-      const hoursAgo = periodHours[period];
-      const fromDate = new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
-
-      // Fetch team data
-      const [checkInsResult, teamMembersResult, insightsResult] = await Promise.all([
-        includeCheckIns ? supabase
-          .from('check_ins')
-          .select(`
-            *,
-            profiles:user_id (
-              full_name
-            )
-          `)
-          .eq('team_id', teamId)
-          .gte('created_at', fromDate)
-          .order('created_at', { ascending: false }) : Promise.resolve({ data: [] }),
-
-        supabase
-          .from('team_members')
-          .select('user_id')
-          .eq('team_id', teamId),
-
-        supabase
-          .from('team_insights')
-          .select('*')
-          .eq('team_id', teamId)
-          .gte('generated_at', fromDate)
-          .order('generated_at', { ascending: false })
-      ]);
-
-      const checkIns = checkInsResult.data || [];
-      const teamMembers = teamMembersResult.data || [];
-      const insights = insightsResult.data || [];
-
-      // Calculate analytics
-      const teamData = calculateAnalytics(checkIns, teamMembers, period);
-
-      // Export based on format
-      let exportResult;
-      const options = {
-        teamName: team.name,
+      const job = await exportJobService.createJob(teamId, userId, {
+        format,
+        layout,
         period,
+        range: range.period === 'custom' ? range : null,
+        granularity,
         includeCheckIns
-      };
-
-      switch (format) {
-        case 'csv':
-          exportResult = await exportService.exportToCSV(teamData, checkIns, options);
-          break;
-        case 'json':
-          exportResult = await exportService.exportToJSON(teamData, checkIns, insights, options);
-          break;
-        case 'summary':
-          const alertStats = await alertService.getAlertStatistics(teamId, 30);
-          exportResult = await exportService.generateExecutiveSummary(teamData, insights, alertStats, options);
-          break;
-        default:
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid export format'
-          });
-      }
-
-      res.json({
-        success: true,
-        data: {
-          filename: exportResult.filename,
-          size: exportService.formatFileSize(exportResult.size),
-          recordCount: exportResult.recordCount || 0,
-          exportedAt: new Date().toISOString()
-        },
-        message: 'Report exported successfully'
       });
 
+      res.status(202)
+        .location(`/api/teams/${teamId}/exports/jobs/${job.id}`)
+        .json({
+          success: true,
+          data: exportJobService.describeJob(job),
+          message: 'Export queued'
+        });
+
     } catch (error) {
       console.error('Export error:', error);
       res.status(500).json({
@@ -0,0 +1,420 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const slackService = require('../services/slackService');
+
+const router = express.Router();
+
+// Test messages hit a third-party endpoint, so keep them infrequent
+const slackTestRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Maximum 10 test messages per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many Slack test messages. Please wait before trying again.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Look up the caller's membership in a team, including the team name
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { role, teams: { name } } or null if not a member
+ */
+const getMembership = async (teamId, userId) => {
+  const { data: membership, error } = await supabase
+    .from('team_members')
+    .select('role, teams (name)')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !membership) {
+    return null;
+  }
+
+  return membership;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlackIntegration:
+ *       type: object
+ *       properties:
+ *         configured:
+ *           type: boolean
+ *         enabled:
+ *           type: boolean
+ *         webhook_url:
+ *           type: string
+ *           nullable: true
+ *           description: Masked incoming webhook URL
+ *           example: "https://hooks.slack.com/services/T000/B000/••••••••"
+ *         notify:
+ *           type: array
+ *           description: Notification types posted to the channel. Adding `digest` batches the non-critical ones into an hourly digest instead of posting them one by one.
+ *           items:
+ *             type: string
+ *             enum: [team_alert, alert_escalation, weekly_summary, digest]
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/integrations/slack:
+ *   get:
+ *     summary: Get the team's Slack integration
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Slack integration settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SlackIntegration'
+ *       403:
+ *         description: Only managers can manage integrations
+ *   put:
+ *     summary: Configure the team's Slack incoming webhook
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               webhook_url:
+ *                 type: string
+ *                 description: Slack incoming webhook URL (required the first time)
+ *               enabled:
+ *                 type: boolean
+ *               notify:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [team_alert, alert_escalation, weekly_summary, digest]
+ *     responses:
+ *       200:
+ *         description: Slack integration saved
+ *       400:
+ *         description: Invalid webhook URL
+ *       403:
+ *         description: Only managers can manage integrations
+ *   delete:
+ *     summary: Remove the team's Slack integration
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Slack integration removed
+ *       403:
+ *         description: Only managers can manage integrations
+ */
+router.get('/:teamId/integrations/slack',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (membership?.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage integrations'
+        });
+      }
+
+      const config = await slackService.getTeamConfig(teamId);
+
+      res.json({
+        success: true,
+        data: slackService.describeConfig(config)
+      });
+
+    } catch (error) {
+      console.error('Get Slack integration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.put('/:teamId/integrations/slack',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    body('webhook_url')
+      .optional()
+      .trim()
+      .custom(url => slackService.isSlackWebhookUrl(url))
+      .withMessage('webhook_url must be a https://hooks.slack.com/ incoming webhook URL'),
+    body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+    body('notify')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('notify must be a non-empty array'),
+    body('notify.*')
+      .isIn(slackService.notificationTypes)
+      .withMessage(`notify must contain: ${slackService.notificationTypes.join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+      const { webhook_url, enabled, notify } = req.body;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (membership?.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage integrations'
+        });
+      }
+
+      const existing = await slackService.getTeamConfig(teamId);
+      if (!existing && !webhook_url) {
+        return res.status(400).json({
+          success: false,
+          message: 'webhook_url is required to set up Slack'
+        });
+      }
+
+      const updates = {};
+      if (webhook_url !== undefined) updates.webhook_url = webhook_url;
+      if (enabled !== undefined) updates.enabled = enabled;
+      if (notify !== undefined) updates.notify = notify;
+
+      await slackService.saveTeamConfig(teamId, updates);
+      const config = await slackService.getTeamConfig(teamId);
+
+      res.json({
+        success: true,
+        data: slackService.describeConfig(config),
+        message: 'Slack integration saved successfully'
+      });
+
+    } catch (error) {
+      console.error('Save Slack integration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.delete('/:teamId/integrations/slack',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (membership?.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage integrations'
+        });
+      }
+
+      await slackService.saveTeamConfig(teamId, null);
+
+      res.json({
+        success: true,
+        message: 'Slack integration removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete Slack integration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/integrations/slack/test:
+ *   post:
+ *     summary: Send a test message to the team's Slack channel
+ *     description: Uses the saved webhook, or the webhook_url in the body to check a URL before saving it.
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               webhook_url:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Test message delivered
+ *       400:
+ *         description: Slack is not configured for this team
+ *       403:
+ *         description: Only managers can manage integrations
+ *       429:
+ *         description: Too many test messages
+ *       502:
+ *         description: Slack rejected the message or could not be reached
+ */
+router.post('/:teamId/integrations/slack/test',
+  authenticateUser,
+  slackTestRateLimit,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    body('webhook_url')
+      .optional()
+      .trim()
+      .custom(url => slackService.isSlackWebhookUrl(url))
+      .withMessage('webhook_url must be a https://hooks.slack.com/ incoming webhook URL'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (membership?.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage integrations'
+        });
+      }
+
+      const webhookUrl = req.body.webhook_url || (await slackService.getTeamConfig(teamId))?.webhook_url;
+      if (!webhookUrl) {
+        return res.status(400).json({
+          success: false,
+          message: 'Slack is not configured for this team'
+        });
+      }
+
+      const payload = slackService.buildMessage({
+        type: 'test_notification',
+        team_id: teamId,
+        team_name: membership.teams?.name || 'Your team',
+        title: 'Test Notification',
+        content: 'Slack is connected. Team alerts will be posted to this channel.',
+        severity: 'info',
+        priority: 5,
+        triggered_at: new Date().toISOString()
+      });
+
+      try {
+        const delivery = await slackService.postMessage(webhookUrl, payload);
+
+        res.json({
+          success: true,
+          data: delivery,
+          message: 'Test message sent to Slack'
+        });
+      } catch (deliveryError) {
+        res.status(502).json({
+          success: false,
+          message: deliveryError.message
+        });
+      }
+
+    } catch (error) {
+      console.error('Slack test error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateUser, requireRole } = require('../../middleware/auth');
+const schedulerService = require('../services/schedulerService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         job_name:
+ *           type: string
+ *           example: weekly_summaries
+ *         status:
+ *           type: string
+ *           enum: [success, partial, failed]
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *         result:
+ *           type: object
+ *           description: Job-specific summary, e.g. processed teams and per-team errors
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Get background scheduler status
+ *     tags: [Background Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduler status
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/',
+  authenticateUser,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: schedulerService.getStatus()
+      });
+    } catch (error) {
+      console.error('Get scheduler status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/jobs/runs:
+ *   get:
+ *     summary: Get background job run history
+ *     tags: [Background Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: Filter by job name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, partial, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRun'
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/runs',
+  authenticateUser,
+  requireRole('admin'),
+  [
+    query('job').optional().isString().trim().notEmpty().withMessage('Invalid job name'),
+    query('status').optional().isIn(['success', 'partial', 'failed']).withMessage('Invalid status'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { job, status, limit = 20 } = req.query;
+
+      const runs = await schedulerService.getRunHistory({
+        jobName: job,
+        status,
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: runs
+      });
+
+    } catch (error) {
+      console.error('Get job runs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const wellbeingService = require('../services/wellbeingService');
+const { resolveTimezone } = require('../utils/timezone');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MemberWellbeing:
+ *       type: object
+ *       description: |
+ *         Built only from the member's own non-anonymous check-ins. With fewer than
+ *         `min_data_points` of them only `sufficient_data`, `data_points` and `min_data_points` are returned.
+ *       properties:
+ *         team_id:
+ *           type: string
+ *           format: uuid
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         days:
+ *           type: integer
+ *         sufficient_data:
+ *           type: boolean
+ *         data_points:
+ *           type: integer
+ *         min_data_points:
+ *           type: integer
+ *         timezone:
+ *           type: string
+ *           example: America/New_York
+ *         first_check_in:
+ *           type: string
+ *           format: date-time
+ *         last_check_in:
+ *           type: string
+ *           format: date-time
+ *         recent:
+ *           type: object
+ *           description: Averages over the rolling window ending on the latest check-in
+ *           properties:
+ *             days:
+ *               type: integer
+ *             average_mood:
+ *               type: number
+ *             average_energy:
+ *               type: number
+ *             average_sentiment:
+ *               type: number
+ *               nullable: true
+ *         trend:
+ *           type: object
+ *           properties:
+ *             direction:
+ *               type: string
+ *               enum: [declining, stable, improving]
+ *             mood_per_week:
+ *               type: number
+ *               nullable: true
+ *             energy_per_week:
+ *               type: number
+ *               nullable: true
+ *             sentiment_per_week:
+ *               type: number
+ *               nullable: true
+ *         streaks:
+ *           type: object
+ *           properties:
+ *             low_score:
+ *               type: integer
+ *               description: Mood or energy at or below this counts as a low check-in
+ *             current_low:
+ *               type: integer
+ *             longest_low:
+ *               type: integer
+ *         burnout_risk:
+ *           type: object
+ *           properties:
+ *             score:
+ *               type: integer
+ *               minimum: 0
+ *               maximum: 100
+ *             level:
+ *               type: string
+ *               enum: [low, moderate, high]
+ *             factors:
+ *               type: object
+ *               description: Each factor's value (0-1) and its weight in the score
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   value:
+ *                     type: number
+ *                   weight:
+ *                     type: number
+ *         daily:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               count:
+ *                 type: integer
+ *               avg_mood:
+ *                 type: number
+ *               avg_energy:
+ *                 type: number
+ *               avg_sentiment:
+ *                 type: number
+ *                 nullable: true
+ *               rolling_mood:
+ *                 type: number
+ *               rolling_energy:
+ *                 type: number
+ *               rolling_sentiment:
+ *                 type: number
+ *                 nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/members/{userId}/wellbeing:
+ *   get:
+ *     summary: Get a member's wellbeing trend and burnout risk
+ *     description: |
+ *       Available to the team's managers and to the member themselves. Anonymous check-ins are
+ *       never included. Managers are also alerted privately when a member's risk is high.
+ *     tags: [Analytics & Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 7
+ *           maximum: 90
+ *           default: 30
+ *         description: Days of check-ins to assess
+ *     responses:
+ *       200:
+ *         description: Member wellbeing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/MemberWellbeing'
+ *       403:
+ *         description: Only managers can view other members' wellbeing
+ *       404:
+ *         description: Member not found in this team
+ */
+router.get('/:teamId/members/:userId/wellbeing',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    query('days').optional().isInt({ min: 7, max: 90 }).withMessage('Days must be between 7 and 90'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, userId } = req.params;
+      const days = parseInt(req.query.days) || 30;
+
+      // Check if user is a member of the team
+      const { data: membership, error: membershipError } = await supabase
+        .from('team_members')
+        .select('role, teams (settings)')
+        .eq('team_id', teamId)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (membershipError || !membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (membership.role !== 'manager' && userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can view other members\' wellbeing'
+        });
+      }
+
+      const { data: member, error: memberError } = await supabase
+        .from('team_members')
+        .select('user_id')
+        .eq('team_id', teamId)
+        .eq('user_id', userId)
+        .single();
+
+      if (memberError && memberError.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw memberError;
+      }
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found in this team'
+        });
+      }
+
+      const wellbeing = await wellbeingService.getMemberWellbeing(teamId, userId, {
+        days,
+        timezone: resolveTimezone(membership.teams?.settings?.timezone)
+      });
+
+      res.json({
+        success: true,
+        data: wellbeing
+      });
+
+    } catch (error) {
+      console.error('Member wellbeing error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
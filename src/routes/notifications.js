@@ -0,0 +1,725 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const pushService = require('../services/pushService');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+// Test notifications reach real inboxes and third-party services, so keep them infrequent
+const testNotificationRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Maximum 10 test notifications per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many test notifications. Please wait before trying again.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           example: team_alert
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: Related team, alert and severity details
+ *         read:
+ *           type: boolean
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     PushToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         device_id:
+ *           type: string
+ *         platform:
+ *           type: string
+ *           enum: [web, android, ios]
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's notification inbox
+ *     description: Newest first. Live notifications arrive on the `notification` socket event; reads made elsewhere arrive on `notifications_read`.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only return unread notifications
+ *     responses:
+ *       200:
+ *         description: Inbox page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unread_count:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ */
+router.get('/',
+  authenticateUser,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('unread').optional().isBoolean().withMessage('unread must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const unread = req.query.unread === 'true';
+
+      const [{ notifications, total }, unreadCount] = await Promise.all([
+        notificationService.getInbox(req.user.id, { page, limit, unreadOnly: unread }),
+        notificationService.getUnreadCount(req.user.id)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: notifications,
+        unread_count: unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unread_count:
+ *                       type: integer
+ */
+router.get('/unread-count',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        data: { unread_count: unreadCount }
+      });
+
+    } catch (error) {
+      console.error('Get unread count error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     marked:
+ *                       type: integer
+ */
+router.post('/read-all',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const marked = await notificationService.markAllNotificationsRead(req.user.id);
+
+      res.json({
+        success: true,
+        data: { marked },
+        message: 'All notifications marked as read'
+      });
+
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/{notificationId}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:notificationId/read',
+  authenticateUser,
+  [
+    param('notificationId').isUUID().withMessage('Invalid notification ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const notification = await notificationService.markNotificationRead(req.user.id, req.params.notificationId);
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: notification
+      });
+
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/test:
+ *   post:
+ *     summary: Send a test notification over one channel
+ *     description: Bypasses quiet hours and digests. Testing Slack posts to a team's channel and requires the manager role in that team.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [channel]
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [in_app, email, push, slack]
+ *               team_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Team whose Slack channel to test (required for slack)
+ *     responses:
+ *       200:
+ *         description: Test notification delivered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                     success:
+ *                       type: boolean
+ *                     details:
+ *                       type: object
+ *                       description: Channel-specific delivery details (message ID, devices reached, Slack attempts)
+ *       403:
+ *         description: Only managers can test a team's Slack channel
+ *       429:
+ *         description: Too many test notifications
+ *       502:
+ *         description: The channel failed to deliver; the reason is logged on the server
+ */
+router.post('/test',
+  authenticateUser,
+  testNotificationRateLimit,
+  [
+    body('channel')
+      .isIn(['in_app', 'email', 'push', 'slack'])
+      .withMessage('channel must be in_app, email, push or slack'),
+    body('team_id')
+      .if(body('channel').equals('slack'))
+      .isUUID()
+      .withMessage('team_id is required to test Slack'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { channel, team_id: teamId } = req.body;
+      const options = {};
+
+      if (channel === 'slack') {
+        const { data: membership } = await supabase
+          .from('team_members')
+          .select('role, teams (name)')
+          .eq('team_id', teamId)
+          .eq('user_id', req.user.id)
+          .single();
+
+        if (membership?.role !== 'manager') {
+          return res.status(403).json({
+            success: false,
+            message: 'Only managers can manage integrations'
+          });
+        }
+
+        options.team = { id: teamId, name: membership.teams?.name };
+      }
+
+      const result = await notificationService.sendTestNotification(req.user.id, channel, options);
+
+      // The reason can carry upstream responses, so it stays in the server log (see sendTestNotification)
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          data: { method: result.method, success: false },
+          message: `Test notification via ${channel} could not be delivered`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: `Test notification sent via ${channel}`
+      });
+
+    } catch (error) {
+      console.error('Test notification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/push/vapid-public-key:
+ *   get:
+ *     summary: Get the VAPID public key for subscribing to Web Push
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: VAPID public key (applicationServerKey)
+ *       503:
+ *         description: Push notifications are not configured
+ */
+router.get('/push/vapid-public-key',
+  authenticateUser,
+  async (req, res) => {
+    if (!pushService.enabled || !pushService.publicKey) {
+      return res.status(503).json({
+        success: false,
+        message: 'Push notifications are not configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { public_key: pushService.publicKey }
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/push-tokens:
+ *   get:
+ *     summary: List the current user's registered push devices
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PushToken'
+ *   post:
+ *     summary: Register or refresh a device's push subscription
+ *     description: Registering the same device_id again replaces its subscription.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [device_id, subscription]
+ *             properties:
+ *               device_id:
+ *                 type: string
+ *                 description: Stable identifier chosen by the client for this device
+ *               platform:
+ *                 type: string
+ *                 enum: [web, android, ios]
+ *                 default: web
+ *               subscription:
+ *                 type: object
+ *                 description: PushSubscription as returned by pushManager.subscribe()
+ *                 required: [endpoint, keys]
+ *                 properties:
+ *                   endpoint:
+ *                     type: string
+ *                     description: https URL on a browser push service (FCM, Mozilla, Apple or WNS)
+ *                   expirationTime:
+ *                     type: number
+ *                     nullable: true
+ *                   keys:
+ *                     type: object
+ *                     properties:
+ *                       p256dh:
+ *                         type: string
+ *                       auth:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Device registered
+ *       400:
+ *         description: Invalid subscription
+ */
+router.get('/push-tokens',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const tokens = await pushService.getTokens(req.user.id);
+
+      res.json({
+        success: true,
+        data: tokens
+      });
+
+    } catch (error) {
+      console.error('Get push tokens error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.post('/push-tokens',
+  authenticateUser,
+  [
+    body('device_id')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('device_id is required (max 200 characters)'),
+    body('platform')
+      .optional()
+      .isIn(['web', 'android', 'ios'])
+      .withMessage('platform must be web, android or ios'),
+    body('subscription.endpoint')
+      .custom(endpoint => pushService.isAllowedEndpoint(endpoint))
+      .withMessage('subscription.endpoint must be an https URL of a browser push service'),
+    body('subscription.keys.p256dh')
+      .isString()
+      .notEmpty()
+      .withMessage('subscription.keys.p256dh is required'),
+    body('subscription.keys.auth')
+      .isString()
+      .notEmpty()
+      .withMessage('subscription.keys.auth is required'),
+    body('subscription.expirationTime')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('subscription.expirationTime must be a timestamp in milliseconds')
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { device_id, platform, subscription } = req.body;
+
+      const token = await pushService.registerToken(req.user.id, {
+        device_id,
+        platform,
+        subscription: {
+          endpoint: subscription.endpoint,
+          expirationTime: subscription.expirationTime || null,
+          keys: {
+            p256dh: subscription.keys.p256dh,
+            auth: subscription.keys.auth
+          }
+        },
+        user_agent: req.get('user-agent') || null
+      });
+
+      res.status(201).json({
+        success: true,
+        data: token,
+        message: 'Push device registered successfully'
+      });
+
+    } catch (error) {
+      console.error('Register push token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notifications/push-tokens/{deviceId}:
+ *   delete:
+ *     summary: Revoke a device's push subscription
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device revoked
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/push-tokens/:deviceId',
+  authenticateUser,
+  [
+    param('deviceId').trim().isLength({ min: 1, max: 200 }).withMessage('Invalid device ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const revoked = await pushService.revokeToken(req.user.id, req.params.deviceId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Push device not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Push device revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke push token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,474 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const reminderService = require('../services/reminderService');
+const { isValidTimezone } = require('../utils/timezone');
+
+const router = express.Router();
+
+const LOCAL_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Shared validators for create and update
+const scheduleValidators = (isUpdate) => [
+  (isUpdate ? body('local_time').optional() : body('local_time'))
+    .matches(LOCAL_TIME_PATTERN)
+    .withMessage('local_time must be in HH:MM 24-hour format'),
+  body('weekdays')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('weekdays must be a non-empty array'),
+  body('weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('weekdays must contain integers from 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('timezone must be a valid IANA timezone'),
+  body('message')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('message must not exceed 500 characters'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+    .toBoolean(),
+];
+
+/**
+ * Look up the caller's team membership and team settings
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Membership with joined team settings
+ */
+const getMembership = async (teamId, userId) => {
+  const { data: membership, error } = await supabase
+    .from('team_members')
+    .select('role, teams (settings)')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !membership) {
+    return null;
+  }
+
+  return membership;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         team_id:
+ *           type: string
+ *           format: uuid
+ *         local_time:
+ *           type: string
+ *           example: "16:00"
+ *           description: Local time (HH:MM) after which members who haven't checked in are reminded
+ *         weekdays:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           example: [1, 2, 3, 4, 5]
+ *           description: Days the reminder runs on (0 = Sunday)
+ *         timezone:
+ *           type: string
+ *           example: America/New_York
+ *         message:
+ *           type: string
+ *           nullable: true
+ *           description: Custom reminder text
+ *         enabled:
+ *           type: boolean
+ *         last_sent_on:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ReminderScheduleInput:
+ *       type: object
+ *       properties:
+ *         local_time:
+ *           type: string
+ *           example: "16:00"
+ *         weekdays:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [1, 2, 3, 4, 5]
+ *         timezone:
+ *           type: string
+ *           example: America/New_York
+ *         message:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/reminders:
+ *   get:
+ *     summary: List check-in reminder schedules for a team
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Reminder schedules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReminderSchedule'
+ *       403:
+ *         description: Not a team member
+ */
+router.get('/:teamId/reminders',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      const schedules = await reminderService.getSchedules(teamId);
+
+      res.json({
+        success: true,
+        data: schedules
+      });
+
+    } catch (error) {
+      console.error('Get reminder schedules error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/reminders:
+ *   post:
+ *     summary: Create a check-in reminder schedule
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ReminderScheduleInput'
+ *               - required: [local_time]
+ *     responses:
+ *       201:
+ *         description: Reminder schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReminderSchedule'
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Only managers can manage reminders
+ */
+router.post('/:teamId/reminders',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    ...scheduleValidators(false),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (membership.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage reminders'
+        });
+      }
+
+      const schedule = await reminderService.createSchedule(teamId, {
+        ...req.body,
+        timezone: req.body.timezone || membership.teams?.settings?.timezone
+      }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: schedule,
+        message: 'Reminder schedule created successfully'
+      });
+
+    } catch (error) {
+      console.error('Create reminder schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/reminders/{reminderId}:
+ *   put:
+ *     summary: Update a check-in reminder schedule
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: reminderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Reminder schedule updated
+ *       403:
+ *         description: Only managers can manage reminders
+ *       404:
+ *         description: Reminder schedule not found
+ *   delete:
+ *     summary: Delete a check-in reminder schedule
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: reminderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Reminder schedule deleted
+ *       403:
+ *         description: Only managers can manage reminders
+ *       404:
+ *         description: Reminder schedule not found
+ */
+router.put('/:teamId/reminders/:reminderId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('reminderId').isUUID().withMessage('Invalid reminder ID'),
+    ...scheduleValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, reminderId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (membership.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage reminders'
+        });
+      }
+
+      const schedule = await reminderService.updateSchedule(teamId, reminderId, req.body);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reminder schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule,
+        message: 'Reminder schedule updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Update reminder schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.delete('/:teamId/reminders/:reminderId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('reminderId').isUUID().withMessage('Invalid reminder ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, reminderId } = req.params;
+
+      const membership = await getMembership(teamId, req.user.id);
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this team'
+        });
+      }
+
+      if (membership.role !== 'manager') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage reminders'
+        });
+      }
+
+      const deleted = await reminderService.deleteSchedule(teamId, reminderId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reminder schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reminder schedule deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete reminder schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,663 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const supabase = require('../../config/supabase');
+const { authenticateUser } = require('../../middleware/auth');
+const webhookService = require('../services/webhookService');
+
+const router = express.Router();
+
+/**
+ * Check that the caller manages the team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user is a manager of the team
+ */
+const isTeamManager = async (teamId, userId) => {
+  const { data: membership, error } = await supabase
+    .from('team_members')
+    .select('role')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .single();
+
+  return !error && membership?.role === 'manager';
+};
+
+const subscriptionValidators = [
+  body('url')
+    .optional()
+    .trim()
+    .custom(url => webhookService.validateTargetUrl(url)),
+  body('event_types')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('event_types must be a non-empty array'),
+  body('event_types.*')
+    .isIn(webhookService.eventTypes)
+    .withMessage(`event_types must contain: ${webhookService.eventTypes.join(', ')}`),
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 128 })
+    .withMessage('secret must be between 16 and 128 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('description must not exceed 200 characters'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         url:
+ *           type: string
+ *         event_types:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [checkin_submitted, alert_triggered, insight_generated, team_activity]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         enabled:
+ *           type: boolean
+ *         secret_hint:
+ *           type: string
+ *           description: First characters of the signing secret
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         event_id:
+ *           type: string
+ *         event_type:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, retrying, dead_letter]
+ *         attempts:
+ *           type: integer
+ *         response_status:
+ *           type: integer
+ *           nullable: true
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         redelivery_of:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         payload:
+ *           type: object
+ *           description: Event envelope { id, type, team_id, created_at, data }
+ */
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/webhooks:
+ *   get:
+ *     summary: List the team's webhook subscriptions
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       403:
+ *         description: Only managers can manage webhooks
+ *   post:
+ *     summary: Subscribe a URL to team events
+ *     description: |
+ *       Each delivery is a JSON POST signed with the subscription secret.
+ *       The X-TeamPulse-Signature header has the form `t=<unix seconds>,v1=<hex>`, where
+ *       v1 is HMAC-SHA256 of `<t>.<raw body>`. Failed deliveries are retried with
+ *       exponential backoff and end up in the dead-letter list when attempts run out.
+ *       The envelope `id` is the same for every delivery of an event, so receivers can use it to dedupe.
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, event_types]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: Public https URL; hosts resolving to private or internal addresses are rejected
+ *               event_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [checkin_submitted, alert_triggered, insight_generated, team_activity]
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret; generated when omitted
+ *               description:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Subscription created; the response includes the secret once
+ *       400:
+ *         description: Invalid subscription
+ *       403:
+ *         description: Only managers can manage webhooks
+ */
+router.get('/:teamId/webhooks',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage webhooks'
+        });
+      }
+
+      const subscriptions = await webhookService.getSubscriptions(teamId);
+
+      res.json({
+        success: true,
+        data: subscriptions.map(subscription => webhookService.describeSubscription(subscription))
+      });
+
+    } catch (error) {
+      console.error('Get webhooks error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.post('/:teamId/webhooks',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    body('url').exists().withMessage('url is required'),
+    body('event_types').exists().withMessage('event_types is required'),
+    ...subscriptionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId } = req.params;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage webhooks'
+        });
+      }
+
+      const subscription = await webhookService.createSubscription(teamId, req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...webhookService.describeSubscription(subscription),
+          secret: subscription.secret
+        },
+        message: 'Webhook created successfully. Store the secret now; it will not be shown again.'
+      });
+
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       403:
+ *         description: Only managers can manage webhooks
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       403:
+ *         description: Only managers can manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:teamId/webhooks/:webhookId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('webhookId').isUUID().withMessage('Invalid webhook ID'),
+    ...subscriptionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, webhookId } = req.params;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage webhooks'
+        });
+      }
+
+      const subscription = await webhookService.updateSubscription(teamId, webhookId, req.body);
+
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: webhookService.describeSubscription(subscription),
+        message: 'Webhook updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+router.delete('/:teamId/webhooks/:webhookId',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('webhookId').isUUID().withMessage('Invalid webhook ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, webhookId } = req.params;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage webhooks'
+        });
+      }
+
+      const deleted = await webhookService.deleteSubscription(teamId, webhookId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook
+ *     description: Filter by status=dead_letter to list deliveries that ran out of retries.
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, retrying, dead_letter]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         description: Only managers can manage webhooks
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:teamId/webhooks/:webhookId/deliveries',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('webhookId').isUUID().withMessage('Invalid webhook ID'),
+    query('status').optional().isIn(['pending', 'delivered', 'retrying', 'dead_letter']).withMessage('Invalid status'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, webhookId } = req.params;
+      const { status, limit = 50 } = req.query;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage webhooks'
+        });
+      }
+
+      const subscription = await webhookService.getSubscription(teamId, webhookId);
+
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      const deliveries = await webhookService.getDeliveries(webhookId, {
+        status,
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: deliveries
+      });
+
+    } catch (error) {
+      console.error('Get webhook deliveries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a previous delivery's event again
+ *     description: Creates a new delivery with the same event payload and attempts it immediately.
+ *     tags: [Integrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Redelivery attempted; check the returned delivery status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         description: Only managers can manage webhooks
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:teamId/webhooks/:webhookId/deliveries/:deliveryId/redeliver',
+  authenticateUser,
+  [
+    param('teamId').isUUID().withMessage('Invalid team ID'),
+    param('webhookId').isUUID().withMessage('Invalid webhook ID'),
+    param('deliveryId').isUUID().withMessage('Invalid delivery ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { teamId, webhookId, deliveryId } = req.params;
+
+      if (!await isTeamManager(teamId, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only managers can manage webhooks'
+        });
+      }
+
+      const subscription = await webhookService.getSubscription(teamId, webhookId);
+      const delivery = subscription && await webhookService.getDelivery(webhookId, deliveryId);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      const redelivery = await webhookService.redeliver(subscription, delivery);
+
+      res.json({
+        success: true,
+        data: redelivery,
+        message: redelivery.status === 'delivered'
+          ? 'Event redelivered successfully'
+          : 'Redelivery failed; it will be retried automatically'
+      });
+
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,13 +1,43 @@
 const supabase = require('../../config/supabase');
 const insightsService = require('./insightsService');
 const notificationService = require('./notificationService');
+const pubsubService = require('./pubsubService');
+const { calculateAnalytics } = require('../utils/analytics');
+const { buildDailySeries, detectLatestAnomalies, DEFAULT_OPTIONS: ANOMALY_DEFAULTS } = require('../utils/anomalyDetection');
+const { resolveTimezone, getZonedDayStart, getZonedDateString, getZonedDateBounds } = require('../utils/timezone');
 
 class AlertService {
   constructor() {
-    this.alertRules = [
+    this.evaluationDebounceMs = parseInt(process.env.ALERT_EVALUATION_DEBOUNCE_MS) || 2 * 60 * 1000;
+    // A steady stream of check-ins still gets evaluated once the first of them has waited this long
+    this.evaluationMaxWaitMs = parseInt(process.env.ALERT_EVALUATION_MAX_WAIT_MS) || 5 * this.evaluationDebounceMs;
+    this.pendingEvaluations = new Map(); // teamId -> { timer, since }
+    this.defaultCooldown = 24 * 60 * 60 * 1000; // Custom rules saved without cooldown_minutes
+
+    // Metrics and comparators available to declarative rules
+    this.ruleMetrics = ['average_mood', 'average_energy', 'average_sentiment', 'participation_rate', 'total_checkins', 'unique_participants'];
+    this.trendMetrics = ['avg_mood', 'avg_energy', 'avg_sentiment'];
+    this.comparators = {
+      lt: (value, threshold) => value < threshold,
+      lte: (value, threshold) => value <= threshold,
+      gt: (value, threshold) => value > threshold,
+      gte: (value, threshold) => value >= threshold,
+      eq: (value, threshold) => value === threshold
+    };
+
+    // Alert lifecycle: open -> acknowledged -> resolved, with snooze from any unresolved state
+    this.alertTransitions = {
+      acknowledge: { from: ['open', 'snoozed'], to: 'acknowledged' },
+      resolve: { from: ['open', 'acknowledged', 'snoozed'], to: 'resolved' },
+      snooze: { from: ['open', 'acknowledged', 'snoozed'], to: 'snoozed' }
+    };
+
+    // Built-in rules; teams can override any of these by name or add their own
+    this.defaultRules = [
       {
         name: 'critical_mood_drop',
-        condition: (data) => data.average_mood < 2.0,
+        conditions: [{ metric: 'average_mood', comparator: 'lt', threshold: 2.0 }],
+        trend: null,
         severity: 'critical',
         title: 'Critical: Team Mood Alert',
         message: 'Team mood has dropped critically low. Immediate intervention required.',
@@ -16,7 +46,8 @@ class AlertService {
       },
       {
         name: 'sentiment_decline',
-        condition: (data) => data.average_sentiment < -0.3 && this.hasNegativeTrend(data.sentiment_trend),
+        conditions: [{ metric: 'average_sentiment', comparator: 'lt', threshold: -0.3 }],
+        trend: { metric: 'avg_sentiment', direction: 'declining' },
         severity: 'warning',
         title: 'Warning: Declining Team Sentiment',
         message: 'Team sentiment is declining and showing negative patterns.',
@@ -25,7 +56,8 @@ class AlertService {
       },
       {
         name: 'low_participation',
-        condition: (data) => data.participation_rate < 0.4,
+        conditions: [{ metric: 'participation_rate', comparator: 'lt', threshold: 0.4 }],
+        trend: null,
         severity: 'warning',
         title: 'Warning: Low Team Engagement',
         message: 'Less than 40% of team members are participating in check-ins.',
@@ -34,7 +66,11 @@ class AlertService {
       },
       {
         name: 'burnout_risk',
-        condition: (data) => data.average_mood < 2.5 && data.average_energy < 2.5,
+        conditions: [
+          { metric: 'average_mood', comparator: 'lt', threshold: 2.5 },
+          { metric: 'average_energy', comparator: 'lt', threshold: 2.5 }
+        ],
+        trend: null,
         severity: 'critical',
         title: 'Critical: Burnout Risk Detected',
         message: 'Multiple indicators suggest high burnout risk across the team.',
@@ -43,7 +79,8 @@ class AlertService {
       },
       {
         name: 'energy_decline',
-        condition: (data) => data.average_energy < 2.0,
+        conditions: [{ metric: 'average_energy', comparator: 'lt', threshold: 2.0 }],
+        trend: null,
         severity: 'warning',
         title: 'Warning: Low Team Energy',
         message: 'Team energy levels are critically low, indicating potential workload issues.',
@@ -52,7 +89,11 @@ class AlertService {
       },
       {
         name: 'positive_trend',
-        condition: (data) => data.average_mood > 4.5 && data.average_sentiment > 0.5,
+        conditions: [
+          { metric: 'average_mood', comparator: 'gt', threshold: 4.5 },
+          { metric: 'average_sentiment', comparator: 'gt', threshold: 0.5 }
+        ],
+        trend: null,
         severity: 'info',
         title: 'Info: Excellent Team Performance',
         message: 'Team is performing exceptionally well with high morale and positive sentiment.',
@@ -61,7 +102,8 @@ class AlertService {
       },
       {
         name: 'mood_improvement',
-        condition: (data) => this.hasPositiveMoodTrend(data.sentiment_trend) && data.average_mood > 3.5,
+        conditions: [{ metric: 'average_mood', comparator: 'gt', threshold: 3.5 }],
+        trend: { metric: 'avg_mood', direction: 'improving' },
         severity: 'info',
         title: 'Info: Team Mood Improving',
         message: 'Positive trend detected in team mood and sentiment over recent periods.',
@@ -69,53 +111,491 @@ class AlertService {
         priority: 4
       }
     ];
+
+    this.alertRules = this.defaultRules.map(rule => this.compileRule(rule));
+
+    // Anomaly alerts compare each day with the team's own rolling baseline
+    this.anomalyOptions = {
+      ...ANOMALY_DEFAULTS,
+      zThreshold: parseFloat(process.env.ANOMALY_Z_THRESHOLD) || ANOMALY_DEFAULTS.zThreshold
+    };
+    // Rows per request when loading the baseline history; PostgREST caps responses at 1000 by default
+    this.historyPageSize = 1000;
+    this.anomalyLabels = {
+      average_mood: 'Mood',
+      average_energy: 'Energy',
+      average_sentiment: 'Sentiment',
+      participation_rate: 'Participation'
+    };
+  }
+
+  /**
+   * Attach an executable condition to a declarative rule
+   * @param {Object} rule - Rule with conditions and optional trend requirement
+   * @returns {Object} Rule with a condition(data) function
+   */
+  compileRule(rule) {
+    return {
+      ...rule,
+      condition: (data) => {
+        const conditionsMet = rule.conditions.every(({ metric, comparator, threshold }) => {
+          const compare = this.comparators[comparator];
+          return compare ? compare(data[metric], threshold) : false;
+        });
+
+        if (!conditionsMet) return false;
+        if (!rule.trend) return true;
+
+        return this.hasTrend(data.sentiment_trend, rule.trend.metric, rule.trend.direction);
+      }
+    };
+  }
+
+  /**
+   * Convert a stored team rule row into the in-memory rule shape
+   * Rows named after a built-in rule override only the fields they set
+   * @param {Object} row - team_alert_rules row
+   * @returns {Object} Declarative rule
+   */
+  fromStoredRule(row) {
+    const base = this.defaultRules.find(rule => rule.name === row.name) || {};
+
+    const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+
+    return {
+      ...base,
+      id: row.id,
+      name: row.name,
+      conditions: pick(row.conditions, base.conditions),
+      trend: row.trend !== undefined && row.trend !== null ? row.trend : (base.trend || null),
+      severity: pick(row.severity, base.severity),
+      title: pick(row.title, base.title),
+      message: pick(row.message, base.message || ''),
+      cooldown: row.cooldown_minutes ? row.cooldown_minutes * 60 * 1000 : (base.cooldown || this.defaultCooldown),
+      priority: pick(row.priority, base.priority || 3),
+      enabled: row.enabled !== false,
+      source: base.name ? 'override' : 'custom'
+    };
+  }
+
+  /**
+   * Get the rule set for a team: built-in defaults merged with the team's stored rules
+   * @param {string} teamId - Team ID
+   * @param {Object} options - { includeDisabled } to also return disabled rules
+   * @returns {Promise<Array>} Compiled rules
+   */
+  async getTeamRules(teamId, { includeDisabled = false } = {}) {
+    const { data: rows, error } = await supabase
+      .from('team_alert_rules')
+      .select('*')
+      .eq('team_id', teamId);
+
+    // Falling back to the defaults here would quietly re-enable rules the team turned off
+    if (error) {
+      throw new Error(`Failed to fetch alert rules: ${error.message}`);
+    }
+
+    const overrides = new Map(rows.map(row => [row.name, this.fromStoredRule(row)]));
+
+    const rules = this.defaultRules.map(rule => overrides.get(rule.name) || { ...rule, enabled: true, source: 'default' });
+    overrides.forEach(rule => {
+      if (rule.source === 'custom') {
+        rules.push(rule);
+      }
+    });
+
+    return rules
+      .filter(rule => includeDisabled || rule.enabled)
+      .map(rule => this.compileRule(rule));
+  }
+
+  /**
+   * Get a stored team rule
+   * @param {string} teamId - Team ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object|null>} Rule row or null if not found
+   */
+  async getStoredRule(teamId, ruleId) {
+    const { data, error } = await supabase
+      .from('team_alert_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .eq('team_id', teamId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch alert rule: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Create a team rule (or an override of a built-in rule)
+   * @param {string} teamId - Team ID
+   * @param {Object} rule - Rule fields
+   * @param {string} userId - User creating the rule
+   * @returns {Promise<Object>} Created rule row
+   */
+  async createTeamRule(teamId, rule, userId) {
+    const { data, error } = await supabase
+      .from('team_alert_rules')
+      .insert({
+        ...this.pickRuleFields(rule),
+        team_id: teamId,
+        name: rule.name,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create alert rule: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a team rule
+   * @param {string} teamId - Team ID
+   * @param {string} ruleId - Rule ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated rule row or null if not found
+   */
+  async updateTeamRule(teamId, ruleId, updates) {
+    const { data, error } = await supabase
+      .from('team_alert_rules')
+      .update({
+        ...this.pickRuleFields(updates),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', ruleId)
+      .eq('team_id', teamId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to update alert rule: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Delete a team rule; deleting an override restores the built-in rule
+   * @param {string} teamId - Team ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<boolean>} True if a rule was deleted
+   */
+  async deleteTeamRule(teamId, ruleId) {
+    const { data, error } = await supabase
+      .from('team_alert_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('team_id', teamId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete alert rule: ${error.message}`);
+    }
+
+    return data.length > 0;
   }
 
   /**
-   * Evaluate all alert rules against team data
+   * Pick the storable fields of a rule payload
+   * @param {Object} rule - Rule payload
+   * @returns {Object} Column values
+   */
+  pickRuleFields(rule) {
+    const fields = ['title', 'message', 'conditions', 'trend', 'severity', 'cooldown_minutes', 'priority', 'enabled'];
+    const values = {};
+
+    fields.forEach(field => {
+      if (rule[field] !== undefined) {
+        values[field] = rule[field];
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Serialize a compiled rule for API responses
+   * @param {Object} rule - Compiled rule
+   * @returns {Object} Rule without the condition function
+   */
+  describeRule(rule) {
+    const { condition, cooldown, ...description } = rule;
+    return {
+      ...description,
+      cooldown_minutes: Math.round(cooldown / (60 * 1000))
+    };
+  }
+
+  /**
+   * Evaluate all alert rules against team data, and raise alerts for detected anomalies
+   * Throws if the team's rules cannot be loaded; a rule that errors is logged and skipped
    * @param {string} teamId - Team ID
    * @param {Object} teamData - Team analytics data
+   * @param {Array} anomalies - Anomalies from detectLatestAnomalies
    * @returns {Promise<Array>} Array of triggered alerts
    */
-  async evaluateAlerts(teamId, teamData) {
-    try {
-      const triggeredAlerts = [];
+  async evaluateAlerts(teamId, teamData, anomalies = []) {
+    const triggeredAlerts = [];
+    const rules = await this.getTeamRules(teamId);
 
-      for (const rule of this.alertRules) {
-        try {
-          // Check if rule condition is met
-          if (rule.condition(teamData)) {
-            // Check if alert is on cooldown
-            const isOnCooldown = await this.isAlertOnCooldown(teamId, rule.name, rule.cooldown);
-
-            if (!isOnCooldown) {
-              const alert = await this.createAlert(teamId, rule, teamData);
-              triggeredAlerts.push(alert);
-            }
+    for (const rule of rules) {
+      try {
+        // Check if rule condition is met
+        if (rule.condition(teamData)) {
+          // Check if alert is on cooldown
+          const isOnCooldown = await this.isAlertOnCooldown(teamId, rule.name, rule.cooldown);
+
+          if (!isOnCooldown) {
+            const alert = await this.createAlert(teamId, rule, teamData);
+            triggeredAlerts.push(alert);
           }
-        } catch (error) {
-          console.error(`Error evaluating rule ${rule.name}:`, error);
         }
+      } catch (error) {
+        console.error(`Error evaluating rule ${rule.name}:`, error);
       }
+    }
 
-      // Sort by priority (lower number = higher priority)
-      triggeredAlerts.sort((a, b) => a.priority - b.priority);
+    for (const anomaly of anomalies) {
+      const rule = this.getAnomalyRule(anomaly);
 
-      return triggeredAlerts;
-    } catch (error) {
-      console.error('Alert evaluation error:', error);
-      return [];
+      try {
+        const alreadyRaised = await this.hasAnomalyAlert(teamId, anomaly);
+
+        if (!alreadyRaised) {
+          const alert = await this.createAlert(teamId, rule, teamData, { alert_type: 'anomaly', anomaly });
+          triggeredAlerts.push(alert);
+        }
+      } catch (error) {
+        console.error(`Error raising anomaly alert ${rule.name}:`, error);
+      }
+    }
+
+    // Sort by priority (lower number = higher priority)
+    triggeredAlerts.sort((a, b) => a.priority - b.priority);
+
+    return triggeredAlerts;
+  }
+
+  /**
+   * Describe an anomaly as an alert rule
+   * Drops are warnings (critical a full standard deviation past the threshold); spikes are informational
+   * @param {Object} anomaly - Anomaly from detectLatestAnomalies
+   * @returns {Object} Rule for createAlert
+   */
+  getAnomalyRule(anomaly) {
+    const { metric, direction, value, z_score: zScore, baseline, date } = anomaly;
+    const label = this.anomalyLabels[metric];
+    const severity = direction === 'spike'
+      ? 'info'
+      : (Math.abs(zScore) >= this.anomalyOptions.zThreshold + 1 ? 'critical' : 'warning');
+
+    return {
+      name: `anomaly_${metric}`,
+      source: 'anomaly',
+      severity,
+      title: `${severity === 'info' ? 'Info' : severity === 'critical' ? 'Critical' : 'Warning'}: Unusual ${label} ${direction === 'drop' ? 'Drop' : 'Spike'}`,
+      message: `${label} on ${date} was ${value}, against a usual ${baseline.mean.toFixed(2)} ± ${baseline.stddev.toFixed(2)} over the previous ${baseline.days} active days (z = ${zScore}).`,
+      // Each day and metric is alerted on once (see hasAnomalyAlert), so consecutive anomalous days each raise one
+      cooldown: 0,
+      priority: severity === 'critical' ? 1 : severity === 'warning' ? 2 : 4
+    };
+  }
+
+  /**
+   * Get the timezone a team's analytics are bucketed in
+   * @param {string} teamId - Team ID
+   * @returns {Promise<string>} IANA timezone name
+   */
+  async getTeamTimezone(teamId) {
+    const { data: team } = await supabase
+      .from('teams')
+      .select('settings')
+      .eq('id', teamId)
+      .single();
+
+    return resolveTimezone(team?.settings?.timezone);
+  }
+
+  /**
+   * Load a team's check-ins since a point in time, page by page so long histories aren't cut off at the row cap
+   * @param {string} teamId - Team ID
+   * @param {string} from - ISO timestamp of the oldest check-in to load
+   * @param {string} to - ISO timestamp the check-ins must be older than (defaults to no limit)
+   * @returns {Promise<Array>} Check-ins with the columns analytics and anomaly detection need, oldest first
+   */
+  async getCheckInHistory(teamId, from, to = null) {
+    const history = [];
+
+    for (let offset = 0; ; offset += this.historyPageSize) {
+      let query = supabase
+        .from('check_ins')
+        .select('team_id, user_id, mood_score, energy_level, sentiment_score, sentiment_label, is_anonymous, created_at')
+        .eq('team_id', teamId)
+        .gte('created_at', from);
+
+      if (to) {
+        query = query.lt('created_at', to);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + this.historyPageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch check-ins: ${error.message}`);
+      }
+
+      history.push(...data);
+
+      if (data.length < this.historyPageSize) {
+        return history;
+      }
     }
   }
 
+  /**
+   * Score yesterday, the last completed local day, against the team's rolling baseline
+   * Today is left out: its partial participation would read as a drop. Older days are history by now
+   * @param {Array} history - Check-ins covering the baseline window
+   * @param {Array} teamMembers - Team members, for the participation rate
+   * @param {string} timezone - Team timezone the days are cut in
+   * @param {Date} now - Current time
+   * @returns {Array} Anomalies found yesterday
+   */
+  detectRecentAnomalies(history, teamMembers, timezone, now = new Date()) {
+    const today = getZonedDateString(now, timezone);
+    const yesterday = getZonedDateString(new Date(getZonedDayStart(now, timezone).getTime() - 1), timezone);
+    const series = buildDailySeries(history, teamMembers, timezone).filter(day => day.date < today);
+
+    return detectLatestAnomalies(series, this.anomalyOptions)
+      .filter(anomaly => anomaly.date === yesterday);
+  }
+
+  /**
+   * Evaluate alert rules against the last 7 days of team data, and check yesterday for anomalies
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Object>} { alerts, teamData, anomalies }
+   */
+  async evaluateTeam(teamId) {
+    const now = Date.now();
+    const fromTime = now - 7 * 24 * 60 * 60 * 1000;
+    // Enough history for a full baseline even when some days have no check-ins
+    const historyFrom = new Date(now - this.anomalyOptions.windowDays * 2 * 24 * 60 * 60 * 1000).toISOString();
+
+    const history = await this.getCheckInHistory(teamId, historyFrom);
+
+    const { data: teamMembers, error: teamMembersError } = await supabase
+      .from('team_members')
+      .select('user_id')
+      .eq('team_id', teamId);
+
+    if (teamMembersError) {
+      throw new Error(`Failed to fetch team members: ${teamMembersError.message}`);
+    }
+
+    const timezone = await this.getTeamTimezone(teamId);
+    const checkIns = history.filter(checkIn => new Date(checkIn.created_at).getTime() >= fromTime);
+    const teamData = calculateAnalytics(checkIns, teamMembers, '7d', { timezone });
+
+    const anomalies = this.detectRecentAnomalies(history, teamMembers, timezone, new Date(now));
+
+    const alerts = await this.evaluateAlerts(teamId, teamData, anomalies);
+
+    return { alerts, teamData, anomalies };
+  }
+
+  /**
+   * Evaluate alerts for every team (scheduler job handler)
+   * @returns {Promise<Object>} Run summary with evaluated and failed teams
+   */
+  async evaluateAllTeams() {
+    const summary = {
+      teams_evaluated: 0,
+      alerts_triggered: 0,
+      processed: [],
+      errors: []
+    };
+
+    const { data: teams, error } = await supabase
+      .from('teams')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to fetch teams: ${error.message}`);
+    }
+
+    for (const team of teams) {
+      try {
+        const { alerts } = await this.evaluateTeam(team.id);
+        summary.teams_evaluated++;
+        summary.alerts_triggered += alerts.length;
+        summary.processed.push({ team_id: team.id, alerts: alerts.map(alert => alert.metadata?.rule_name) });
+      } catch (teamError) {
+        console.error(`Scheduled alert evaluation failed for team ${team.id}:`, teamError);
+        summary.errors.push({ team_id: team.id, error: teamError.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Schedule a debounced alert evaluation for a team
+   * Bursts of check-ins within the debounce window result in a single evaluation,
+   * which runs at the latest evaluationMaxWaitMs after the first check-in of the burst
+   * @param {string} teamId - Team ID
+   */
+  scheduleEvaluation(teamId) {
+    const pending = this.pendingEvaluations.get(teamId);
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
+
+    const since = pending ? pending.since : Date.now();
+    const delay = Math.max(0, Math.min(this.evaluationDebounceMs, since + this.evaluationMaxWaitMs - Date.now()));
+
+    const timer = setTimeout(async () => {
+      this.pendingEvaluations.delete(teamId);
+
+      try {
+        const { alerts } = await this.evaluateTeam(teamId);
+        if (alerts.length > 0) {
+          console.log(`🚨 ${alerts.length} alerts triggered for team ${teamId} after new check-ins`);
+        }
+      } catch (error) {
+        console.error(`Debounced alert evaluation failed for team ${teamId}:`, error);
+      }
+    }, delay);
+
+    this.pendingEvaluations.set(teamId, { timer, since });
+  }
+
+  /**
+   * Cancel all pending debounced evaluations
+   */
+  cancelPendingEvaluations() {
+    this.pendingEvaluations.forEach(({ timer }) => clearTimeout(timer));
+    this.pendingEvaluations.clear();
+  }
+
   /**
    * Create and store an alert
    * @param {string} teamId - Team ID
    * @param {Object} rule - Alert rule
    * @param {Object} teamData - Team analytics data
+   * @param {Object} details - Extra metadata, e.g. { alert_type: 'anomaly', anomaly }
    * @returns {Promise<Object>} Created alert
    */
-  async createAlert(teamId, rule, teamData) {
+  async createAlert(teamId, rule, teamData, details = {}) {
     try {
       // Generate detailed insight for the alert
       const insight = await insightsService.generateTeamInsight(teamData, 'alert');
@@ -127,7 +607,10 @@ class AlertService {
         content: `${rule.message}\n\n${insight.content}`,
         severity: rule.severity,
         metadata: {
+          alert_type: 'rule',
           rule_name: rule.name,
+          rule_source: rule.source || 'default',
+          status: 'open',
           triggered_at: new Date().toISOString(),
           team_metrics: {
             avg_mood: teamData.average_mood,
@@ -137,7 +620,8 @@ class AlertService {
             total_checkins: teamData.total_checkins
           },
           priority: rule.priority,
-          cooldown_hours: rule.cooldown / (60 * 60 * 1000)
+          cooldown_hours: rule.cooldown / (60 * 60 * 1000),
+          ...details
         }
       };
 
@@ -153,6 +637,9 @@ class AlertService {
 
       console.log(`Alert triggered for team ${teamId}: ${rule.name}`);
 
+      await this.recordAlertHistory(alert, 'triggered', null, 'open', null, { rule_name: rule.name });
+      await pubsubService.publishAlertEvent(teamId, alert);
+
       // Send notification for critical and warning alerts
       if (rule.severity === 'critical' || rule.severity === 'warning') {
         try {
@@ -171,8 +658,32 @@ class AlertService {
     }
   }
 
+  /**
+   * Check whether an anomaly alert was already raised for the same local day and metric
+   * Throws if the check fails, so the caller skips the anomaly rather than raising it again
+   * @param {string} teamId - Team ID
+   * @param {Object} anomaly - Anomaly from detectLatestAnomalies
+   * @returns {Promise<boolean>} True if the day's anomaly was already alerted on
+   */
+  async hasAnomalyAlert(teamId, anomaly) {
+    const { data, error } = await supabase
+      .from('team_insights')
+      .select('id')
+      .eq('team_id', teamId)
+      .eq('insight_type', 'alert')
+      .contains('metadata', { alert_type: 'anomaly', anomaly: { date: anomaly.date, metric: anomaly.metric } })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check anomaly alerts: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
   /**
    * Check if an alert is on cooldown
+   * Throws if the check fails, so the caller skips the rule rather than firing it again
    * @param {string} teamId - Team ID
    * @param {string} ruleName - Rule name
    * @param {number} cooldownMs - Cooldown period in milliseconds
@@ -199,29 +710,40 @@ class AlertService {
 
       return !!recentAlert;
     } catch (error) {
-      console.error('Cooldown check error:', error);
-      return false;
+      // Fail closed: an unknown cooldown must not let the rule fire on every evaluation
+      throw new Error(`Failed to check alert cooldown: ${error.message}`);
     }
   }
 
   /**
-   * Check if sentiment trend is negative
+   * Check whether a daily trend series moves in one direction over the last 3 days
    * @param {Array} trendData - Sentiment trend data
-   * @returns {boolean} True if trend is negative
+   * @param {string} metric - Trend field (avg_mood, avg_energy, avg_sentiment)
+   * @param {string} direction - declining or improving
+   * @returns {boolean} True if the trend matches the direction
    */
-  hasNegativeTrend(trendData) {
+  hasTrend(trendData, metric, direction) {
     if (!trendData || trendData.length < 2) return false;
 
-    // Check last 3 days for negative trend
+    // Check last 3 days for a consistent trend
     const recent = trendData.slice(-3);
 
     for (let i = 1; i < recent.length; i++) {
-      if (recent[i].avg_sentiment > recent[i-1].avg_sentiment) {
-        return false; // Found positive change
-      }
+      const change = recent[i][metric] - recent[i-1][metric];
+      if (direction === 'declining' && change > 0) return false; // Found positive change
+      if (direction === 'improving' && change < 0) return false; // Found negative change
     }
 
-    return recent.length >= 2; // At least 2 points showing decline
+    return recent.length >= 2; // At least 2 points showing the trend
+  }
+
+  /**
+   * Check if sentiment trend is negative
+   * @param {Array} trendData - Sentiment trend data
+   * @returns {boolean} True if trend is negative
+   */
+  hasNegativeTrend(trendData) {
+    return this.hasTrend(trendData, 'avg_sentiment', 'declining');
   }
 
   /**
@@ -230,48 +752,38 @@ class AlertService {
    * @returns {boolean} True if trend is positive
    */
   hasPositiveMoodTrend(trendData) {
-    if (!trendData || trendData.length < 2) return false;
-
-    // Check last 3 days for positive trend
-    const recent = trendData.slice(-3);
-
-    for (let i = 1; i < recent.length; i++) {
-      if (recent[i].avg_mood < recent[i-1].avg_mood) {
-        return false; // Found negative change
-      }
-    }
-
-    return recent.length >= 2; // At least 2 points showing improvement
+    return this.hasTrend(trendData, 'avg_mood', 'improving');
   }
 
   /**
-   * Get active alerts for a team
+   * Get unresolved alerts for a team, however old they are
    * @param {string} teamId - Team ID
-   * @param {number} hours - Hours to look back (default 72)
-   * @returns {Promise<Array>} Active alerts
+   * @param {Object} options - { includeSnoozed } to also return alerts that are still snoozed
+   * @returns {Promise<Array>} Unresolved alerts with their lifecycle status
    */
-  async getActiveAlerts(teamId, hours = 72) {
+  async getActiveAlerts(teamId, { includeSnoozed = false } = {}) {
     try {
-      const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-
+      // Alerts from before the lifecycle existed have no status and count as unresolved
       const { data: alerts, error } = await supabase
         .from('team_insights')
         .select('*')
         .eq('team_id', teamId)
         .eq('insight_type', 'alert')
-        .gte('generated_at', cutoffTime)
+        .or('metadata->>status.is.null,metadata->>status.neq.resolved')
         .order('generated_at', { ascending: false });
 
       if (error) {
         throw error;
       }
 
-      // Add priority from metadata and sort
+      // Add status and priority from metadata, drop resolved alerts and sort
       return alerts
         .map(alert => ({
           ...alert,
+          status: this.getAlertStatus(alert),
           priority: alert.metadata?.priority || 5
         }))
+        .filter(alert => alert.status !== 'resolved' && (includeSnoozed || alert.status !== 'snoozed'))
         .sort((a, b) => a.priority - b.priority);
     } catch (error) {
       console.error('Get active alerts error:', error);
@@ -280,57 +792,277 @@ class AlertService {
   }
 
   /**
-   * Mark alert as acknowledged
+   * Get alerts a team resolved recently
+   * @param {string} teamId - Team ID
+   * @param {number} hours - Hours to look back from now, by resolution time
+   * @returns {Promise<Array>} Resolved alerts, most recently resolved first
+   */
+  async getResolvedAlerts(teamId, hours = 72) {
+    const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    const { data: alerts, error } = await supabase
+      .from('team_insights')
+      .select('*')
+      .eq('team_id', teamId)
+      .eq('insight_type', 'alert')
+      .eq('metadata->>status', 'resolved')
+      .gte('metadata->resolved->>at', cutoffTime)
+      .order('generated_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch resolved alerts: ${error.message}`);
+    }
+
+    return alerts.map(alert => ({
+      ...alert,
+      status: 'resolved',
+      priority: alert.metadata?.priority || 5
+    }));
+  }
+
+  /**
+   * Get the lifecycle status of an alert
+   * Alerts created before the lifecycle existed count as open (or acknowledged),
+   * and an expired snooze falls back to the state it was snoozed from
+   * @param {Object} alert - Alert row
+   * @param {Date} now - Current time
+   * @returns {string} open, acknowledged, snoozed or resolved
+   */
+  getAlertStatus(alert, now = new Date()) {
+    const metadata = alert.metadata || {};
+    const fallback = metadata.acknowledged ? 'acknowledged' : 'open';
+    const status = metadata.status || fallback;
+
+    if (status === 'snoozed' && (!metadata.snoozed_until || new Date(metadata.snoozed_until) <= now)) {
+      return fallback;
+    }
+
+    return status;
+  }
+
+  /**
+   * Get a single alert for a team
+   * @param {string} teamId - Team ID
    * @param {string} alertId - Alert ID
+   * @returns {Promise<Object|null>} Alert with status or null if not found
+   */
+  async getAlert(teamId, alertId) {
+    const { data: alert, error } = await supabase
+      .from('team_insights')
+      .select('*')
+      .eq('id', alertId)
+      .eq('team_id', teamId)
+      .eq('insight_type', 'alert')
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch alert: ${error.message}`);
+    }
+
+    return alert ? { ...alert, status: this.getAlertStatus(alert) } : null;
+  }
+
+  /**
+   * Check whether a lifecycle action is allowed from the alert's current status
+   * @param {Object} alert - Alert row
+   * @param {string} action - acknowledge, resolve or snooze
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(alert, action) {
+    const transition = this.alertTransitions[action];
+    return !!transition && transition.from.includes(this.getAlertStatus(alert));
+  }
+
+  /**
+   * Replace an alert's metadata, unless its status or escalation changed since it was read
+   * Lifecycle actions and escalations both rewrite metadata from the row they read,
+   * so an unguarded write would undo whichever of them landed in between
+   * @param {Object} alert - Alert row as read
+   * @param {Object} metadata - New metadata
+   * @returns {Promise<Object|null>} Updated row, or null if the alert changed in the meantime
+   */
+  async updateAlertMetadata(alert, metadata) {
+    const { status, escalation } = alert.metadata || {};
+
+    let query = supabase
+      .from('team_insights')
+      .update({ metadata })
+      .eq('id', alert.id);
+
+    query = status ? query.eq('metadata->>status', status) : query.is('metadata->>status', null);
+    query = escalation
+      ? query.eq('metadata->escalation->>count', String(escalation.count))
+      : query.is('metadata->escalation', null);
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      throw new Error(`Failed to update alert: ${error.message}`);
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * Apply a lifecycle action to an alert and record it in the alert history
+   * @param {Object} alert - Alert row
+   * @param {string} action - acknowledge, resolve or snooze
+   * @param {string} userId - User performing the action
+   * @param {Object} details - { note, snoozedUntil }
+   * @returns {Promise<Object|null>} Updated alert with status, or null if the alert changed while this was applied
+   */
+  async transitionAlert(alert, action, userId, { note = null, snoozedUntil = null } = {}) {
+    if (!this.canTransition(alert, action)) {
+      throw new Error(`Cannot ${action} an alert that is ${this.getAlertStatus(alert)}`);
+    }
+
+    const fromStatus = this.getAlertStatus(alert);
+    const toStatus = this.alertTransitions[action].to;
+    const now = new Date().toISOString();
+    const { snoozed_until: previousSnooze, ...metadata } = alert.metadata || {};
+
+    metadata.status = toStatus;
+
+    if (action === 'acknowledge') {
+      metadata.acknowledged = { at: now, by: userId };
+    } else if (action === 'resolve') {
+      metadata.resolved = { at: now, by: userId, note };
+    } else if (action === 'snooze') {
+      metadata.snoozed_until = snoozedUntil;
+      metadata.snoozed = { at: now, by: userId };
+    }
+
+    const updated = await this.updateAlertMetadata(alert, metadata);
+
+    if (!updated) {
+      return null;
+    }
+
+    await this.recordAlertHistory(alert, action, fromStatus, toStatus, userId, {
+      note,
+      snoozed_until: snoozedUntil
+    });
+
+    await pubsubService.publishTeamActivity(alert.team_id, `alert_${toStatus}`, {
+      alert_id: alert.id,
+      title: alert.title,
+      severity: alert.severity,
+      from_status: fromStatus,
+      status: toStatus
+    }, userId, { sourceId: `${alert.id}:${now}` });
+
+    return { ...updated, status: toStatus };
+  }
+
+  /**
+   * Mark alert as acknowledged
+   * @param {Object} alert - Alert row
    * @param {string} userId - User ID who acknowledged
    * @returns {Promise<Object>} Updated alert
    */
-  async acknowledgeAlert(alertId, userId) {
-    try {
-      const { data: alert, error } = await supabase
-        .from('team_insights')
-        .update({
-          metadata: supabase.rpc('jsonb_set', {
-            target: 'metadata',
-            path: '{acknowledged}',
-            new_value: JSON.stringify({
-              at: new Date().toISOString(),
-              by: userId
-            })
-          })
-        })
-        .eq('id', alertId)
-        .select()
-        .single();
+  async acknowledgeAlert(alert, userId) {
+    return this.transitionAlert(alert, 'acknowledge', userId);
+  }
 
-      if (error) {
-        throw error;
-      }
+  /**
+   * Mark alert as resolved
+   * @param {Object} alert - Alert row
+   * @param {string} userId - User ID who resolved
+   * @param {string} note - Optional resolution note
+   * @returns {Promise<Object>} Updated alert
+   */
+  async resolveAlert(alert, userId, note = null) {
+    return this.transitionAlert(alert, 'resolve', userId, { note });
+  }
+
+  /**
+   * Snooze an alert until a given time
+   * @param {Object} alert - Alert row
+   * @param {string} userId - User ID who snoozed
+   * @param {string} snoozedUntil - ISO timestamp the snooze ends
+   * @returns {Promise<Object>} Updated alert
+   */
+  async snoozeAlert(alert, userId, snoozedUntil) {
+    return this.transitionAlert(alert, 'snooze', userId, { snoozedUntil });
+  }
 
-      return alert;
+  /**
+   * Record an alert lifecycle event
+   * @param {Object} alert - Alert row
+   * @param {string} action - triggered, acknowledge, resolve, snooze, ...
+   * @param {string|null} fromStatus - Status before the event
+   * @param {string} toStatus - Status after the event
+   * @param {string|null} userId - Acting user (null for system events)
+   * @param {Object} details - Event details
+   */
+  async recordAlertHistory(alert, action, fromStatus, toStatus, userId = null, details = {}) {
+    try {
+      await supabase
+        .from('alert_history')
+        .insert({
+          alert_id: alert.id,
+          team_id: alert.team_id,
+          action,
+          from_status: fromStatus,
+          to_status: toStatus,
+          user_id: userId,
+          details,
+          created_at: new Date().toISOString()
+        });
     } catch (error) {
-      console.error('Acknowledge alert error:', error);
-      throw error;
+      console.error(`Failed to record history for alert ${alert.id}:`, error);
+      // Don't throw - history logging failure shouldn't break the alert lifecycle
     }
   }
 
+  /**
+   * Get the lifecycle history of an alert, oldest first
+   * @param {string} teamId - Team ID
+   * @param {string} alertId - Alert ID
+   * @returns {Promise<Array>} History entries
+   */
+  async getAlertHistory(teamId, alertId) {
+    const { data, error } = await supabase
+      .from('alert_history')
+      .select('*')
+      .eq('team_id', teamId)
+      .eq('alert_id', alertId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch alert history: ${error.message}`);
+    }
+
+    return data;
+  }
+
   /**
    * Get alert statistics for a team
    * @param {string} teamId - Team ID
-   * @param {number} days - Days to analyze (default 30)
+   * @param {number} days - Days to analyze, back from now (default 30)
+   * @param {Object} range - Explicit { from, to } window instead of the last `days` days
    * @returns {Promise<Object>} Alert statistics
    */
-  async getAlertStatistics(teamId, days = 30) {
+  async getAlertStatistics(teamId, days = 30, range = null) {
     try {
-      const cutoffTime = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      if (range) {
+        days = (new Date(range.to) - new Date(range.from)) / (24 * 60 * 60 * 1000);
+      }
+      const cutoffTime = range ? range.from : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
-      const { data: alerts, error } = await supabase
+      let query = supabase
         .from('team_insights')
         .select('severity, metadata, generated_at')
         .eq('team_id', teamId)
         .eq('insight_type', 'alert')
         .gte('generated_at', cutoffTime);
 
+      if (range) {
+        query = query.lte('generated_at', range.to);
+      }
+
+      const { data: alerts, error } = await query;
+
       if (error) {
         throw error;
       }
@@ -343,10 +1075,22 @@ class AlertService {
           info: 0
         },
         by_rule: {},
+        by_status: {
+          open: 0,
+          acknowledged: 0,
+          snoozed: 0,
+          resolved: 0
+        },
         acknowledged: 0,
+        resolved: 0,
+        mean_time_to_acknowledge_minutes: null,
+        mean_time_to_resolve_minutes: null,
         avg_per_week: 0
       };
 
+      const acknowledgeDurations = [];
+      const resolveDurations = [];
+
       alerts.forEach(alert => {
         // Count by severity
         stats.by_severity[alert.severity] = (stats.by_severity[alert.severity] || 0) + 1;
@@ -355,12 +1099,30 @@ class AlertService {
         const ruleName = alert.metadata?.rule_name || 'unknown';
         stats.by_rule[ruleName] = (stats.by_rule[ruleName] || 0) + 1;
 
-        // Count acknowledged
+        const status = this.getAlertStatus(alert);
+        stats.by_status[status] = (stats.by_status[status] || 0) + 1;
+
+        // Count acknowledged and resolved, collecting how long each took
+        const triggeredAt = new Date(alert.generated_at).getTime();
+
         if (alert.metadata?.acknowledged) {
           stats.acknowledged++;
+          acknowledgeDurations.push(new Date(alert.metadata.acknowledged.at).getTime() - triggeredAt);
+        }
+
+        if (alert.metadata?.resolved) {
+          stats.resolved++;
+          resolveDurations.push(new Date(alert.metadata.resolved.at).getTime() - triggeredAt);
         }
       });
 
+      const meanMinutes = (durations) => durations.length > 0
+        ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length / (60 * 1000) * 10) / 10
+        : null;
+
+      stats.mean_time_to_acknowledge_minutes = meanMinutes(acknowledgeDurations);
+      stats.mean_time_to_resolve_minutes = meanMinutes(resolveDurations);
+
       // Calculate average per week
       stats.avg_per_week = Math.round((stats.total / days) * 7 * 100) / 100;
 
@@ -371,7 +1133,11 @@ class AlertService {
         total: 0,
         by_severity: { critical: 0, warning: 0, info: 0 },
         by_rule: {},
+        by_status: { open: 0, acknowledged: 0, snoozed: 0, resolved: 0 },
         acknowledged: 0,
+        resolved: 0,
+        mean_time_to_acknowledge_minutes: null,
+        mean_time_to_resolve_minutes: null,
         avg_per_week: 0
       };
     }
@@ -380,12 +1146,13 @@ class AlertService {
   /**
    * Test alert rules against sample data
    * @param {Object} sampleData - Sample team data
+   * @param {Array} rules - Compiled rules to test (defaults to the built-in rules)
    * @returns {Object} Test results
    */
-  testAlertRules(sampleData) {
+  testAlertRules(sampleData, rules = this.alertRules) {
     const results = {};
 
-    this.alertRules.forEach(rule => {
+    rules.forEach(rule => {
       try {
         results[rule.name] = {
           triggered: rule.condition(sampleData),
@@ -403,6 +1170,127 @@ class AlertService {
 
     return results;
   }
+
+  /**
+   * Build a compiled rule from a draft definition, inheriting unset fields from
+   * the team rule of the same name so managers can tune just a threshold
+   * @param {Object} draft - Rule definition with a name
+   * @param {Array} baseRules - The team's current compiled rules
+   * @returns {Object} Compiled rule
+   */
+  resolveDraftRule(draft, baseRules) {
+    const base = baseRules.find(rule => rule.name === draft.name);
+    const { cooldown_minutes: cooldownMinutes, ...fields } = this.pickRuleFields(draft);
+
+    return this.compileRule({
+      message: '',
+      trend: null,
+      priority: 3,
+      ...base,
+      ...fields,
+      name: draft.name,
+      cooldown: cooldownMinutes ? cooldownMinutes * 60 * 1000 : (base?.cooldown || this.defaultCooldown),
+      enabled: fields.enabled ?? base?.enabled ?? true,
+      source: base ? base.source : 'draft'
+    });
+  }
+
+  /**
+   * Replay alert rules over historical check-ins without creating alerts
+   * Rules are evaluated at the end of each day in the team's timezone against the trailing window,
+   * the same way evaluateTeam looks at the last 7 days, with cooldowns applied
+   * @param {string} teamId - Team ID
+   * @param {Array} rules - Compiled rules to replay
+   * @param {Object} options - { from, to, windowDays }
+   * @returns {Promise<Object>} Per-rule firing report
+   */
+  async backtestRules(teamId, rules, { from, to, windowDays = 7 }) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const windowMs = windowDays * dayMs;
+    const timezone = await this.getTeamTimezone(teamId);
+    const rangeStart = getZonedDayStart(new Date(from), timezone);
+    const rangeEnd = new Date(to);
+
+    const checkIns = await this.getCheckInHistory(
+      teamId,
+      new Date(rangeStart.getTime() - windowMs).toISOString(),
+      rangeEnd.toISOString()
+    );
+
+    const { data: teamMembers, error: teamMembersError } = await supabase
+      .from('team_members')
+      .select('user_id')
+      .eq('team_id', teamId);
+
+    if (teamMembersError) {
+      throw new Error(`Failed to fetch team members: ${teamMembersError.message}`);
+    }
+
+    const report = new Map(rules.map(rule => [rule.name, {
+      ...this.describeRule(rule),
+      fire_count: 0,
+      suppressed_by_cooldown: 0,
+      firings: []
+    }]));
+    const lastFiredAt = new Map();
+    let daysEvaluated = 0;
+
+    for (let dayStart = rangeStart.getTime(); dayStart < rangeEnd.getTime();) {
+      const date = getZonedDateString(new Date(dayStart), timezone);
+      const dayEnd = getZonedDateBounds(date, timezone).end.getTime();
+      const evaluatedAt = Math.min(dayEnd, rangeEnd.getTime());
+      const windowStart = evaluatedAt - windowMs;
+
+      const windowCheckIns = checkIns.filter(checkIn => {
+        const createdAt = new Date(checkIn.created_at).getTime();
+        return createdAt >= windowStart && createdAt < evaluatedAt;
+      });
+
+      const teamData = calculateAnalytics(windowCheckIns, teamMembers, `${windowDays}d`, { timezone });
+      const results = this.testAlertRules(teamData, rules);
+      daysEvaluated++;
+
+      rules.forEach(rule => {
+        if (!results[rule.name]?.triggered) return;
+
+        const entry = report.get(rule.name);
+        const previous = lastFiredAt.get(rule.name);
+
+        if (previous !== undefined && evaluatedAt - previous < rule.cooldown) {
+          entry.suppressed_by_cooldown++;
+          return;
+        }
+
+        lastFiredAt.set(rule.name, evaluatedAt);
+        entry.fire_count++;
+        entry.firings.push({
+          date,
+          evaluated_at: new Date(evaluatedAt).toISOString(),
+          team_metrics: {
+            avg_mood: teamData.average_mood,
+            avg_energy: teamData.average_energy,
+            avg_sentiment: teamData.average_sentiment,
+            participation_rate: teamData.participation_rate,
+            total_checkins: teamData.total_checkins
+          }
+        });
+      });
+
+      dayStart = dayEnd;
+    }
+
+    return {
+      team_id: teamId,
+      timezone,
+      from: rangeStart.toISOString(),
+      to: rangeEnd.toISOString(),
+      window_days: windowDays,
+      days_evaluated: daysEvaluated,
+      checkins_replayed: checkIns.length,
+      total_firings: Array.from(report.values()).reduce((sum, entry) => sum + entry.fire_count, 0),
+      rules: Array.from(report.values())
+    };
+  }
 }
 
 module.exports = new AlertService();
\ No newline at end of file
@@ -0,0 +1,312 @@
+const supabase = require('../../config/supabase');
+const notificationService = require('./notificationService');
+const slackService = require('./slackService');
+const { resolveTimezone, getZonedParts, getZonedDayStart } = require('../utils/timezone');
+
+class DigestService {
+  constructor() {
+    this.batchSize = 2000;
+    this.severityOrder = ['info', 'warning', 'critical'];
+  }
+
+  /**
+   * Get the most recent digest boundary at or before now
+   * Hourly digests go out on the hour, daily digests at daily_at, both in the user's timezone
+   * @param {Object} digest - { frequency, daily_at, timezone } from the user's preferences
+   * @param {Date} now - Current time
+   * @param {string} profileTimezone - Timezone from the user's profile, used when the digest has none
+   * @returns {Date} Boundary; items queued before it are due
+   */
+  getDigestBoundary(digest, now = new Date(), profileTimezone = null) {
+    const timeZone = resolveTimezone(digest.timezone, profileTimezone, notificationService.defaultTimezone);
+
+    if (digest.frequency !== 'daily') {
+      const { minute, second } = getZonedParts(now, timeZone);
+      return new Date(now.getTime() - (minute * 60 + second) * 1000 - now.getMilliseconds());
+    }
+
+    const [hours, minutes] = (digest.daily_at || '09:00').split(':').map(Number);
+    const offsetMs = (hours * 60 + minutes) * 60 * 1000;
+
+    const todayStart = getZonedDayStart(now, timeZone);
+    const today = new Date(todayStart.getTime() + offsetMs);
+    if (today <= now) {
+      return today;
+    }
+
+    const yesterdayStart = getZonedDayStart(new Date(todayStart.getTime() - 1), timeZone);
+    return new Date(yesterdayStart.getTime() + offsetMs);
+  }
+
+  /**
+   * Group queued notifications by team, keeping the latest team_metrics snapshot per team
+   * @param {Array} items - Queued digest items, oldest first
+   * @returns {Array} [{ team_id, team_name, items, metrics }]
+   */
+  groupByTeam(items) {
+    const teams = new Map();
+
+    for (const { notification } of items) {
+      const teamId = notification.team_id;
+      if (!teams.has(teamId)) {
+        teams.set(teamId, {
+          team_id: teamId,
+          team_name: notification.team_name || 'Unknown Team',
+          items: [],
+          metrics: null
+        });
+      }
+
+      const team = teams.get(teamId);
+      team.items.push({
+        type: notification.type,
+        title: notification.title,
+        severity: notification.severity || 'info',
+        alert_id: notification.alert_id,
+        insight_id: notification.insight_id,
+        triggered_at: notification.triggered_at
+      });
+
+      if (notification.metrics && Object.keys(notification.metrics).length > 0) {
+        team.metrics = notification.metrics;
+      }
+    }
+
+    return [...teams.values()];
+  }
+
+  /**
+   * Build the notification data for a digest
+   * @param {Array} items - Queued digest items, oldest first
+   * @param {string} frequency - hourly or daily
+   * @param {Date} now - Current time
+   * @returns {Object} Notification data of type 'digest'
+   */
+  buildDigest(items, frequency, now = new Date()) {
+    const teams = this.groupByTeam(items);
+    const severity = items
+      .map(item => item.notification.severity || 'info')
+      .reduce((highest, current) => (
+        this.severityOrder.indexOf(current) > this.severityOrder.indexOf(highest) ? current : highest
+      ), 'info');
+
+    const lines = [];
+    for (const team of teams) {
+      lines.push(`${team.team_name} (${team.items.length})`);
+      team.items.forEach(item => lines.push(`- [${item.severity.toUpperCase()}] ${item.title}`));
+
+      if (team.metrics) {
+        lines.push(
+          `  Avg mood ${team.metrics.avg_mood ?? 'N/A'}, avg energy ${team.metrics.avg_energy ?? 'N/A'}, ` +
+          `participation ${Math.round((team.metrics.participation_rate || 0) * 100)}%`
+        );
+      }
+      lines.push('');
+    }
+
+    const count = items.length;
+    const cadence = frequency === 'daily' ? 'Daily' : 'Hourly';
+
+    return {
+      type: 'digest',
+      team_id: teams.length === 1 ? teams[0].team_id : undefined,
+      team_name: teams.map(team => team.team_name).join(', '),
+      title: `${cadence} digest: ${count} notification${count === 1 ? '' : 's'} from ${teams.length} team${teams.length === 1 ? '' : 's'}`,
+      content: lines.join('\n').trim(),
+      severity,
+      priority: 4,
+      triggered_at: now.toISOString(),
+      digest: {
+        frequency,
+        period_start: items[0].created_at,
+        period_end: now.toISOString(),
+        teams
+      }
+    };
+  }
+
+  /**
+   * Flush due digests to users and team Slack channels (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Summary, or null if nothing was due
+   */
+  async processDigests(now = new Date()) {
+    const { data: items, error } = await supabase
+      .from('notification_digest_items')
+      .select('*')
+      .is('flushed_at', null)
+      .lte('created_at', now.toISOString())
+      .order('created_at', { ascending: true })
+      .limit(this.batchSize);
+
+    if (error) {
+      throw new Error(`Failed to fetch digest items: ${error.message}`);
+    }
+
+    if (items.length === 0) {
+      return null;
+    }
+
+    const summary = {
+      user_digests: 0,
+      slack_digests: 0,
+      items_flushed: 0,
+      errors: []
+    };
+
+    const byRecipient = new Map();
+    for (const item of items) {
+      const key = item.recipient_type === 'slack' ? `slack:${item.team_id}` : `user:${item.user_id}`;
+      if (!byRecipient.has(key)) byRecipient.set(key, []);
+      byRecipient.get(key).push(item);
+    }
+
+    const userIds = [...new Set(items.filter(item => item.recipient_type === 'user').map(item => item.user_id))];
+    let profiles = [];
+    if (userIds.length > 0) {
+      const { data, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, full_name, email, timezone, notification_preferences')
+        .in('id', userIds);
+
+      if (profilesError) {
+        throw new Error(`Failed to fetch profiles: ${profilesError.message}`);
+      }
+      profiles = data;
+    }
+
+    for (const [key, recipientItems] of byRecipient) {
+      try {
+        if (key.startsWith('slack:')) {
+          if (await this.flushSlackDigest(recipientItems[0].team_id, recipientItems, now)) {
+            summary.slack_digests++;
+            summary.items_flushed += recipientItems.length;
+          }
+          continue;
+        }
+
+        const { id, ...profile } = profiles.find(candidate => candidate.id === recipientItems[0].user_id) || {};
+        if (!id) {
+          // The user is gone; drop their queue
+          await this.markFlushed(recipientItems, now);
+          continue;
+        }
+
+        if (await this.flushUserDigest({ user_id: id, profiles: profile }, recipientItems, now)) {
+          summary.user_digests++;
+          summary.items_flushed += recipientItems.length;
+        }
+      } catch (flushError) {
+        console.error(`Digest flush failed for ${key}:`, flushError);
+        summary.errors.push({ recipient: key, error: flushError.message });
+      }
+    }
+
+    if (summary.items_flushed === 0 && summary.errors.length === 0) {
+      return null;
+    }
+
+    console.log(`🗞️ Sent ${summary.user_digests} user and ${summary.slack_digests} Slack digests (${summary.items_flushed} items)`);
+
+    return summary;
+  }
+
+  /**
+   * Send a user's digest if their cadence boundary has passed since the oldest queued item
+   * A user who switched digests off gets whatever is still queued straight away
+   * @param {Object} recipient - { user_id, profiles }
+   * @param {Array} items - The user's queued items, oldest first
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if a digest was sent
+   */
+  async flushUserDigest(recipient, items, now) {
+    const digest = recipient.profiles.notification_preferences?.digest || { frequency: 'off' };
+    const frequency = ['hourly', 'daily'].includes(digest.frequency) ? digest.frequency : null;
+
+    if (frequency && new Date(items[0].created_at) >= this.getDigestBoundary(digest, now, recipient.profiles.timezone)) {
+      return false;
+    }
+
+    const data = this.buildDigest(items, frequency || 'hourly', now);
+    const attempts = await notificationService.sendUserNotification(recipient, data);
+    const results = notificationService.summarizeResults(attempts);
+
+    await notificationService.logNotification(data.team_id || null, null, results, {
+      type: 'digest',
+      details: {
+        user_id: recipient.user_id,
+        frequency: data.digest.frequency,
+        items: items.length,
+        team_ids: data.digest.teams.map(team => team.team_id)
+      }
+    });
+
+    if (results.sent + results.held === 0) {
+      throw new Error(results.errors[0]?.error || 'Digest delivery failed');
+    }
+
+    await this.markFlushed(items, now);
+    return true;
+  }
+
+  /**
+   * Post a team's hourly Slack digest once the hour has turned
+   * @param {string} teamId - Team ID
+   * @param {Array} items - The team's queued Slack items, oldest first
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if a digest was posted
+   */
+  async flushSlackDigest(teamId, items, now) {
+    const config = await slackService.getTeamConfig(teamId);
+
+    // Slack was removed or disabled since the items were queued
+    if (!config || !config.enabled) {
+      await this.markFlushed(items, now);
+      return false;
+    }
+
+    if (new Date(items[0].created_at) >= this.getDigestBoundary({ frequency: 'hourly' }, now)) {
+      return false;
+    }
+
+    const data = this.buildDigest(items, 'hourly', now);
+    let results;
+
+    try {
+      await slackService.postMessage(config.webhook_url, slackService.buildDigestMessage(data));
+      results = notificationService.summarizeResults([{ success: true, method: 'slack', user_id: null }]);
+    } catch (error) {
+      results = notificationService.summarizeResults([{ success: false, method: 'slack', user_id: null, error: error.message }]);
+    }
+
+    await notificationService.logNotification(teamId, null, results, {
+      type: 'digest',
+      details: { channel: 'slack', items: items.length }
+    });
+
+    if (results.failed > 0) {
+      throw new Error(results.errors[0].error);
+    }
+
+    await this.markFlushed(items, now);
+    return true;
+  }
+
+  /**
+   * Mark queued items as delivered in a digest
+   * @param {Array} items - Digest items
+   * @param {Date} now - Current time
+   */
+  async markFlushed(items, now) {
+    const { error } = await supabase
+      .from('notification_digest_items')
+      .update({ flushed_at: now.toISOString() })
+      .in('id', items.map(item => item.id));
+
+    if (error) {
+      throw new Error(`Failed to mark digest items as flushed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,225 @@
+const nodemailer = require('nodemailer');
+
+class EmailService {
+  constructor() {
+    this.enabled = process.env.EMAIL_ENABLED === 'true';
+    this.from = process.env.EMAIL_FROM || 'Team Pulse <no-reply@teampulse.local>';
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.transporter = null;
+  }
+
+  /**
+   * Get the SMTP transport, creating it on first use
+   * Point SMTP_HOST/SMTP_PORT at a local sink (e.g. Mailpit on localhost:1025) in development
+   * @returns {Object} Nodemailer transport
+   */
+  getTransporter() {
+    if (this.transporter) return this.transporter;
+
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST not configured');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000
+    });
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email with an HTML body and a plain-text alternative
+   * @param {Object} message - { to, subject, html, text }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendMail({ to, subject, html, text }) {
+    if (!this.enabled) {
+      throw new Error('Email delivery is disabled (EMAIL_ENABLED=false)');
+    }
+
+    if (!to) {
+      throw new Error('Recipient has no email address');
+    }
+
+    const info = await this.getTransporter().sendMail({
+      from: this.from,
+      to,
+      subject,
+      html,
+      text: text || this.htmlToText(html)
+    });
+
+    if (info.rejected && info.rejected.length > 0) {
+      throw new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+    }
+
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Check the SMTP connection and credentials
+   * @returns {Promise<boolean>} True if the server accepted the connection
+   */
+  async verifyConnection() {
+    try {
+      await this.getTransporter().verify();
+      return true;
+    } catch (error) {
+      console.error('SMTP connection check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Derive a plain-text alternative from an HTML body
+   * @param {string} html - HTML content
+   * @returns {string} Plain text
+   */
+  htmlToText(html = '') {
+    return html
+      .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+      .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .split('\n')
+      .map(line => line.trim())
+      .filter((line, i, lines) => line || (i > 0 && lines[i - 1]))
+      .join('\n')
+      .trim();
+  }
+
+  /**
+   * Escape user-provided text for HTML templates
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value = '') {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Wrap content in the shared email layout
+   * @param {string} heading - Banner heading
+   * @param {string} body - Inner HTML
+   * @returns {string} HTML document
+   */
+  renderLayout(heading, body) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${heading}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 0; background-color: #f4f4f4;">
+        <div style="max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <div style="background-color: #4f46e5; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 24px;">${heading}</h1>
+          </div>
+          <div style="padding: 30px;">
+            ${body}
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; text-align: center;">
+              <p style="color: #666; font-size: 14px; margin: 0;">
+                Sent by the Team Pulse Analytics System.
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Send a team invitation
+   * @param {Object} invitation - { email, inviteCode, teamName, inviterName, role, expiresAt }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendInvitationEmail({ email, inviteCode, teamName, inviterName, role, expiresAt }) {
+    const joinUrl = `${this.frontendUrl}/join?code=${encodeURIComponent(inviteCode)}`;
+    const team = this.escapeHtml(teamName);
+
+    const html = this.renderLayout('You\'re invited to Team Pulse', `
+      <p>${this.escapeHtml(inviterName || 'A team manager')} invited you to join <strong>${team}</strong> as a ${this.escapeHtml(role)}.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${joinUrl}" style="background-color: #4f46e5; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Join ${team}</a>
+      </p>
+      <p>Or join with invite code <strong>${this.escapeHtml(inviteCode)}</strong>.</p>
+      <p style="color: #666;">This invitation expires on ${new Date(expiresAt).toUTCString()}.</p>
+    `);
+
+    const text = [
+      `${inviterName || 'A team manager'} invited you to join ${teamName} as a ${role}.`,
+      '',
+      `Join here: ${joinUrl}`,
+      `Or use invite code: ${inviteCode}`,
+      '',
+      `This invitation expires on ${new Date(expiresAt).toUTCString()}.`
+    ].join('\n');
+
+    return this.sendMail({
+      to: email,
+      subject: `You're invited to join ${teamName} on Team Pulse`,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {string} email - Account email
+   * @param {string} tokenHash - Recovery token hash accepted by POST /api/auth/reset-password
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendPasswordResetEmail(email, tokenHash) {
+    const resetUrl = `${this.frontendUrl}/auth/reset-password?token=${encodeURIComponent(tokenHash)}`;
+
+    const html = this.renderLayout('Reset your password', `
+      <p>We received a request to reset the password for your Team Pulse account.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${resetUrl}" style="background-color: #4f46e5; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Reset password</a>
+      </p>
+      <p style="color: #666;">If you didn't ask for this, you can ignore this email. Your password won't change.</p>
+    `);
+
+    const text = [
+      'We received a request to reset the password for your Team Pulse account.',
+      '',
+      `Reset your password: ${resetUrl}`,
+      '',
+      'If you didn\'t ask for this, you can ignore this email. Your password won\'t change.'
+    ].join('\n');
+
+    return this.sendMail({
+      to: email,
+      subject: 'Reset your Team Pulse password',
+      html,
+      text
+    });
+  }
+}
+
+module.exports = new EmailService();
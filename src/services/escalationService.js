@@ -0,0 +1,228 @@
+const supabase = require('../../config/supabase');
+const alertService = require('./alertService');
+const notificationService = require('./notificationService');
+
+class EscalationService {
+  constructor() {
+    // Alerts older than this are no longer escalated
+    this.lookbackHours = 168;
+
+    this.defaultPolicy = {
+      enabled: false,
+      severities: ['critical'],
+      steps: [
+        { after_minutes: 30, recipients: ['managers'], channels: ['in_app', 'email', 'push'] },
+        { after_minutes: 120, recipients: ['managers', 'admins'], channels: ['in_app', 'email', 'slack'] }
+      ],
+      repeat_interval_minutes: 120,
+      max_repeats: 3
+    };
+  }
+
+  /**
+   * Get a team's escalation policy, falling back to the (disabled) default
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Object>} Escalation policy
+   */
+  async getPolicy(teamId) {
+    const { data, error } = await supabase
+      .from('alert_escalation_policies')
+      .select('*')
+      .eq('team_id', teamId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch escalation policy: ${error.message}`);
+    }
+
+    return data || { team_id: teamId, ...this.defaultPolicy };
+  }
+
+  /**
+   * Create or replace a team's escalation policy
+   * @param {string} teamId - Team ID
+   * @param {Object} policy - Policy fields
+   * @param {string} userId - User saving the policy
+   * @returns {Promise<Object>} Stored policy
+   */
+  async savePolicy(teamId, policy, userId) {
+    const { data, error } = await supabase
+      .from('alert_escalation_policies')
+      .upsert({
+        team_id: teamId,
+        enabled: policy.enabled ?? this.defaultPolicy.enabled,
+        severities: policy.severities || this.defaultPolicy.severities,
+        steps: policy.steps || this.defaultPolicy.steps,
+        repeat_interval_minutes: policy.repeat_interval_minutes ?? this.defaultPolicy.repeat_interval_minutes,
+        max_repeats: policy.max_repeats ?? this.defaultPolicy.max_repeats,
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'team_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save escalation policy: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Work out the next escalation step for an alert
+   * Steps fire in order, measured from when the alert was triggered; once all
+   * steps have fired the last one repeats every repeat_interval_minutes up to max_repeats
+   * @param {Object} alert - Alert row
+   * @param {Object} policy - Escalation policy
+   * @returns {Object|null} { level, step, dueAt } or null when fully escalated
+   */
+  getNextEscalation(alert, policy) {
+    const escalation = alert.metadata?.escalation || { count: 0 };
+    const level = escalation.count + 1;
+    const triggeredAt = new Date(alert.generated_at).getTime();
+
+    if (escalation.count < policy.steps.length) {
+      const step = policy.steps[escalation.count];
+      return { level, step, dueAt: triggeredAt + step.after_minutes * 60 * 1000 };
+    }
+
+    const repeats = escalation.count - policy.steps.length;
+    if (repeats >= policy.max_repeats) {
+      return null;
+    }
+
+    const lastEscalatedAt = new Date(escalation.last_escalated_at).getTime();
+    return {
+      level,
+      step: policy.steps[policy.steps.length - 1],
+      dueAt: lastEscalatedAt + policy.repeat_interval_minutes * 60 * 1000
+    };
+  }
+
+  /**
+   * Resolve the recipients for an escalation step, without duplicates
+   * @param {string} teamId - Team ID
+   * @param {Object} step - Escalation step
+   * @returns {Promise<Array>} Recipients
+   */
+  async getStepRecipients(teamId, step) {
+    const recipients = new Map();
+
+    if (step.recipients.includes('managers')) {
+      const managers = await notificationService.getTeamManagers(teamId);
+      managers.forEach(manager => recipients.set(manager.user_id, manager));
+    }
+
+    if (step.recipients.includes('admins')) {
+      const admins = await notificationService.getOrgAdmins();
+      admins.forEach(admin => recipients.set(admin.user_id, admin));
+    }
+
+    return Array.from(recipients.values());
+  }
+
+  /**
+   * Escalate every unacknowledged alert that is due (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Run summary, or null if nothing was escalated
+   */
+  async processEscalations(now = new Date()) {
+    const summary = {
+      policies_checked: 0,
+      escalated: [],
+      errors: []
+    };
+
+    const { data: policies, error } = await supabase
+      .from('alert_escalation_policies')
+      .select('*')
+      .eq('enabled', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch escalation policies: ${error.message}`);
+    }
+
+    for (const policy of policies) {
+      summary.policies_checked++;
+
+      try {
+        // Acknowledged, snoozed and resolved alerts are not escalated
+        const cutoff = now.getTime() - this.lookbackHours * 60 * 60 * 1000;
+        const alerts = (await alertService.getActiveAlerts(policy.team_id))
+          .filter(alert => alert.status === 'open' && policy.severities.includes(alert.severity)
+            && new Date(alert.generated_at).getTime() >= cutoff);
+
+        for (const alert of alerts) {
+          const next = this.getNextEscalation(alert, policy);
+          if (!next || next.dueAt > now.getTime()) continue;
+
+          const results = await this.escalateAlert(alert, next, now);
+          if (!results) continue;
+
+          summary.escalated.push({
+            team_id: policy.team_id,
+            alert_id: alert.id,
+            level: next.level,
+            sent: results.sent,
+            failed: results.failed
+          });
+        }
+      } catch (teamError) {
+        console.error(`Alert escalation failed for team ${policy.team_id}:`, teamError);
+        summary.errors.push({ team_id: policy.team_id, error: teamError.message });
+      }
+    }
+
+    if (summary.escalated.length === 0 && summary.errors.length === 0) {
+      return null;
+    }
+
+    console.log(`📣 Alert escalations: ${summary.escalated.length} sent, ${summary.errors.length} failed`);
+
+    return summary;
+  }
+
+  /**
+   * Send one escalation step for an alert and record it on the alert
+   * @param {Object} alert - Alert row with status
+   * @param {Object} next - { level, step } from getNextEscalation
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Notification result, or null if the alert changed since it was read
+   */
+  async escalateAlert(alert, { level, step }, now = new Date()) {
+    // Mark the step as done first so a slow delivery can't trigger it twice. The write only
+    // lands if the alert is still as read at the start of the sweep, so an acknowledge or
+    // resolve in between is kept and stops the escalation
+    const updated = await alertService.updateAlertMetadata(alert, {
+      ...alert.metadata,
+      escalation: {
+        count: level,
+        last_escalated_at: now.toISOString()
+      }
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    const recipients = await this.getStepRecipients(alert.team_id, step);
+
+    const results = await notificationService.sendEscalationNotification(alert.team_id, alert, recipients, {
+      level,
+      channels: step.channels
+    });
+
+    await alertService.recordAlertHistory(alert, 'escalate', alert.status, alert.status, null, {
+      level,
+      recipients: step.recipients,
+      channels: step.channels,
+      recipient_count: recipients.length,
+      sent: results.sent,
+      failed: results.failed
+    });
+
+    return results;
+  }
+}
+
+module.exports = new EscalationService();
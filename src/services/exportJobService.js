@@ -0,0 +1,406 @@
+const supabase = require('../../config/supabase');
+const exportService = require('./exportService');
+const alertService = require('./alertService');
+const notificationService = require('./notificationService');
+const { calculateAnalytics, resolveAnalyticsRange } = require('../utils/analytics');
+
+class ExportJobService {
+  constructor() {
+    this.pageSize = parseInt(process.env.EXPORT_PAGE_SIZE) || 1000;
+
+    // Running jobs that stop reporting progress for this long are assumed lost (e.g. a restart)
+    this.staleAfterMinutes = 15;
+
+    this.processing = false;
+  }
+
+  /**
+   * Queue an export and start processing in the background
+   * @param {string} teamId - Team ID
+   * @param {string} userId - Requesting user
+   * @param {Object} options - { format, layout, period, range, granularity, includeCheckIns };
+   *   range is an explicit { from, to }, otherwise the period is measured back from when the job starts
+   * @returns {Promise<Object>} Queued job
+   */
+  async createJob(teamId, userId, {
+    format,
+    layout = 'report',
+    period = '30d',
+    range = null,
+    granularity = 'day',
+    includeCheckIns = true
+  }) {
+    const { data, error } = await supabase
+      .from('export_jobs')
+      .insert({
+        team_id: teamId,
+        requested_by: userId,
+        format,
+        layout,
+        period: range ? 'custom' : period,
+        range_from: range?.from || null,
+        range_to: range?.to || null,
+        granularity,
+        include_check_ins: includeCheckIns,
+        status: 'queued',
+        progress: { stage: 'queued', rows_written: 0, total_rows: null, percent: 0 }
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to queue export: ${error.message}`);
+    }
+
+    setImmediate(() => {
+      this.processQueue().catch(queueError => console.error('Export queue error:', queueError));
+    });
+
+    return data;
+  }
+
+  /**
+   * Get one of a team's export jobs
+   * @param {string} teamId - Team ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(teamId, jobId) {
+    const { data, error } = await supabase
+      .from('export_jobs')
+      .select('*')
+      .eq('team_id', teamId)
+      .eq('id', jobId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch export job: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Run queued export jobs one at a time (also the scheduler job handler)
+   * One at a time keeps memory bounded however many exports are requested at once
+   * @returns {Promise<Object|null>} { completed, failed, recovered }, or null if there was nothing to do
+   */
+  async processQueue() {
+    if (this.processing) {
+      return null;
+    }
+
+    this.processing = true;
+    const summary = { completed: 0, failed: 0, recovered: 0, errors: [] };
+
+    try {
+      summary.recovered = await this.failStaleJobs();
+
+      let job;
+      while ((job = await this.claimNextJob())) {
+        try {
+          await this.runJob(job);
+          summary.completed++;
+        } catch (error) {
+          summary.failed++;
+          summary.errors.push({ job_id: job.id, team_id: job.team_id, error: error.message });
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    if (summary.completed === 0 && summary.failed === 0 && summary.recovered === 0) {
+      return null;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Claim the oldest queued job
+   * The status check on update stops two instances from running the same job
+   * @returns {Promise<Object|null>} Claimed job, or null if the queue is empty
+   */
+  async claimNextJob() {
+    const { data: queued, error } = await supabase
+      .from('export_jobs')
+      .select('id')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch queued exports: ${error.message}`);
+    }
+
+    if (queued.length === 0) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabase
+      .from('export_jobs')
+      .update({ status: 'running', started_at: now, updated_at: now })
+      .eq('id', queued[0].id)
+      .eq('status', 'queued')
+      .select();
+
+    if (claimError) {
+      throw new Error(`Failed to claim export job: ${claimError.message}`);
+    }
+
+    // Another instance got there first; try the next one
+    return claimed[0] || this.claimNextJob();
+  }
+
+  /**
+   * Mark running jobs that stopped reporting progress as failed
+   * @returns {Promise<number>} Number of jobs failed
+   */
+  async failStaleJobs() {
+    const staleBefore = new Date(Date.now() - this.staleAfterMinutes * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('export_jobs')
+      .update({
+        status: 'failed',
+        error: 'Export was interrupted',
+        completed_at: new Date().toISOString()
+      })
+      .eq('status', 'running')
+      .lt('updated_at', staleBefore)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to recover stale exports: ${error.message}`);
+    }
+
+    return data.length;
+  }
+
+  /**
+   * Record job progress
+   * @param {string} jobId - Job ID
+   * @param {Object} progress - { stage, rows_written, total_rows, percent }
+   */
+  async updateProgress(jobId, progress) {
+    await supabase
+      .from('export_jobs')
+      .update({ progress, updated_at: new Date().toISOString() })
+      .eq('id', jobId);
+  }
+
+  /**
+   * Page through a team's check-ins in a fixed window, newest first
+   * @param {string} teamId - Team ID
+   * @param {Object} range - { from, to } ISO timestamps
+   * @param {string} columns - Columns to select
+   * @yields {Array} One page of check-ins
+   */
+  async *iterateCheckIns(teamId, { from, to }, columns) {
+    for (let offset = 0; ; offset += this.pageSize) {
+      const { data, error } = await supabase
+        .from('check_ins')
+        .select(columns)
+        .eq('team_id', teamId)
+        .gte('created_at', from)
+        .lte('created_at', to)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(offset, offset + this.pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch check-ins: ${error.message}`);
+      }
+
+      if (data.length > 0) {
+        yield data;
+      }
+
+      if (data.length < this.pageSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Build the export file for a claimed job
+   * Analytics come from a pass over the numeric columns only; the full rows are then streamed into the file
+   * @param {Object} job - Running export job
+   * @returns {Promise<Object>} Export record
+   */
+  async runJob(job) {
+    const range = job.period === 'custom'
+      ? { period: 'custom', from: job.range_from, to: job.range_to }
+      : resolveAnalyticsRange({ period: job.period }, new Date(job.started_at));
+    const periodLabel = range.period === 'custom'
+      ? `${range.from.slice(0, 10)} to ${range.to.slice(0, 10)}`
+      : job.period;
+
+    try {
+      const [{ data: team, error: teamError }, { data: teamMembers }, { data: insights }, { count }] = await Promise.all([
+        supabase.from('teams').select('name, settings').eq('id', job.team_id).single(),
+        supabase.from('team_members').select('user_id').eq('team_id', job.team_id),
+        supabase
+          .from('team_insights')
+          .select('*')
+          .eq('team_id', job.team_id)
+          .gte('generated_at', range.from)
+          .lte('generated_at', range.to)
+          .order('generated_at', { ascending: false }),
+        supabase
+          .from('check_ins')
+          .select('id', { count: 'exact', head: true })
+          .eq('team_id', job.team_id)
+          .gte('created_at', range.from)
+          .lte('created_at', range.to)
+      ]);
+
+      if (teamError) {
+        throw new Error('Team not found');
+      }
+
+      const totalRows = job.include_check_ins ? count || 0 : 0;
+      const writesRows = job.include_check_ins && ['csv', 'json', 'xlsx'].includes(job.format);
+      await this.updateProgress(job.id, { stage: 'analyzing', rows_written: 0, total_rows: totalRows, percent: 0 });
+
+      // Pass 1: analytics over the lightweight columns
+      const metricRows = [];
+      if (job.include_check_ins) {
+        for await (const page of this.iterateCheckIns(
+          job.team_id,
+          range,
+          'team_id, user_id, mood_score, energy_level, sentiment_score, sentiment_label, is_anonymous, created_at'
+        )) {
+          metricRows.push(...page);
+        }
+      }
+      const teamData = calculateAnalytics(metricRows, teamMembers || [], job.period, {
+        timezone: team.settings?.timezone,
+        granularity: job.granularity || 'day',
+        range
+      });
+      metricRows.length = 0;
+
+      // Pass 2: stream the report
+      await this.updateProgress(job.id, { stage: 'writing', rows_written: 0, total_rows: totalRows, percent: 0 });
+
+      const options = { teamName: team.name, period: periodLabel, includeCheckIns: job.include_check_ins };
+      const pages = writesRows
+        ? this.iterateCheckIns(job.team_id, range, '*, profiles:user_id (full_name)')
+        : [];
+      const onProgress = (rowsWritten) => this.updateProgress(job.id, {
+        stage: 'writing',
+        rows_written: rowsWritten,
+        total_rows: totalRows,
+        percent: totalRows > 0 ? Math.min(99, Math.floor((rowsWritten / totalRows) * 100)) : 0
+      });
+
+      let exportResult;
+      switch (job.format) {
+        case 'csv':
+          exportResult = job.layout === 'tidy'
+            ? await exportService.writeTidyCSVBundle(teamData, pages, options, onProgress)
+            : await exportService.writeCSVReport(teamData, pages, options, onProgress);
+          break;
+        case 'json':
+          exportResult = await exportService.writeJSONReport(teamData, pages, insights, options, onProgress);
+          break;
+        case 'xlsx': {
+          const alerts = (insights || [])
+            .filter(insight => insight.insight_type === 'alert')
+            .map(alert => ({ ...alert, status: alertService.getAlertStatus(alert) }));
+          exportResult = await exportService.writeXLSXReport(teamData, pages, alerts, options, onProgress);
+          break;
+        }
+        case 'summary':
+        case 'pdf': {
+          // Alert counts cover the same window as the rest of the report
+          const alertStats = await alertService.getAlertStatistics(job.team_id, 30, range);
+          exportResult = job.format === 'pdf'
+            ? await exportService.generateExecutiveSummaryPDF(teamData, insights, alertStats, options)
+            : await exportService.generateExecutiveSummary(teamData, insights, alertStats, options);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported export format: ${job.format}`);
+      }
+
+      const exportRecord = await exportService.recordExport(job.team_id, job.requested_by, exportResult, {
+        format: job.format,
+        period: job.period
+      });
+
+      const completedAt = new Date().toISOString();
+      await supabase
+        .from('export_jobs')
+        .update({
+          status: 'completed',
+          export_id: exportRecord.id,
+          progress: {
+            stage: 'completed',
+            rows_written: exportResult.recordCount || 0,
+            total_rows: totalRows,
+            percent: 100
+          },
+          completed_at: completedAt,
+          updated_at: completedAt
+        })
+        .eq('id', job.id);
+
+      console.log(`📦 Export ${job.id} (${job.format}) ready for team ${job.team_id}`);
+
+      await notificationService.sendExportNotification(job, { teamName: team.name, exportRecord });
+
+      return exportRecord;
+    } catch (error) {
+      console.error(`Export job ${job.id} failed:`, error);
+
+      const failedAt = new Date().toISOString();
+      await supabase
+        .from('export_jobs')
+        .update({
+          status: 'failed',
+          error: error.message,
+          completed_at: failedAt,
+          updated_at: failedAt
+        })
+        .eq('id', job.id);
+
+      await notificationService.sendExportNotification(job, { error: error.message });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a job for API responses
+   * @param {Object} job - export_jobs row
+   * @returns {Object} Job status with a download link once completed
+   */
+  describeJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      format: job.format,
+      layout: job.layout || 'report',
+      period: job.period,
+      from: job.range_from || null,
+      to: job.range_to || null,
+      granularity: job.granularity || 'day',
+      include_check_ins: job.include_check_ins,
+      progress: job.progress,
+      error: job.error || null,
+      export_id: job.export_id || null,
+      download: job.status === 'completed' && job.export_id
+        ? exportService.createDownloadLink(job.team_id, job.export_id)
+        : null,
+      created_at: job.created_at,
+      started_at: job.started_at || null,
+      completed_at: job.completed_at || null
+    };
+  }
+}
+
+module.exports = new ExportJobService();
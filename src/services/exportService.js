@@ -1,9 +1,58 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const supabase = require('../../config/supabase');
+const { formatCSVRow, toISOTimestamp } = require('../utils/csv');
+const { drawLineChart, drawBarChart } = require('../utils/pdfCharts');
+
+// How trend buckets are titled, typed and labelled per granularity
+// Buckets are local starts from getZonedBucketStart: YYYY-MM-DD, or YYYY-MM-DDTHH:00 for hours
+const TREND_BUCKETS = {
+  hour: {
+    title: 'Hourly Trends',
+    header: 'Local Hour',
+    numFmt: 'yyyy-mm-dd hh:mm',
+    toDate: (bucket) => new Date(`${bucket}:00Z`),
+    label: (bucket) => `${bucket.slice(5, 10)} ${bucket.slice(11)}`
+  },
+  day: {
+    title: 'Daily Trends',
+    header: 'Local Date',
+    numFmt: 'yyyy-mm-dd',
+    toDate: (bucket) => new Date(`${bucket}T00:00:00Z`),
+    label: (bucket) => bucket.slice(5)
+  },
+  week: {
+    title: 'Weekly Trends',
+    header: 'Week Starting',
+    numFmt: 'yyyy-mm-dd',
+    toDate: (bucket) => new Date(`${bucket}T00:00:00Z`),
+    label: (bucket) => bucket.slice(5)
+  },
+  month: {
+    title: 'Monthly Trends',
+    header: 'Month',
+    numFmt: 'yyyy-mm',
+    toDate: (bucket) => new Date(`${bucket}T00:00:00Z`),
+    label: (bucket) => bucket.slice(0, 7)
+  }
+};
 
 class ExportService {
   constructor() {
     this.exportDir = path.join(process.cwd(), 'exports');
+    this.retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS) || 48;
+    this.downloadUrlTtlMinutes = parseInt(process.env.EXPORT_URL_TTL_MINUTES) || 15;
+
+    // Without a configured secret, signed links only survive until the next restart
+    this.signingSecret = process.env.EXPORT_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
     this.ensureExportDirectory();
   }
 
@@ -16,104 +65,287 @@ class ExportService {
     }
   }
 
+  /**
+   * Create a uniquely named file in the export directory
+   * @param {string} teamName - Team name used in the filename
+   * @param {string} kind - Report kind (e.g. wellness_report)
+   * @param {string} extension - File extension
+   * @returns {Object} { filename, filepath, stream }
+   */
+  createExportFile(teamName, kind, extension) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `${teamName.replace(/[^a-zA-Z0-9]/g, '_')}_${kind}_${timestamp}.${extension}`;
+    const filepath = path.join(this.exportDir, filename);
+
+    return {
+      filename,
+      filepath,
+      stream: fs.createWriteStream(filepath, { encoding: 'utf8' })
+    };
+  }
+
+  /**
+   * Write to a file stream, waiting for it to drain when its buffer is full
+   * @param {fs.WriteStream} stream - Output stream
+   * @param {string} chunk - Data to write
+   */
+  async write(stream, chunk) {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  }
+
+  /**
+   * Close an export file and return its details, or remove it if writing failed
+   * @param {Object} file - { filename, filepath, stream } from createExportFile
+   * @param {Error} [error] - Error that interrupted writing
+   * @returns {Promise<Object>} { filepath, filename, size }
+   */
+  async closeExportFile(file, error = null) {
+    if (error) {
+      file.stream.destroy();
+      fs.rmSync(file.filepath, { force: true });
+      throw error;
+    }
+
+    file.stream.end();
+    await finished(file.stream);
+
+    return {
+      filepath: file.filepath,
+      filename: file.filename,
+      size: fs.statSync(file.filepath).size
+    };
+  }
+
   /**
    * Export team analytics to CSV format
    * @param {Object} teamData - Team analytics data
    * @param {Array} checkIns - Check-ins data
    * @param {Object} options - Export options
-   * @returns {Promise<string>} File path of exported CSV
+   * @returns {Promise<Object>} Export file details
    */
   async exportToCSV(teamData, checkIns, options = {}) {
-    try {
-      const {
-        teamName = 'Team',
-        period = '7d',
-        includeIndividual = true,
-        includeAnalytics = true
-      } = options;
+    return this.writeCSVReport(teamData, checkIns ? [checkIns] : [], options);
+  }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `${teamName.replace(/[^a-zA-Z0-9]/g, '_')}_wellness_report_${timestamp}.csv`;
-      const filepath = path.join(this.exportDir, filename);
+  /**
+   * Get how a trend granularity is presented in exports
+   * @param {string} granularity - hour, day, week or month (defaults to day)
+   * @returns {Object} { title, header, numFmt, toDate, label }
+   */
+  getTrendBuckets(granularity) {
+    return TREND_BUCKETS[granularity] || TREND_BUCKETS.day;
+  }
+
+  /**
+   * Build the analytics sections shared by both CSV layouts
+   * @param {Object} teamData - Team analytics data
+   * @param {Object} options - { teamName, period }
+   * @returns {Array} [{ name, title, header, rows }]
+   */
+  getCSVSections(teamData, { teamName, period }) {
+    const distribution = (values, keys) => keys.map(key => [key, values?.[key] || 0]);
+    const buckets = this.getTrendBuckets(teamData.granularity);
 
-      let csvContent = '';
+    return [
+      {
+        name: 'summary',
+        title: 'TEAM ANALYTICS SUMMARY',
+        header: ['Metric', 'Value'],
+        rows: [
+          ['Team', teamName],
+          ['Period', period],
+          ['Timezone', teamData.timezone],
+          ['Generated At', new Date()],
+          ['Total Check-ins', teamData.total_checkins],
+          ['Unique Participants', teamData.unique_participants],
+          ['Participation Rate', teamData.participation_rate],
+          ['Average Mood', teamData.average_mood],
+          ['Average Energy', teamData.average_energy],
+          ['Average Sentiment', teamData.average_sentiment]
+        ]
+      },
+      {
+        name: 'sentiment_distribution',
+        title: 'SENTIMENT DISTRIBUTION',
+        header: ['Sentiment Label', 'Check-ins'],
+        rows: distribution(teamData.sentiment_distribution, ['POSITIVE', 'NEUTRAL', 'NEGATIVE'])
+      },
+      {
+        name: 'mood_distribution',
+        title: 'MOOD DISTRIBUTION',
+        header: ['Mood Score', 'Check-ins'],
+        rows: distribution(teamData.mood_distribution, [1, 2, 3, 4, 5])
+      },
+      {
+        name: 'energy_distribution',
+        title: 'ENERGY DISTRIBUTION',
+        header: ['Energy Level', 'Check-ins'],
+        rows: distribution(teamData.energy_distribution, [1, 2, 3, 4, 5])
+      },
+      {
+        name: 'daily_trends',
+        title: buckets.title.toUpperCase(),
+        header: [buckets.header, 'Average Mood', 'Average Energy', 'Average Sentiment', 'Check-ins'],
+        rows: (teamData.sentiment_trend || []).map(day => [day.date, day.avg_mood, day.avg_energy, day.avg_sentiment, day.count])
+      }
+    ];
+  }
+
+  /**
+   * Header of the check-ins table in CSV exports
+   * @returns {Array} Column names
+   */
+  getCheckInCSVHeader() {
+    return ['Created At', 'User', 'Content', 'Mood Score', 'Energy Level', 'Sentiment Score', 'Sentiment Label', 'Anonymous', 'Input Method'];
+  }
 
-      // Add header information
-      csvContent += `Team Wellness Report\n`;
-      csvContent += `Team: ${teamName}\n`;
-      csvContent += `Period: ${period}\n`;
-      csvContent += `Generated: ${new Date().toLocaleString()}\n`;
-      csvContent += `\n`;
+  /**
+   * Format a check-in as a CSV record
+   * @param {Object} checkIn - Check-in with profiles joined
+   * @returns {string} CSV line
+   */
+  formatCheckInCSVRow(checkIn) {
+    return formatCSVRow([
+      toISOTimestamp(checkIn.created_at),
+      checkIn.is_anonymous ? 'Anonymous' : (checkIn.profiles?.full_name || 'Unknown'),
+      checkIn.content,
+      checkIn.mood_score,
+      checkIn.energy_level,
+      checkIn.sentiment_score,
+      checkIn.sentiment_label || 'Unknown',
+      checkIn.is_anonymous ? 'Yes' : 'No',
+      checkIn.input_method || 'text'
+    ]);
+  }
+
+  /**
+   * Stream a CSV report to disk, writing check-ins page by page
+   * Every section is a titled table separated by a blank line
+   * @param {Object} teamData - Team analytics data
+   * @param {AsyncIterable<Array>|Array<Array>} checkInPages - Pages of check-ins
+   * @param {Object} options - Export options
+   * @param {Function} [onProgress] - Called with the number of check-ins written after each page
+   * @returns {Promise<Object>} Export file details
+   */
+  async writeCSVReport(teamData, checkInPages, options = {}, onProgress = null) {
+    const {
+      teamName = 'Team',
+      period = '7d',
+      includeIndividual = true,
+      includeAnalytics = true
+    } = options;
+
+    const file = this.createExportFile(teamName, 'wellness_report', 'csv');
+    let recordCount = 0;
+
+    try {
+      let csvContent = formatCSVRow(['Team Wellness Report']) + '\r\n';
 
       // Add summary analytics if requested
       if (includeAnalytics && teamData) {
-        csvContent += `TEAM ANALYTICS SUMMARY\n`;
-        csvContent += `Total Check-ins,${teamData.total_checkins}\n`;
-        csvContent += `Unique Participants,${teamData.unique_participants}\n`;
-        csvContent += `Participation Rate,${Math.round(teamData.participation_rate * 100)}%\n`;
-        csvContent += `Average Mood,${teamData.average_mood}/5\n`;
-        csvContent += `Average Energy,${teamData.average_energy}/5\n`;
-        csvContent += `Average Sentiment,${teamData.average_sentiment}\n`;
-        csvContent += `\n`;
-
-        // Add sentiment distribution
-        csvContent += `SENTIMENT DISTRIBUTION\n`;
-        csvContent += `Positive,${teamData.sentiment_distribution?.POSITIVE || 0}\n`;
-        csvContent += `Neutral,${teamData.sentiment_distribution?.NEUTRAL || 0}\n`;
-        csvContent += `Negative,${teamData.sentiment_distribution?.NEGATIVE || 0}\n`;
-        csvContent += `\n`;
-
-        // Add mood distribution
-        csvContent += `MOOD DISTRIBUTION\n`;
-        for (let i = 1; i <= 5; i++) {
-          csvContent += `Mood ${i},${teamData.mood_distribution?.[i] || 0}\n`;
-        }
-        csvContent += `\n`;
-
-        // Add daily trends if available
-        if (teamData.sentiment_trend && teamData.sentiment_trend.length > 0) {
-          csvContent += `DAILY TRENDS\n`;
-          csvContent += `Date,Average Mood,Average Energy,Average Sentiment,Check-ins Count\n`;
-          teamData.sentiment_trend.forEach(day => {
-            csvContent += `${day.date},${day.avg_mood},${day.avg_energy},${day.avg_sentiment},${day.count}\n`;
-          });
-          csvContent += `\n`;
-        }
-      }
+        this.getCSVSections(teamData, { teamName, period }).forEach(section => {
+          if (section.rows.length === 0) return;
 
-      // Add individual check-ins if requested
-      if (includeIndividual && checkIns && checkIns.length > 0) {
-        csvContent += `INDIVIDUAL CHECK-INS\n`;
-        csvContent += `Date,User,Content,Mood Score,Energy Level,Sentiment Score,Sentiment Label,Anonymous,Input Method\n`;
-
-        checkIns.forEach(checkIn => {
-          const date = new Date(checkIn.created_at).toLocaleString();
-          const user = checkIn.is_anonymous ? 'Anonymous' : (checkIn.profiles?.full_name || 'Unknown');
-          const content = `"${checkIn.content.replace(/"/g, '""')}"`;  // Escape quotes
-          const mood = checkIn.mood_score;
-          const energy = checkIn.energy_level;
-          const sentiment = checkIn.sentiment_score || 0;
-          const sentimentLabel = checkIn.sentiment_label || 'Unknown';
-          const anonymous = checkIn.is_anonymous ? 'Yes' : 'No';
-          const inputMethod = checkIn.input_method || 'text';
-
-          csvContent += `${date},${user},${content},${mood},${energy},${sentiment},${sentimentLabel},${anonymous},${inputMethod}\n`;
+          csvContent += formatCSVRow([section.title]);
+          csvContent += formatCSVRow(section.header);
+          section.rows.forEach(row => { csvContent += formatCSVRow(row); });
+          csvContent += '\r\n';
         });
       }
 
-      // Write to file
-      fs.writeFileSync(filepath, csvContent, 'utf8');
+      await this.write(file.stream, csvContent);
 
-      return {
-        filepath,
-        filename,
-        size: fs.statSync(filepath).size,
-        recordCount: checkIns ? checkIns.length : 0
-      };
+      // Add individual check-ins if requested
+      if (includeIndividual) {
+        for await (const page of checkInPages) {
+          if (page.length === 0) continue;
+
+          let rows = '';
+          if (recordCount === 0) {
+            rows += formatCSVRow(['INDIVIDUAL CHECK-INS']);
+            rows += formatCSVRow(this.getCheckInCSVHeader());
+          }
+
+          page.forEach(checkIn => {
+            rows += this.formatCheckInCSVRow(checkIn);
+          });
+
+          await this.write(file.stream, rows);
+          recordCount += page.length;
+          if (onProgress) await onProgress(recordCount);
+        }
+      }
     } catch (error) {
       console.error('CSV export error:', error);
-      throw new Error('Failed to export CSV report');
+      await this.closeExportFile(file, new Error('Failed to export CSV report'));
     }
+
+    return {
+      ...await this.closeExportFile(file),
+      recordCount
+    };
+  }
+
+  /**
+   * Stream "tidy" CSVs to a zip, one single-table file per section
+   * Each file has exactly one header row, so it imports cleanly into spreadsheets and dataframes
+   * @param {Object} teamData - Team analytics data
+   * @param {AsyncIterable<Array>|Array<Array>} checkInPages - Pages of check-ins
+   * @param {Object} options - Export options
+   * @param {Function} [onProgress] - Called with the number of check-ins written after each page
+   * @returns {Promise<Object>} Export file details
+   */
+  async writeTidyCSVBundle(teamData, checkInPages, options = {}, onProgress = null) {
+    const {
+      teamName = 'Team',
+      period = '7d',
+      includeIndividual = true
+    } = options;
+
+    const file = this.createExportFile(teamName, 'wellness_data', 'zip');
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const archiveError = new Promise((resolve, reject) => archive.on('error', reject));
+    archive.pipe(file.stream);
+    let recordCount = 0;
+
+    try {
+      this.getCSVSections(teamData, { teamName, period }).forEach(section => {
+        const content = formatCSVRow(section.header) + section.rows.map(formatCSVRow).join('');
+        archive.append(content, { name: `${section.name}.csv` });
+      });
+
+      if (includeIndividual) {
+        // Check-ins are the last entry, so the archive starts reading them straight away
+        const checkInStream = new PassThrough();
+        archive.append(checkInStream, { name: 'check_ins.csv' });
+
+        await this.write(checkInStream, formatCSVRow(this.getCheckInCSVHeader()));
+        for await (const page of checkInPages) {
+          if (page.length === 0) continue;
+
+          await this.write(checkInStream, page.map(checkIn => this.formatCheckInCSVRow(checkIn)).join(''));
+          recordCount += page.length;
+          if (onProgress) await onProgress(recordCount);
+        }
+        checkInStream.end();
+      }
+
+      await Promise.race([archive.finalize(), archiveError]);
+      await finished(file.stream);
+    } catch (error) {
+      console.error('Tidy CSV export error:', error);
+      archive.abort();
+      await this.closeExportFile(file, new Error('Failed to export CSV bundle'));
+    }
+
+    return {
+      filepath: file.filepath,
+      filename: file.filename,
+      size: fs.statSync(file.filepath).size,
+      recordCount
+    };
   }
 
   /**
@@ -122,55 +354,249 @@ class ExportService {
    * @param {Array} checkIns - Check-ins data
    * @param {Array} insights - AI insights data
    * @param {Object} options - Export options
-   * @returns {Promise<string>} File path of exported JSON
+   * @returns {Promise<Object>} Export file details
    */
   async exportToJSON(teamData, checkIns, insights, options = {}) {
-    try {
-      const {
-        teamName = 'Team',
-        period = '7d',
-        includeRawData = true
-      } = options;
+    return this.writeJSONReport(teamData, checkIns ? [checkIns] : [], insights, options);
+  }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `${teamName.replace(/[^a-zA-Z0-9]/g, '_')}_wellness_data_${timestamp}.json`;
-      const filepath = path.join(this.exportDir, filename);
+  /**
+   * Stream a JSON report to disk, writing check-ins page by page
+   * @param {Object} teamData - Team analytics data
+   * @param {AsyncIterable<Array>|Array<Array>} checkInPages - Pages of check-ins
+   * @param {Array} insights - AI insights data
+   * @param {Object} options - Export options
+   * @param {Function} [onProgress] - Called with the number of check-ins written after each page
+   * @returns {Promise<Object>} Export file details
+   */
+  async writeJSONReport(teamData, checkInPages, insights, options = {}, onProgress = null) {
+    const {
+      teamName = 'Team',
+      period = '7d',
+      includeRawData = true
+    } = options;
 
-      const exportData = {
-        metadata: {
-          teamName,
-          period,
-          exportedAt: new Date().toISOString(),
-          version: '1.0'
-        },
-        analytics: teamData,
-        insights: insights || [],
-        checkInsCount: checkIns ? checkIns.length : 0
+    const file = this.createExportFile(teamName, 'wellness_data', 'json');
+    const indent = (value, depth) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(depth)}`);
+    let recordCount = 0;
+
+    try {
+      const metadata = {
+        teamName,
+        period,
+        timezone: teamData?.timezone,
+        exportedAt: new Date().toISOString(),
+        version: '1.0'
       };
 
+      await this.write(file.stream, [
+        '{',
+        `  "metadata": ${indent(metadata, 2)},`,
+        `  "analytics": ${indent(teamData, 2)},`,
+        `  "insights": ${indent(insights || [], 2)},`,
+        ''
+      ].join('\n'));
+
       // Include raw check-ins data if requested
-      if (includeRawData && checkIns) {
-        exportData.checkIns = checkIns.map(checkIn => ({
-          ...checkIn,
-          // Remove sensitive data if anonymous
-          user_id: checkIn.is_anonymous ? null : checkIn.user_id,
-          profiles: checkIn.is_anonymous ? null : checkIn.profiles
-        }));
-      }
+      if (includeRawData) {
+        await this.write(file.stream, '  "checkIns": [');
 
-      // Write to file
-      fs.writeFileSync(filepath, JSON.stringify(exportData, null, 2), 'utf8');
+        for await (const page of checkInPages) {
+          const rows = page.map(checkIn => indent({
+            ...checkIn,
+            // Remove sensitive data if anonymous
+            user_id: checkIn.is_anonymous ? null : checkIn.user_id,
+            profiles: checkIn.is_anonymous ? null : checkIn.profiles
+          }, 4));
 
-      return {
-        filepath,
-        filename,
-        size: fs.statSync(filepath).size,
-        recordCount: checkIns ? checkIns.length : 0
-      };
+          if (rows.length === 0) continue;
+
+          await this.write(file.stream, `${recordCount > 0 ? ',' : ''}\n    ${rows.join(',\n    ')}`);
+          recordCount += page.length;
+          if (onProgress) await onProgress(recordCount);
+        }
+
+        await this.write(file.stream, recordCount > 0 ? '\n  ],\n' : '],\n');
+      } else {
+        for await (const page of checkInPages) {
+          recordCount += page.length;
+        }
+      }
+
+      await this.write(file.stream, `  "checkInsCount": ${recordCount}\n}\n`);
     } catch (error) {
       console.error('JSON export error:', error);
-      throw new Error('Failed to export JSON report');
+      await this.closeExportFile(file, new Error('Failed to export JSON report'));
+    }
+
+    return {
+      ...await this.closeExportFile(file),
+      recordCount
+    };
+  }
+
+  /**
+   * Stream an XLSX workbook to disk with one sheet per section
+   * Numbers, percentages and dates are written as typed cells so spreadsheets can sort and chart them
+   * @param {Object} teamData - Team analytics data
+   * @param {AsyncIterable<Array>|Array<Array>} checkInPages - Pages of check-ins
+   * @param {Array} alerts - Alerts in the period, with their lifecycle status
+   * @param {Object} options - Export options
+   * @param {Function} [onProgress] - Called with the number of check-ins written after each page
+   * @returns {Promise<Object>} Export file details
+   */
+  async writeXLSXReport(teamData, checkInPages, alerts, options = {}, onProgress = null) {
+    const {
+      teamName = 'Team',
+      period = '7d'
+    } = options;
+
+    const file = this.createExportFile(teamName, 'wellness_report', 'xlsx');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: file.stream, useStyles: true });
+    workbook.creator = 'Team Pulse Analytics';
+    workbook.created = new Date();
+    let recordCount = 0;
+
+    const addSheet = (name, columns) => {
+      const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = columns;
+      sheet.getRow(1).font = { bold: true };
+      return sheet;
+    };
+    const buckets = this.getTrendBuckets(teamData.granularity);
+
+    try {
+      // Summary
+      const summary = addSheet('Summary', [
+        { header: 'Metric', key: 'metric', width: 24 },
+        { header: 'Value', key: 'value', width: 28 }
+      ]);
+      [
+        ['Team', teamName],
+        ['Period', period],
+        ['Timezone', teamData.timezone],
+        ['Generated (UTC)', { value: new Date(), numFmt: 'yyyy-mm-dd hh:mm' }],
+        ['Total Check-ins', teamData.total_checkins],
+        ['Unique Participants', teamData.unique_participants],
+        ['Participation Rate', { value: teamData.participation_rate, numFmt: '0%' }],
+        ['Average Mood', { value: teamData.average_mood, numFmt: '0.00' }],
+        ['Average Energy', { value: teamData.average_energy, numFmt: '0.00' }],
+        ['Average Sentiment', { value: teamData.average_sentiment, numFmt: '0.00' }]
+      ].forEach(([metric, value]) => {
+        const row = summary.addRow({ metric, value: value?.value ?? value });
+        if (value?.numFmt) row.getCell('value').numFmt = value.numFmt;
+        row.getCell('value').alignment = { horizontal: 'left' };
+        row.commit();
+      });
+      summary.commit();
+
+      // Distributions
+      const distributions = [
+        ['Mood Distribution', 'Mood Score', teamData.mood_distribution, [1, 2, 3, 4, 5]],
+        ['Energy Distribution', 'Energy Level', teamData.energy_distribution, [1, 2, 3, 4, 5]],
+        ['Sentiment Distribution', 'Sentiment', teamData.sentiment_distribution, ['POSITIVE', 'NEUTRAL', 'NEGATIVE']]
+      ];
+      for (const [name, label, distribution, keys] of distributions) {
+        const sheet = addSheet(name, [
+          { header: label, key: 'bucket', width: 16 },
+          { header: 'Check-ins', key: 'count', width: 12 },
+          { header: 'Share', key: 'share', width: 10, style: { numFmt: '0.0%' } }
+        ]);
+        keys.forEach(key => {
+          const count = distribution?.[key] || 0;
+          sheet.addRow({
+            bucket: key,
+            count,
+            share: teamData.total_checkins > 0 ? count / teamData.total_checkins : 0
+          }).commit();
+        });
+        sheet.commit();
+      }
+
+      // Trends, one row per local hour, day, week or month
+      const trends = addSheet(buckets.title, [
+        { header: buckets.header, key: 'date', width: 16, style: { numFmt: buckets.numFmt } },
+        { header: 'Average Mood', key: 'avg_mood', width: 14, style: { numFmt: '0.00' } },
+        { header: 'Average Energy', key: 'avg_energy', width: 14, style: { numFmt: '0.00' } },
+        { header: 'Average Sentiment', key: 'avg_sentiment', width: 18, style: { numFmt: '0.00' } },
+        { header: 'Check-ins', key: 'count', width: 12 }
+      ]);
+      (teamData.sentiment_trend || []).forEach(day => {
+        trends.addRow({ ...day, date: buckets.toDate(day.date) }).commit();
+      });
+      trends.commit();
+
+      // Check-ins
+      const checkInSheet = addSheet('Check-ins', [
+        { header: 'Created At (UTC)', key: 'created_at', width: 18, style: { numFmt: 'yyyy-mm-dd hh:mm' } },
+        { header: 'User', key: 'user', width: 22 },
+        { header: 'Content', key: 'content', width: 60 },
+        { header: 'Mood Score', key: 'mood_score', width: 12 },
+        { header: 'Energy Level', key: 'energy_level', width: 12 },
+        { header: 'Sentiment Score', key: 'sentiment_score', width: 16, style: { numFmt: '0.00' } },
+        { header: 'Sentiment Label', key: 'sentiment_label', width: 16 },
+        { header: 'Anonymous', key: 'is_anonymous', width: 11 },
+        { header: 'Input Method', key: 'input_method', width: 13 }
+      ]);
+      for await (const page of checkInPages) {
+        if (page.length === 0) continue;
+
+        page.forEach(checkIn => {
+          checkInSheet.addRow({
+            created_at: new Date(checkIn.created_at),
+            user: checkIn.is_anonymous ? 'Anonymous' : (checkIn.profiles?.full_name || 'Unknown'),
+            content: checkIn.content,
+            mood_score: checkIn.mood_score,
+            energy_level: checkIn.energy_level,
+            sentiment_score: checkIn.sentiment_score,
+            sentiment_label: checkIn.sentiment_label || 'Unknown',
+            is_anonymous: Boolean(checkIn.is_anonymous),
+            input_method: checkIn.input_method || 'text'
+          }).commit();
+        });
+
+        recordCount += page.length;
+        if (onProgress) await onProgress(recordCount);
+      }
+      checkInSheet.commit();
+
+      // Alerts
+      const alertSheet = addSheet('Alerts', [
+        { header: 'Triggered (UTC)', key: 'generated_at', width: 18, style: { numFmt: 'yyyy-mm-dd hh:mm' } },
+        { header: 'Severity', key: 'severity', width: 10 },
+        { header: 'Status', key: 'status', width: 14 },
+        { header: 'Rule', key: 'rule_name', width: 24 },
+        { header: 'Title', key: 'title', width: 40 },
+        { header: 'Acknowledged (UTC)', key: 'acknowledged_at', width: 18, style: { numFmt: 'yyyy-mm-dd hh:mm' } },
+        { header: 'Resolved (UTC)', key: 'resolved_at', width: 18, style: { numFmt: 'yyyy-mm-dd hh:mm' } }
+      ]);
+      (alerts || []).forEach(alert => {
+        const metadata = alert.metadata || {};
+        alertSheet.addRow({
+          generated_at: new Date(alert.generated_at),
+          severity: alert.severity,
+          status: alert.status,
+          rule_name: metadata.rule_name || null,
+          title: alert.title,
+          acknowledged_at: metadata.acknowledged ? new Date(metadata.acknowledged.at) : null,
+          resolved_at: metadata.resolved ? new Date(metadata.resolved.at) : null
+        }).commit();
+      });
+      alertSheet.commit();
+
+      await workbook.commit();
+      await finished(file.stream);
+    } catch (error) {
+      console.error('XLSX export error:', error);
+      await this.closeExportFile(file, new Error('Failed to export XLSX report'));
     }
+
+    return {
+      filepath: file.filepath,
+      filename: file.filename,
+      size: fs.statSync(file.filepath).size,
+      recordCount
+    };
   }
 
   /**
@@ -201,6 +627,7 @@ class ExportService {
       summary += `Team: ${teamName}\n`;
       summary += `Manager: ${managerName}\n`;
       summary += `Period: ${period}\n`;
+      summary += `Timezone: ${teamData.timezone || 'UTC'}\n`;
       summary += `Generated: ${new Date().toLocaleString()}\n\n`;
 
       // Key Metrics
@@ -277,6 +704,371 @@ class ExportService {
     }
   }
 
+  /**
+   * Generate the executive summary as a PDF with trend and distribution charts
+   * @param {Object} teamData - Team analytics data
+   * @param {Array} insights - AI insights
+   * @param {Object} alertStats - Alert statistics
+   * @param {Object} options - Export options
+   * @returns {Promise<Object>} Export file details
+   */
+  async generateExecutiveSummaryPDF(teamData, insights, alertStats, options = {}) {
+    const {
+      teamName = 'Team',
+      period = '7d',
+      managerName = 'Team Manager'
+    } = options;
+
+    const file = this.createExportFile(teamName, 'executive_summary', 'pdf');
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `${teamName} Wellness Executive Summary`, Author: 'Team Pulse Analytics' }
+    });
+    doc.pipe(file.stream);
+
+    try {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      // Headings move to a new page unless the section's first block fits under them
+      const heading = (text, minSpace = 60) => {
+        if (doc.y + 40 + minSpace > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+        doc.moveDown(0.8);
+        doc.font('Helvetica-Bold').fontSize(13).fillColor('#1f2937').text(text, left, doc.y, { width });
+        doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(10).fillColor('#374151');
+      };
+      const bullet = (text) => doc.text(`•  ${text}`, left + 10, doc.y, { width: width - 10 });
+
+      // Header
+      doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text('Team Wellness Executive Summary', left, doc.y, { width });
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(10).fillColor('#4b5563')
+        .text(`Team: ${teamName}    Manager: ${managerName}    Period: ${period}    Timezone: ${teamData.timezone || 'UTC'}`)
+        .text(`Generated: ${new Date().toLocaleString()}`);
+
+      // Key Metrics
+      heading('Key Metrics');
+      bullet(`Team Participation: ${Math.round(teamData.participation_rate * 100)}% (${teamData.unique_participants} members)`);
+      bullet(`Overall Mood: ${teamData.average_mood}/5 (${this.getMoodDescription(teamData.average_mood)})`);
+      bullet(`Energy Level: ${teamData.average_energy}/5 (${this.getEnergyDescription(teamData.average_energy)})`);
+      bullet(`Sentiment Score: ${teamData.average_sentiment} (${this.getSentimentDescription(teamData.average_sentiment)})`);
+      bullet(`Total Check-ins: ${teamData.total_checkins}`);
+
+      // Health Status
+      const healthStatus = this.assessTeamHealth(teamData);
+      const statusColors = { CRITICAL: '#dc2626', 'AT RISK': '#d97706', GOOD: '#2563eb', EXCELLENT: '#16a34a' };
+      heading('Team Health Status');
+      doc.font('Helvetica-Bold').fillColor(statusColors[healthStatus.status] || '#374151')
+        .text(`${healthStatus.status}  ·  Risk level ${healthStatus.riskLevel}`);
+      doc.font('Helvetica').fillColor('#374151').text(healthStatus.description);
+
+      // Alert Summary
+      if (alertStats && alertStats.total > 0) {
+        heading('Alerts Summary');
+        bullet(`Total Alerts: ${alertStats.total}`);
+        bullet(`Critical: ${alertStats.by_severity.critical}`);
+        bullet(`Warnings: ${alertStats.by_severity.warning}`);
+        bullet(`Info: ${alertStats.by_severity.info}`);
+        bullet(`Acknowledged: ${alertStats.acknowledged}/${alertStats.total}`);
+      }
+
+      // Charts
+      const trend = teamData.sentiment_trend || [];
+      if (trend.length > 0) {
+        const buckets = this.getTrendBuckets(teamData.granularity);
+        heading(buckets.title, 170);
+
+        const labels = trend.map(day => buckets.label(day.date));
+        let chartY = drawLineChart(doc, {
+          x: left,
+          y: doc.y,
+          width,
+          height: 110,
+          title: 'Average mood and energy (1-5)',
+          labels,
+          min: 0,
+          max: 5,
+          ticks: 5,
+          series: [
+            { label: 'Mood', color: '#2563eb', values: trend.map(day => day.avg_mood) },
+            { label: 'Energy', color: '#16a34a', values: trend.map(day => day.avg_energy) }
+          ]
+        });
+
+        if (chartY + 150 > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+          chartY = doc.page.margins.top;
+        }
+
+        chartY = drawLineChart(doc, {
+          x: left,
+          y: chartY + 6,
+          width,
+          height: 90,
+          title: 'Average sentiment (-1 to 1)',
+          labels,
+          min: -1,
+          max: 1,
+          ticks: 4,
+          series: [{ label: 'Sentiment', color: '#9333ea', values: trend.map(day => day.avg_sentiment) }]
+        });
+
+        doc.x = left;
+        doc.y = chartY;
+      }
+
+      if (teamData.total_checkins > 0) {
+        heading('Mood and Energy Distribution', 140);
+
+        const scores = ['1', '2', '3', '4', '5'];
+        const chartWidth = (width - 20) / 2;
+        const top = doc.y;
+
+        const moodBottom = drawBarChart(doc, {
+          x: left,
+          y: top,
+          width: chartWidth,
+          height: 100,
+          title: 'Mood scores',
+          labels: scores,
+          values: scores.map(score => teamData.mood_distribution[score] || 0),
+          color: '#2563eb'
+        });
+        const energyBottom = drawBarChart(doc, {
+          x: left + chartWidth + 20,
+          y: top,
+          width: chartWidth,
+          height: 100,
+          title: 'Energy levels',
+          labels: scores,
+          values: scores.map(score => teamData.energy_distribution[score] || 0),
+          color: '#16a34a'
+        });
+
+        doc.x = left;
+        doc.y = Math.max(moodBottom, energyBottom);
+      }
+
+      // Key Insights
+      if (insights && insights.length > 0) {
+        heading('Key Insights');
+        insights.slice(0, 3).forEach((insight, index) => {
+          doc.font('Helvetica-Bold').text(`${index + 1}. ${insight.title}`, left, doc.y, { width });
+          doc.font('Helvetica').text(insight.content, left + 14, doc.y, { width: width - 14 });
+          doc.moveDown(0.4);
+        });
+      }
+
+      // Recommendations
+      heading('Recommendations');
+      this.generateRecommendations(teamData, alertStats).forEach((rec, index) => {
+        doc.text(`${index + 1}. ${rec}`, left, doc.y, { width });
+      });
+
+      // Trend Analysis
+      if (trend.length > 1) {
+        heading('Trend Analysis');
+        doc.text(this.analyzeTrends(trend), left, doc.y, { width });
+      }
+
+      // Footer
+      doc.moveDown(2);
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#6b7280')
+        .text('This report was automatically generated by the Team Pulse Analytics System. For questions or concerns, please contact your HR representative.', left, doc.y, { width });
+
+      doc.end();
+      await finished(file.stream);
+
+      return {
+        filepath: file.filepath,
+        filename: file.filename,
+        size: fs.statSync(file.filepath).size
+      };
+    } catch (error) {
+      console.error('Executive summary PDF export error:', error);
+      doc.unpipe(file.stream);
+      await this.closeExportFile(file, new Error(`Failed to generate executive summary PDF: ${error.message}`));
+    }
+  }
+
+  /**
+   * Record a generated export so it can be listed and downloaded
+   * @param {string} teamId - Team ID
+   * @param {string} userId - User who requested the export
+   * @param {Object} exportResult - Result of one of the export methods
+   * @param {Object} details - { format, period }
+   * @returns {Promise<Object>} Stored export record
+   */
+  async recordExport(teamId, userId, exportResult, { format, period }) {
+    const { data, error } = await supabase
+      .from('team_exports')
+      .insert({
+        team_id: teamId,
+        created_by: userId,
+        filename: exportResult.filename,
+        format,
+        period,
+        size: exportResult.size,
+        record_count: exportResult.recordCount || 0,
+        expires_at: new Date(Date.now() + this.retentionHours * 60 * 60 * 1000).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record export: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List a team's exports, newest first, with file metadata
+   * Exports whose file is gone are reported as unavailable
+   * @param {string} teamId - Team ID
+   * @param {number} limit - Maximum number of exports
+   * @returns {Promise<Array>} Export records
+   */
+  async getTeamExports(teamId, limit = 50) {
+    const { data, error } = await supabase
+      .from('team_exports')
+      .select('*')
+      .eq('team_id', teamId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch exports: ${error.message}`);
+    }
+
+    return data.map(record => this.describeExport(record));
+  }
+
+  /**
+   * Get one of a team's exports
+   * @param {string} teamId - Team ID
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object|null>} Export record or null if not found
+   */
+  async getExport(teamId, exportId) {
+    const { data, error } = await supabase
+      .from('team_exports')
+      .select('*')
+      .eq('team_id', teamId)
+      .eq('id', exportId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch export: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Shape an export record for API responses
+   * @param {Object} record - team_exports row
+   * @returns {Object} Export with file info and a fresh download link
+   */
+  describeExport(record) {
+    const info = this.getExportInfo(record.filename);
+
+    return {
+      id: record.id,
+      format: record.format,
+      period: record.period,
+      filename: record.filename,
+      record_count: record.record_count,
+      created_by: record.created_by,
+      created_at: record.created_at,
+      expires_at: record.expires_at,
+      available: !!info,
+      size: info ? info.size : record.size,
+      size_formatted: this.formatFileSize(info ? info.size : record.size || 0),
+      download: info ? this.createDownloadLink(record.team_id, record.id) : null
+    };
+  }
+
+  /**
+   * Sign a download of an export
+   * @param {string} teamId - Team ID
+   * @param {string} exportId - Export ID
+   * @param {number} expires - Expiry as a Unix timestamp in seconds
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  signDownload(teamId, exportId, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${teamId}:${exportId}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Create a short-lived signed download link that works without an Authorization header
+   * @param {string} teamId - Team ID
+   * @param {string} exportId - Export ID
+   * @returns {Object} { url, expires_at }
+   */
+  createDownloadLink(teamId, exportId) {
+    const expires = Math.floor(Date.now() / 1000) + this.downloadUrlTtlMinutes * 60;
+    const signature = this.signDownload(teamId, exportId, expires);
+
+    return {
+      url: `/api/teams/${teamId}/exports/${exportId}/download?expires=${expires}&signature=${signature}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a signed download link
+   * @param {string} teamId - Team ID
+   * @param {string} exportId - Export ID
+   * @param {string|number} expires - Expiry from the link
+   * @param {string} signature - Signature from the link
+   * @returns {boolean} True if the link is authentic and has not expired
+   */
+  verifyDownloadSignature(teamId, exportId, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signDownload(teamId, exportId, expiresAt), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Remove export files and records past the retention period (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} { files_deleted, records_deleted }, or null if nothing expired
+   */
+  async cleanupExpiredExports(now = new Date()) {
+    const filesDeleted = this.cleanupOldExports(this.retentionHours);
+
+    const { data, error } = await supabase
+      .from('team_exports')
+      .delete()
+      .lt('expires_at', now.toISOString())
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete expired exports: ${error.message}`);
+    }
+
+    if (filesDeleted === 0 && data.length === 0) {
+      return null;
+    }
+
+    return { files_deleted: filesDeleted, records_deleted: data.length };
+  }
+
   /**
    * Clean up old export files
    * @param {number} maxAgeHours - Maximum age in hours (default 48)
@@ -297,7 +1089,9 @@ class ExportService {
         }
       });
 
-      console.log(`Cleaned up ${deletedCount} old export files`);
+      if (deletedCount > 0) {
+        console.log(`Cleaned up ${deletedCount} old export files`);
+      }
       return deletedCount;
     } catch (error) {
       console.error('Export cleanup error:', error);
@@ -312,7 +1106,7 @@ class ExportService {
    */
   getExportInfo(filename) {
     try {
-      const filepath = path.join(this.exportDir, filename);
+      const filepath = path.join(this.exportDir, path.basename(filename));
       if (!fs.existsSync(filepath)) {
         return null;
       }
@@ -1,11 +1,25 @@
 const supabase = require('../../config/supabase');
 const { publishMessage } = require('../../config/redis');
+const emailService = require('./emailService');
+const slackService = require('./slackService');
+const pushService = require('./pushService');
+const websocketService = require('./websocketService');
+const { resolveTimezone, getZonedParts, getTimezoneOffset } = require('../utils/timezone');
 
 class NotificationService {
   constructor() {
-    this.emailEnabled = process.env.EMAIL_ENABLED === 'true';
-    this.slackEnabled = process.env.SLACK_WEBHOOK_URL ? true : false;
-    this.pushEnabled = process.env.PUSH_NOTIFICATIONS_ENABLED === 'true';
+    this.emailEnabled = emailService.enabled;
+    this.pushEnabled = pushService.enabled;
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+    this.defaultPreferences = {
+      enabled_methods: ['in_app'],
+      alert_types: ['critical', 'warning'],
+      quiet_hours: { enabled: false },
+      digest: { frequency: 'off' }
+    };
+
+    // Notification types that can wait for a digest; critical ones never do
+    this.digestTypes = ['team_alert', 'weekly_summary'];
   }
 
   /**
@@ -18,12 +32,6 @@ class NotificationService {
   async sendAlertNotification(teamId, alert, recipients = []) {
     try {
       const notifications = [];
-      const results = {
-        sent: 0,
-        failed: 0,
-        methods: [],
-        errors: []
-      };
 
       // Get team information
       const { data: team } = await supabase
@@ -36,20 +44,7 @@ class NotificationService {
 
       // Get team managers if no specific recipients provided
       if (recipients.length === 0) {
-        const { data: managers } = await supabase
-          .from('team_members')
-          .select(`
-            user_id,
-            profiles:user_id (
-              full_name,
-              email,
-              notification_preferences
-            )
-          `)
-          .eq('team_id', teamId)
-          .eq('role', 'manager');
-
-        recipients = managers || [];
+        recipients = await this.getTeamManagers(teamId);
       }
 
       // Create notification message
@@ -75,25 +70,14 @@ class NotificationService {
         notifications.push(...userNotifications);
       }
 
+      // Post once to the team's Slack channel rather than once per recipient
+      notifications.push(...await this.sendSlackNotification(teamId, notificationData));
+
       // Process results
-      notifications.forEach(notification => {
-        if (notification.success) {
-          results.sent++;
-          if (!results.methods.includes(notification.method)) {
-            results.methods.push(notification.method);
-          }
-        } else {
-          results.failed++;
-          results.errors.push({
-            method: notification.method,
-            user_id: notification.user_id,
-            error: notification.error
-          });
-        }
-      });
+      const results = this.summarizeResults(notifications);
 
       // Store notification record
-      await this.logNotification(teamId, alert.id, results);
+      await this.logNotification(teamId, alert.id, results, { type: 'team_alert' });
 
       // Publish to Redis for real-time updates
       if (publishMessage) {
@@ -117,85 +101,462 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send check-in reminder to team members who have not checked in yet
+   * @param {string} teamId - Team ID
+   * @param {string} teamName - Team name
+   * @param {Array} recipients - Team members to remind
+   * @param {Object} options - Reminder details (schedule_id, message, local_date)
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendCheckInReminder(teamId, teamName, recipients, options = {}) {
+    const notifications = [];
+
+    const notificationData = {
+      type: 'check_in_reminder',
+      team_id: teamId,
+      team_name: teamName || 'your team',
+      title: `Check-in reminder: ${teamName || 'your team'}`,
+      content: options.message || `You haven't checked in with ${teamName || 'your team'} today. Take a minute to share how you're doing.`,
+      severity: 'info',
+      priority: 5,
+      triggered_at: new Date().toISOString(),
+      schedule_id: options.schedule_id,
+      local_date: options.local_date
+    };
+
+    for (const recipient of recipients) {
+      const userNotifications = await this.sendUserNotification(recipient, notificationData);
+      notifications.push(...userNotifications);
+    }
+
+    const results = this.summarizeResults(notifications);
+    await this.logNotification(teamId, null, results, { type: 'check_in_reminder' });
+
+    return results;
+  }
+
+  /**
+   * Send a generated weekly summary to team managers
+   * @param {string} teamId - Team ID
+   * @param {string} teamName - Team name
+   * @param {Object} insight - Stored weekly insight
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendWeeklySummaryNotification(teamId, teamName, insight) {
+    const notifications = [];
+    const recipients = await this.getTeamManagers(teamId);
+
+    const notificationData = {
+      type: 'weekly_summary',
+      insight_id: insight.id,
+      team_id: teamId,
+      team_name: teamName || 'Unknown Team',
+      title: insight.title,
+      content: insight.content,
+      severity: insight.severity,
+      priority: 4,
+      triggered_at: insight.generated_at,
+      metrics: insight.metadata?.team_metrics || {}
+    };
+
+    for (const recipient of recipients) {
+      const userNotifications = await this.sendUserNotification(recipient, notificationData);
+      notifications.push(...userNotifications);
+    }
+
+    notifications.push(...await this.sendSlackNotification(teamId, notificationData));
+
+    const results = this.summarizeResults(notifications);
+    await this.logNotification(teamId, null, results, { type: 'weekly_summary' });
+
+    return results;
+  }
+
+  /**
+   * Re-notify an unacknowledged alert as part of an escalation policy
+   * @param {string} teamId - Team ID
+   * @param {Object} alert - Alert object
+   * @param {Array} recipients - Users to notify at this escalation level
+   * @param {Object} escalation - { level, channels } for this step
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendEscalationNotification(teamId, alert, recipients, escalation) {
+    const notifications = [];
+
+    const { data: team } = await supabase
+      .from('teams')
+      .select('name')
+      .eq('id', teamId)
+      .single();
+
+    const minutesOpen = Math.round((Date.now() - new Date(alert.generated_at).getTime()) / (60 * 1000));
+
+    const notificationData = {
+      type: 'alert_escalation',
+      alert_id: alert.id,
+      team_id: teamId,
+      team_name: team?.name || 'Unknown Team',
+      title: `Escalation (level ${escalation.level}): ${alert.title}`,
+      content: `This alert has not been acknowledged for ${minutesOpen} minutes.\n\n${alert.content}`,
+      severity: alert.severity,
+      priority: 1,
+      triggered_at: alert.generated_at,
+      metrics: alert.metadata?.team_metrics || {},
+      escalation_level: escalation.level
+    };
+
+    for (const recipient of recipients) {
+      const userNotifications = await this.sendUserNotification(recipient, notificationData, {
+        methods: escalation.channels.filter(channel => channel !== 'slack')
+      });
+      notifications.push(...userNotifications);
+    }
+
+    if (escalation.channels.includes('slack')) {
+      notifications.push(...await this.sendSlackNotification(teamId, notificationData, { force: true }));
+    }
+
+    const results = this.summarizeResults(notifications);
+    await this.logNotification(teamId, alert.id, results, {
+      type: 'alert_escalation',
+      details: {
+        level: escalation.level,
+        channels: escalation.channels,
+        recipients: recipients.map(recipient => recipient.user_id)
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Tell the user who requested an export that it is ready (or that it failed)
+   * Never throws: the export itself has already finished either way
+   * @param {Object} job - Export job
+   * @param {Object} outcome - { teamName, exportRecord } on success, { error } on failure
+   * @returns {Promise<Object|null>} Notification result
+   */
+  async sendExportNotification(job, { teamName, exportRecord = null, error = null }) {
+    try {
+      const { data: profile } = await supabase
+        .from('profiles')
+        .select('full_name, email, timezone, notification_preferences')
+        .eq('id', job.requested_by)
+        .single();
+
+      const name = teamName || 'your team';
+      const format = job.format.toUpperCase();
+
+      const notificationData = error
+        ? {
+            type: 'export_failed',
+            title: `Export failed: ${name}`,
+            content: `Your ${format} export of ${name} (${job.period}) could not be generated: ${error}`,
+            severity: 'warning'
+          }
+        : {
+            type: 'export_ready',
+            export_id: exportRecord.id,
+            title: `Export ready: ${name}`,
+            content: `Your ${format} export of ${name} (${job.period}, ${exportRecord.record_count} check-ins) is ready. ` +
+              `Download it from the team's exports page before ${new Date(exportRecord.expires_at).toUTCString()}.`,
+            severity: 'info'
+          };
+
+      Object.assign(notificationData, {
+        team_id: job.team_id,
+        team_name: name,
+        priority: 5,
+        triggered_at: new Date().toISOString()
+      });
+
+      const notifications = await this.sendUserNotification({ user_id: job.requested_by, profiles: profile }, notificationData);
+      const results = this.summarizeResults(notifications);
+
+      await this.logNotification(job.team_id, null, results, {
+        type: notificationData.type,
+        details: { job_id: job.id, export_id: exportRecord?.id || null }
+      });
+
+      return results;
+    } catch (notifyError) {
+      console.error('Export notification error:', notifyError);
+      return null;
+    }
+  }
+
+  /**
+   * Privately tell a member's managers that the member may be at risk of burnout
+   * Goes to each manager individually, never to Slack or the team's alert feed, and leaves out check-in content
+   * @param {Object} team - { id, name }
+   * @param {Object} member - { user_id, profiles: { full_name } }
+   * @param {Object} wellbeing - Member wellbeing assessment
+   * @returns {Promise<Object|null>} Notification result, or null if the member has no other manager
+   */
+  async sendMemberWellbeingNotification(team, member, wellbeing) {
+    const recipients = (await this.getTeamManagers(team.id))
+      .filter(manager => manager.user_id !== member.user_id);
+
+    if (recipients.length === 0) {
+      return null;
+    }
+
+    const name = member.profiles?.full_name || 'A team member';
+    const { burnout_risk: risk, recent, trend, streaks } = wellbeing;
+    const streakNote = streaks.current_low > 1 ? `, and their last ${streaks.current_low} check-ins were low` : '';
+
+    const notificationData = {
+      type: 'member_wellbeing',
+      team_id: team.id,
+      team_name: team.name || 'Unknown Team',
+      member_id: member.user_id,
+      title: `Check in with ${name}`,
+      content: `${name}'s recent check-ins suggest a ${risk.level} risk of burnout (score ${risk.score}/100). ` +
+        `Over the last ${recent.days} days their mood averaged ${recent.average_mood} and energy ${recent.average_energy}; ` +
+        `the trend is ${trend.direction}${streakNote}. Consider a private 1:1. Only managers of ${team.name || 'the team'} receive this.`,
+      severity: 'warning',
+      priority: 2,
+      triggered_at: new Date().toISOString()
+    };
+
+    const notifications = [];
+    for (const recipient of recipients) {
+      notifications.push(...await this.sendUserNotification(recipient, notificationData));
+    }
+
+    const results = this.summarizeResults(notifications);
+    await this.logNotification(team.id, null, results, {
+      type: 'member_wellbeing',
+      details: {
+        user_id: member.user_id,
+        risk_score: risk.score,
+        risk_level: risk.level,
+        recipients: recipients.map(recipient => recipient.user_id)
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Get managers of a team with their notification preferences
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Array>} Manager recipients
+   */
+  async getTeamManagers(teamId) {
+    const { data: managers } = await supabase
+      .from('team_members')
+      .select(`
+        user_id,
+        profiles:user_id (
+          full_name,
+          email,
+          timezone,
+          notification_preferences
+        )
+      `)
+      .eq('team_id', teamId)
+      .eq('role', 'manager');
+
+    return managers || [];
+  }
+
+  /**
+   * Get organisation admins in the same recipient shape as team managers
+   * @returns {Promise<Array>} Admin recipients
+   */
+  async getOrgAdmins() {
+    const { data: admins } = await supabase
+      .from('profiles')
+      .select('id, full_name, email, timezone, notification_preferences')
+      .eq('role', 'admin');
+
+    return (admins || []).map(({ id, ...profile }) => ({
+      user_id: id,
+      profiles: profile
+    }));
+  }
+
+  /**
+   * Aggregate individual delivery attempts into a notification result
+   * @param {Array} notifications - Results from sendUserNotification
+   * @returns {Object} { sent, failed, held, digested, methods, errors }
+   */
+  summarizeResults(notifications) {
+    const results = {
+      sent: 0,
+      failed: 0,
+      held: 0,
+      digested: 0,
+      methods: [],
+      errors: []
+    };
+
+    notifications.forEach(notification => {
+      if (notification.held) {
+        results.held++;
+      } else if (notification.digested) {
+        results.digested++;
+      } else if (notification.success) {
+        results.sent++;
+        if (!results.methods.includes(notification.method)) {
+          results.methods.push(notification.method);
+        }
+      } else {
+        results.failed++;
+        results.errors.push({
+          method: notification.method,
+          user_id: notification.user_id,
+          error: notification.error
+        });
+      }
+    });
+
+    return results;
+  }
+
   /**
    * Send notification to individual user
+   * Users in digest mode get non-critical notifications in their next digest instead.
+   * During the user's quiet hours only the in-app notification goes out; email and push are held until the window ends
    * @param {Object} recipient - User recipient data
    * @param {Object} notificationData - Notification content
+   * @param {Object} options - { methods } to use instead of the user's preferred methods,
+   *   { inApp: false } to skip the in-app and live delivery, { ignoreQuietHours } when releasing held notifications
    * @returns {Promise<Array>} Array of notification attempts
    */
-  async sendUserNotification(recipient, notificationData) {
+  async sendUserNotification(recipient, notificationData, options = {}) {
     const notifications = [];
     const userPrefs = recipient.profiles?.notification_preferences || {};
-    const enabledMethods = userPrefs.enabled_methods || ['in_app'];
+    const enabledMethods = options.methods || userPrefs.enabled_methods || ['in_app'];
+    const pushRequested = enabledMethods.includes('push') && this.pushEnabled;
+    const emailRequested = enabledMethods.includes('email') && this.emailEnabled;
+    const releaseAt = options.ignoreQuietHours
+      ? null
+      : this.getQuietHoursRelease(userPrefs.quiet_hours, notificationData, new Date(), recipient.profiles?.timezone);
 
-    // In-app notification (always enabled)
-    try {
-      await this.sendInAppNotification(recipient.user_id, notificationData);
-      notifications.push({
-        success: true,
-        method: 'in_app',
-        user_id: recipient.user_id
-      });
-    } catch (error) {
-      notifications.push({
-        success: false,
-        method: 'in_app',
-        user_id: recipient.user_id,
-        error: error.message
-      });
+    // Digest mode; if queueing fails the notification is delivered straight away instead
+    const digestFrequency = userPrefs.digest?.frequency;
+    if (!options.methods && options.inApp !== false && ['hourly', 'daily'].includes(digestFrequency)
+      && this.isDigestible(notificationData)) {
+      try {
+        await this.queueDigestItem({ userId: recipient.user_id, data: notificationData });
+        return [{
+          success: true,
+          digested: true,
+          method: 'digest',
+          user_id: recipient.user_id
+        }];
+      } catch (error) {
+        console.error(`Digest queueing failed for user ${recipient.user_id}:`, error.message);
+      }
     }
 
-    // Email notification
-    if (enabledMethods.includes('email') && this.emailEnabled) {
+    if (options.inApp !== false) {
+      // In-app notification (always enabled)
+      let inboxItem = null;
       try {
-        await this.sendEmailNotification(recipient, notificationData);
+        inboxItem = await this.sendInAppNotification(recipient.user_id, notificationData);
         notifications.push({
           success: true,
-          method: 'email',
+          method: 'in_app',
           user_id: recipient.user_id
         });
       } catch (error) {
         notifications.push({
           success: false,
-          method: 'email',
+          method: 'in_app',
+          user_id: recipient.user_id,
+          error: error.message
+        });
+      }
+
+      // Live delivery: open sockets get it straight away, backgrounded mobile apps get a push instead
+      try {
+        const liveNotification = inboxItem
+          ? { ...notificationData, notification_id: inboxItem.id, read: false, created_at: inboxItem.created_at }
+          : notificationData;
+        const channel = await websocketService.deliverNotification(recipient.user_id, liveNotification, {
+          pushFallback: !pushRequested && !releaseAt
+        });
+        if (channel === 'push') {
+          notifications.push({
+            success: true,
+            method: 'push',
+            user_id: recipient.user_id
+          });
+        }
+      } catch (error) {
+        notifications.push({
+          success: false,
+          method: 'push',
           user_id: recipient.user_id,
           error: error.message
         });
       }
     }
 
-    // Push notification
-    if (enabledMethods.includes('push') && this.pushEnabled) {
+    // Quiet hours: queue the interrupting channels until the window ends
+    if (releaseAt) {
+      const heldMethods = [];
+      if (emailRequested) heldMethods.push('email');
+      if (pushRequested) heldMethods.push('push');
+
+      if (heldMethods.length > 0) {
+        try {
+          await this.holdNotification(recipient.user_id, notificationData, heldMethods, releaseAt);
+          heldMethods.forEach(method => notifications.push({
+            success: true,
+            held: true,
+            method,
+            user_id: recipient.user_id
+          }));
+        } catch (error) {
+          heldMethods.forEach(method => notifications.push({
+            success: false,
+            method,
+            user_id: recipient.user_id,
+            error: error.message
+          }));
+        }
+      }
+
+      return notifications;
+    }
+
+    // Email notification
+    if (emailRequested) {
       try {
-        await this.sendPushNotification(recipient, notificationData);
+        await this.sendEmailNotification(recipient, notificationData);
         notifications.push({
           success: true,
-          method: 'push',
+          method: 'email',
           user_id: recipient.user_id
         });
       } catch (error) {
         notifications.push({
           success: false,
-          method: 'push',
+          method: 'email',
           user_id: recipient.user_id,
           error: error.message
         });
       }
     }
 
-    // Slack notification (if configured for team)
-    if (enabledMethods.includes('slack') && this.slackEnabled) {
+    // Push notification
+    if (pushRequested) {
       try {
-        await this.sendSlackNotification(notificationData);
+        await this.sendPushNotification(recipient, notificationData);
         notifications.push({
           success: true,
-          method: 'slack',
+          method: 'push',
           user_id: recipient.user_id
         });
       } catch (error) {
         notifications.push({
           success: false,
-          method: 'slack',
+          method: 'push',
           user_id: recipient.user_id,
           error: error.message
         });
@@ -206,12 +567,13 @@ class NotificationService {
   }
 
   /**
-   * Send in-app notification
+   * Store a notification in the user's inbox
    * @param {string} userId - User ID
    * @param {Object} data - Notification data
+   * @returns {Promise<Object>} Stored inbox notification
    */
   async sendInAppNotification(userId, data) {
-    const { error } = await supabase
+    const { data: notification, error } = await supabase
       .from('notifications')
       .insert({
         user_id: userId,
@@ -220,121 +582,253 @@ class NotificationService {
         content: data.content,
         data: {
           alert_id: data.alert_id,
+          insight_id: data.insight_id,
+          export_id: data.export_id,
           team_id: data.team_id,
           team_name: data.team_name,
           severity: data.severity,
           priority: data.priority,
-          metrics: data.metrics
+          metrics: data.metrics,
+          digest: data.digest
         },
         read: false
-      });
+      })
+      .select()
+      .single();
 
     if (error) {
       throw new Error(`In-app notification failed: ${error.message}`);
     }
+
+    return notification;
   }
 
   /**
-   * Send email notification (placeholder - integrate with email service)
+   * Get a page of a user's inbox, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, unreadOnly }
+   * @returns {Promise<Object>} { notifications, total }
+   */
+  async getInbox(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (unreadOnly) {
+      query = query.eq('read', false);
+    }
+
+    const { data, error, count } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch notifications: ${error.message}`);
+    }
+
+    return { notifications: data, total: count };
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(userId) {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('read', false);
+
+    if (error) {
+      throw new Error(`Failed to count unread notifications: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object|null>} Updated notification, or null if the user has no such notification
+   */
+  async markNotificationRead(userId, notificationId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read: true, read_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to mark notification as read: ${error.message}`);
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    await this.publishUnreadCount(userId, { notification_ids: [notificationId] });
+
+    return data;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllNotificationsRead(userId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read: true, read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('read', false)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to mark notifications as read: ${error.message}`);
+    }
+
+    if (data.length > 0) {
+      await this.publishUnreadCount(userId, { all: true });
+    }
+
+    return data.length;
+  }
+
+  /**
+   * Keep the user's other open clients in sync after notifications are read
+   * @param {string} userId - User ID
+   * @param {Object} change - What was read ({ notification_ids } or { all })
+   */
+  async publishUnreadCount(userId, change) {
+    try {
+      const unreadCount = await this.getUnreadCount(userId);
+      websocketService.emitToUser(userId, 'notifications_read', {
+        ...change,
+        unread_count: unreadCount
+      });
+    } catch (error) {
+      console.error('Failed to publish unread count:', error);
+    }
+  }
+
+  /**
+   * Send email notification over SMTP
    * @param {Object} recipient - Recipient data
    * @param {Object} data - Notification data
+   * @returns {Promise<Object>} { messageId }
    */
   async sendEmailNotification(recipient, data) {
-    // Placeholder for email service integration
-    // This would integrate with services like SendGrid, AWS SES, etc.
-    const emailData = {
-      to: recipient.profiles.email,
-      subject: `Team Alert: ${data.title}`,
-      html: this.generateEmailTemplate(recipient, data)
-    };
+    const isAlert = ['team_alert', 'alert_escalation', 'test_notification'].includes(data.type);
 
-    // For now, just log the email that would be sent
-    console.log('Email notification (simulated):', {
-      to: emailData.to,
-      subject: emailData.subject,
-      alert_id: data.alert_id
+    let html;
+    if (data.type === 'digest') {
+      html = this.generateDigestEmailTemplate(recipient, data);
+    } else if (isAlert) {
+      html = this.generateEmailTemplate(recipient, data);
+    } else {
+      html = this.generateSummaryEmailTemplate(recipient, data);
+    }
+
+    return emailService.sendMail({
+      to: recipient.profiles?.email,
+      subject: data.type === 'team_alert' ? `Team Alert: ${data.title}` : data.title,
+      html,
+      text: this.generateEmailText(data)
     });
+  }
 
-    // In production, implement actual email sending:
-    // await emailService.send(emailData);
+  /**
+   * Email a team invitation and log the delivery
+   * @param {string} teamId - Team ID
+   * @param {Object} invitation - { id, email, inviteCode, teamName, inviterName, role, expiresAt }
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendInvitationEmail(teamId, invitation) {
+    const results = await this.sendDirectEmail(invitation.email, () => emailService.sendInvitationEmail(invitation));
+    await this.logNotification(teamId, null, results, {
+      type: 'team_invitation',
+      details: { invitation_id: invitation.id }
+    });
+
+    return results;
+  }
+
+  /**
+   * Email a password reset link and log the delivery
+   * @param {string} email - Account email
+   * @param {string} tokenHash - Recovery token hash
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendPasswordResetEmail(email, tokenHash) {
+    const results = await this.sendDirectEmail(email, () => emailService.sendPasswordResetEmail(email, tokenHash));
+    await this.logNotification(null, null, results, { type: 'password_reset' });
+
+    return results;
   }
 
   /**
-   * Send push notification (placeholder)
+   * Send a single email to an address that may not belong to a known user
+   * @param {string} email - Recipient address
+   * @param {Function} send - Performs the send
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendDirectEmail(email, send) {
+    try {
+      await send();
+      return { sent: 1, failed: 0, methods: ['email'], errors: [] };
+    } catch (error) {
+      console.error(`Email to ${email} failed:`, error.message);
+      return {
+        sent: 0,
+        failed: 1,
+        methods: [],
+        errors: [{ method: 'email', recipient: email, error: error.message }]
+      };
+    }
+  }
+
+  /**
+   * Send Web Push notification to all of the recipient's registered devices
    * @param {Object} recipient - Recipient data
    * @param {Object} data - Notification data
+   * @returns {Promise<Object>} Push result per device
    */
   async sendPushNotification(recipient, data) {
-    // Placeholder for push notification service
-    // This would integrate with Firebase Cloud Messaging, Apple Push Notifications, etc.
-    console.log('Push notification (simulated):', {
-      user_id: recipient.user_id,
-      title: data.title,
-      body: data.content.substring(0, 100) + '...',
-      alert_id: data.alert_id
-    });
-
-    // In production, implement actual push notifications:
-    // await pushService.send(recipient.push_tokens, data);
+    return pushService.sendToUser(recipient.user_id, data);
   }
 
   /**
-   * Send Slack notification
+   * Send Slack notification to the team's configured webhook
+   * @param {string} teamId - Team ID
    * @param {Object} data - Notification data
+   * @param {Object} options - { force } to post even if the team doesn't subscribe to this type
+   * @returns {Promise<Array>} Delivery attempt, or empty if the team has no Slack channel for it
    */
-  async sendSlackNotification(data) {
-    if (!process.env.SLACK_WEBHOOK_URL) {
-      throw new Error('Slack webhook URL not configured');
-    }
-
-    const slackMessage = {
-      text: `Team Alert: ${data.title}`,
-      blocks: [
-        {
-          type: 'header',
-          text: {
-            type: 'plain_text',
-            text: `🚨 ${data.title}`
-          }
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*Team:* ${data.team_name}\n*Severity:* ${data.severity.toUpperCase()}\n*Priority:* ${data.priority}`
-          }
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'plain_text',
-            text: data.content
-          }
-        },
-        {
-          type: 'context',
-          elements: [
-            {
-              type: 'mrkdwn',
-              text: `Triggered at ${new Date(data.triggered_at).toLocaleString()}`
-            }
-          ]
-        }
-      ]
-    };
+  async sendSlackNotification(teamId, data, options = {}) {
+    try {
+      const config = await slackService.getTeamConfig(teamId);
 
-    // For now, just log the Slack message that would be sent
-    console.log('Slack notification (simulated):', {
-      webhook_url: process.env.SLACK_WEBHOOK_URL,
-      message: slackMessage
-    });
+      // Teams that opted into Slack digests get their non-critical notifications in the next hourly digest
+      if (!options.force && config?.enabled && config.notify.includes('digest')
+        && config.notify.includes(data.type) && this.isDigestible(data)) {
+        await this.queueDigestItem({ recipientType: 'slack', teamId, data });
+        return [{ success: true, digested: true, method: 'slack', user_id: null }];
+      }
 
-    // In production, implement actual Slack webhook:
-    // await fetch(process.env.SLACK_WEBHOOK_URL, {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify(slackMessage)
-    // });
+      const delivery = await slackService.sendTeamNotification(teamId, data, { ...options, config });
+      return delivery ? [{ success: true, method: 'slack', user_id: null }] : [];
+    } catch (error) {
+      console.error(`Slack notification failed for team ${teamId}:`, error.message);
+      return [{ success: false, method: 'slack', user_id: null, error: error.message }];
+    }
   }
 
   /**
@@ -344,6 +838,7 @@ class NotificationService {
    * @returns {string} HTML email template
    */
   generateEmailTemplate(recipient, data) {
+    const escape = emailService.escapeHtml;
     const severityColor = {
       critical: '#dc3545',
       warning: '#ffc107',
@@ -362,21 +857,21 @@ class NotificationService {
         <div style="max-width: 600px; margin: 0 auto; background-color: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
           <div style="background-color: ${severityColor[data.severity] || '#17a2b8'}; color: white; padding: 20px; text-align: center;">
             <h1 style="margin: 0; font-size: 24px;">🚨 Team Alert</h1>
-            <p style="margin: 5px 0 0 0; font-size: 16px;">${data.team_name}</p>
+            <p style="margin: 5px 0 0 0; font-size: 16px;">${escape(data.team_name)}</p>
           </div>
 
           <div style="padding: 30px;">
-            <h2 style="color: #333; margin-top: 0;">${data.title}</h2>
+            <h2 style="color: #333; margin-top: 0;">${escape(data.title)}</h2>
 
             <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <p style="margin: 0;"><strong>Severity:</strong> <span style="color: ${severityColor[data.severity]}; text-transform: uppercase; font-weight: bold;">${data.severity}</span></p>
-              <p style="margin: 5px 0 0 0;"><strong>Priority:</strong> ${data.priority}</p>
+              <p style="margin: 0;"><strong>Severity:</strong> <span style="color: ${severityColor[data.severity]}; text-transform: uppercase; font-weight: bold;">${escape(data.severity)}</span></p>
+              <p style="margin: 5px 0 0 0;"><strong>Priority:</strong> ${escape(data.priority)}</p>
               <p style="margin: 5px 0 0 0;"><strong>Triggered:</strong> ${new Date(data.triggered_at).toLocaleString()}</p>
             </div>
 
             <div style="margin: 20px 0;">
               <h3 style="color: #333;">Alert Details</h3>
-              <p style="color: #666; line-height: 1.6;">${data.content}</p>
+              <p style="color: #666; line-height: 1.6;">${escape(data.content)}</p>
             </div>
 
             ${data.metrics ? `
@@ -411,19 +906,127 @@ class NotificationService {
     `;
   }
 
+  /**
+   * Generate email template for summaries, digests and reminders
+   * @param {Object} recipient - Recipient data
+   * @param {Object} data - Notification data
+   * @returns {string} HTML email template
+   */
+  generateSummaryEmailTemplate(recipient, data) {
+    const metrics = data.metrics && Object.keys(data.metrics).length > 0 ? data.metrics : null;
+    const paragraphs = (data.content || '')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => `<p style="color: #666; line-height: 1.6;">${emailService.escapeHtml(line)}</p>`)
+      .join('');
+
+    return emailService.renderLayout(emailService.escapeHtml(data.team_name || 'Team Pulse'), `
+      <p>Hi ${emailService.escapeHtml(recipient.profiles?.full_name || 'there')},</p>
+      <h2 style="color: #333; margin-top: 0;">${emailService.escapeHtml(data.title)}</h2>
+      ${paragraphs}
+      ${metrics ? `
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p style="margin: 0;"><strong>Avg Mood:</strong> ${metrics.avg_mood ?? 'N/A'}</p>
+        <p style="margin: 5px 0 0 0;"><strong>Avg Energy:</strong> ${metrics.avg_energy ?? 'N/A'}</p>
+        <p style="margin: 5px 0 0 0;"><strong>Participation:</strong> ${Math.round((metrics.participation_rate || 0) * 100)}%</p>
+        <p style="margin: 5px 0 0 0;"><strong>Check-ins:</strong> ${metrics.total_checkins ?? 'N/A'}</p>
+      </div>
+      ` : ''}
+    `);
+  }
+
+  /**
+   * Generate email template for a notification digest, one section per team
+   * @param {Object} recipient - Recipient data
+   * @param {Object} data - Digest notification data
+   * @returns {string} HTML email template
+   */
+  generateDigestEmailTemplate(recipient, data) {
+    const severityColors = { critical: '#dc3545', warning: '#ffc107', info: '#17a2b8' };
+
+    const sections = data.digest.teams.map(team => {
+      const items = team.items.map(item => `
+        <li style="margin-bottom: 6px;">
+          <span style="color: ${severityColors[item.severity] || '#666'}; font-weight: bold;">${emailService.escapeHtml((item.severity || 'info').toUpperCase())}</span>
+          ${emailService.escapeHtml(item.title)}
+        </li>`).join('');
+
+      const metrics = team.metrics;
+
+      return `
+        <h3 style="color: #333; margin-bottom: 8px;">${emailService.escapeHtml(team.team_name)}</h3>
+        <ul style="color: #666; padding-left: 20px; margin-top: 0;">${items}</ul>
+        ${metrics ? `
+        <div style="background-color: #f8f9fa; padding: 10px 15px; border-radius: 5px; margin-bottom: 20px; font-size: 14px;">
+          <strong>Avg Mood:</strong> ${metrics.avg_mood ?? 'N/A'} &middot;
+          <strong>Avg Energy:</strong> ${metrics.avg_energy ?? 'N/A'} &middot;
+          <strong>Participation:</strong> ${Math.round((metrics.participation_rate || 0) * 100)}%
+        </div>
+        ` : ''}`;
+    }).join('');
+
+    return emailService.renderLayout('Your Team Pulse digest', `
+      <p>Hi ${emailService.escapeHtml(recipient.profiles?.full_name || 'there')},</p>
+      <h2 style="color: #333; margin-top: 0;">${emailService.escapeHtml(data.title)}</h2>
+      ${sections}
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/notifications" style="background-color: #4f46e5; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Open notifications</a>
+      </p>
+    `);
+  }
+
+  /**
+   * Generate the plain-text alternative for a notification email
+   * @param {Object} data - Notification data
+   * @returns {string} Plain text body
+   */
+  generateEmailText(data) {
+    if (data.type === 'digest') {
+      return [data.title, '', data.content].join('\n');
+    }
+
+    const lines = [data.title, `Team: ${data.team_name}`];
+
+    if (['team_alert', 'alert_escalation'].includes(data.type)) {
+      lines.push(`Severity: ${(data.severity || '').toUpperCase()}`, `Priority: ${data.priority}`);
+    }
+
+    lines.push('', data.content || '');
+
+    const metrics = data.metrics || {};
+    if (Object.keys(metrics).length > 0) {
+      lines.push(
+        '',
+        'Team Metrics',
+        `- Avg Mood: ${metrics.avg_mood ?? 'N/A'}`,
+        `- Avg Energy: ${metrics.avg_energy ?? 'N/A'}`,
+        `- Participation: ${Math.round((metrics.participation_rate || 0) * 100)}%`
+      );
+    }
+
+    if (data.triggered_at) {
+      lines.push('', `Sent for ${new Date(data.triggered_at).toUTCString()}`);
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Log notification in database for audit trail
    * @param {string} teamId - Team ID
    * @param {string} alertId - Alert ID
    * @param {Object} results - Notification results
+   * @param {Object} context - { type, details } describing what was sent
    */
-  async logNotification(teamId, alertId, results) {
+  async logNotification(teamId, alertId, results, { type = null, details = null } = {}) {
     try {
       await supabase
         .from('notification_logs')
         .insert({
           team_id: teamId,
           alert_id: alertId,
+          notification_type: type,
+          details,
           sent_count: results.sent,
           failed_count: results.failed,
           methods_used: results.methods,
@@ -437,7 +1040,7 @@ class NotificationService {
   }
 
   /**
-   * Get notification preferences for a user
+   * Get notification preferences for a user, filled in with defaults
    * @param {string} userId - User ID
    * @returns {Promise<Object>} User notification preferences
    */
@@ -449,18 +1052,17 @@ class NotificationService {
         .eq('id', userId)
         .single();
 
-      return profile?.notification_preferences || {
-        enabled_methods: ['in_app'],
-        alert_types: ['critical', 'warning'],
-        quiet_hours: { enabled: false }
+      const stored = profile?.notification_preferences || {};
+
+      return {
+        ...this.defaultPreferences,
+        ...stored,
+        quiet_hours: stored.quiet_hours || this.defaultPreferences.quiet_hours,
+        digest: stored.digest || this.defaultPreferences.digest
       };
     } catch (error) {
       console.error('Failed to get notification preferences:', error);
-      return {
-        enabled_methods: ['in_app'],
-        alert_types: ['critical', 'warning'],
-        quiet_hours: { enabled: false }
-      };
+      return { ...this.defaultPreferences };
     }
   }
 
@@ -485,18 +1087,211 @@ class NotificationService {
     return data.notification_preferences;
   }
 
+  /**
+   * Check whether a notification may wait for a digest
+   * @param {Object} notificationData - Notification content
+   * @returns {boolean} True for non-critical digestible types
+   */
+  isDigestible(notificationData) {
+    return this.digestTypes.includes(notificationData.type) && notificationData.severity !== 'critical';
+  }
+
+  /**
+   * Queue a notification for the next digest (flushed by digestService)
+   * @param {Object} item - { recipientType: 'user' | 'slack', userId, teamId, data }
+   */
+  async queueDigestItem({ recipientType = 'user', userId = null, teamId = null, data }) {
+    const { error } = await supabase
+      .from('notification_digest_items')
+      .insert({
+        recipient_type: recipientType,
+        user_id: userId,
+        team_id: teamId || data.team_id,
+        notification: data
+      });
+
+    if (error) {
+      throw new Error(`Failed to queue digest item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out whether a notification falls in the user's quiet hours
+   * The window is in quiet_hours.timezone, else the user's profile timezone
+   * @param {Object} quietHours - { enabled, start, end, timezone, allow_critical } (HH:MM local times)
+   * @param {Object} notificationData - Notification content
+   * @param {Date} now - Current time
+   * @param {string} profileTimezone - Timezone from the user's profile
+   * @returns {Date|null} When the quiet window ends, or null if the notification can go out now
+   */
+  getQuietHoursRelease(quietHours, notificationData, now = new Date(), profileTimezone = null) {
+    if (!quietHours?.enabled || !quietHours.start || !quietHours.end) {
+      return null;
+    }
+
+    if (quietHours.allow_critical && notificationData.severity === 'critical') {
+      return null;
+    }
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const timeZone = resolveTimezone(quietHours.timezone, profileTimezone, this.defaultTimezone);
+    const { hour, minute, second } = getZonedParts(now, timeZone);
+    const current = hour * 60 + minute;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    if (start === end) {
+      return null;
+    }
+
+    // A window such as 22:00-07:00 wraps past midnight
+    const inWindow = start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+
+    if (!inWindow) {
+      return null;
+    }
+
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    const releaseAt = new Date(
+      now.getTime() - second * 1000 - now.getMilliseconds() + minutesLeft * 60 * 1000
+    );
+
+    // Shift by any DST change inside the window so the release lands on the local end time
+    return new Date(
+      releaseAt.getTime() + getTimezoneOffset(now, timeZone) - getTimezoneOffset(releaseAt, timeZone)
+    );
+  }
+
+  /**
+   * Queue a notification's email/push delivery until the user's quiet hours end
+   * @param {string} userId - User ID
+   * @param {Object} notificationData - Notification content
+   * @param {Array} methods - Held delivery methods
+   * @param {Date} releaseAt - When to deliver
+   */
+  async holdNotification(userId, notificationData, methods, releaseAt) {
+    const { error } = await supabase
+      .from('held_notifications')
+      .insert({
+        user_id: userId,
+        team_id: notificationData.team_id,
+        notification: notificationData,
+        methods,
+        status: 'held',
+        release_at: releaseAt.toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to hold notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deliver notifications whose quiet hours have ended (scheduler job handler)
+   * Preferences are re-read on release, so a user who moved their window stays undisturbed
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} { released, rescheduled, failed, errors }, or null if nothing was due
+   */
+  async releaseHeldNotifications(now = new Date()) {
+    const { data: held, error } = await supabase
+      .from('held_notifications')
+      .select('*')
+      .eq('status', 'held')
+      .lte('release_at', now.toISOString())
+      .order('release_at', { ascending: true })
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to fetch held notifications: ${error.message}`);
+    }
+
+    if (held.length === 0) {
+      return null;
+    }
+
+    const userIds = [...new Set(held.map(entry => entry.user_id))];
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, full_name, email, timezone, notification_preferences')
+      .in('id', userIds);
+
+    if (profilesError) {
+      throw new Error(`Failed to fetch profiles: ${profilesError.message}`);
+    }
+
+    const result = { released: 0, rescheduled: 0, failed: 0, errors: [] };
+
+    for (const entry of held) {
+      const { id, ...profile } = profiles.find(candidate => candidate.id === entry.user_id) || {};
+      const recipient = { user_id: entry.user_id, profiles: profile };
+
+      const stillQuiet = this.getQuietHoursRelease(
+        profile.notification_preferences?.quiet_hours, entry.notification, now, profile.timezone
+      );
+      if (stillQuiet) {
+        await supabase
+          .from('held_notifications')
+          .update({ release_at: stillQuiet.toISOString() })
+          .eq('id', entry.id);
+        result.rescheduled++;
+        continue;
+      }
+
+      const attempts = id
+        ? await this.sendUserNotification(recipient, entry.notification, {
+            methods: entry.methods,
+            inApp: false,
+            ignoreQuietHours: true
+          })
+        : [{ success: false, method: entry.methods[0], user_id: entry.user_id, error: 'User not found' }];
+
+      const errors = attempts.filter(attempt => !attempt.success);
+      const delivered = errors.length === 0 || errors.length < attempts.length;
+
+      await supabase
+        .from('held_notifications')
+        .update({
+          status: delivered ? 'released' : 'failed',
+          released_at: new Date().toISOString(),
+          errors: errors.length > 0 ? errors : null
+        })
+        .eq('id', entry.id);
+
+      if (delivered) {
+        result.released++;
+      } else {
+        result.failed++;
+        result.errors.push({ held_notification_id: entry.id, user_id: entry.user_id, errors });
+      }
+    }
+
+    if (result.released > 0) {
+      console.log(`🌅 Released ${result.released} notifications held for quiet hours`);
+    }
+
+    return result;
+  }
+
   /**
    * Send test notification to verify configuration
+   * Quiet hours and digests are bypassed so the channel itself is exercised
    * @param {string} userId - User ID to send test to
-   * @param {string} method - Notification method to test
-   * @returns {Promise<boolean>} Success status
+   * @param {string} method - Notification method to test (in_app, email, push or slack)
+   * @param {Object} options - { team } ({ id, name }) whose Slack channel to test
+   * @returns {Promise<Object>} { method, success, details, error }
    */
-  async sendTestNotification(userId, method = 'in_app') {
+  async sendTestNotification(userId, method = 'in_app', options = {}) {
     const testData = {
       type: 'test_notification',
       alert_id: 'test',
-      team_id: 'test',
-      team_name: 'Test Team',
+      team_id: options.team?.id || 'test',
+      team_name: options.team?.name || 'Test Team',
       title: 'Test Notification',
       content: 'This is a test notification to verify your notification settings are working correctly.',
       severity: 'info',
@@ -506,31 +1301,55 @@ class NotificationService {
     };
 
     try {
+      let details;
+
       switch (method) {
-        case 'in_app':
-          await this.sendInAppNotification(userId, testData);
+        case 'in_app': {
+          const inboxItem = await this.sendInAppNotification(userId, testData);
+          const live = await websocketService.deliverNotification(userId, {
+            ...testData,
+            notification_id: inboxItem.id,
+            read: false,
+            created_at: inboxItem.created_at
+          }, { pushFallback: false });
+          details = { notification_id: inboxItem.id, live_delivery: live };
           break;
-        case 'email':
+        }
+        case 'email': {
           const { data: profile } = await supabase
             .from('profiles')
             .select('email, full_name')
             .eq('id', userId)
             .single();
-          await this.sendEmailNotification({ user_id: userId, profiles: profile }, testData);
+          const { messageId } = await this.sendEmailNotification({ user_id: userId, profiles: profile }, testData);
+          details = { to: profile?.email, message_id: messageId };
           break;
+        }
         case 'push':
-          await this.sendPushNotification({ user_id: userId }, testData);
+          if (!this.pushEnabled) {
+            throw new Error('Push delivery is disabled (PUSH_NOTIFICATIONS_ENABLED=false)');
+          }
+          details = await this.sendPushNotification({ user_id: userId }, testData);
           break;
-        case 'slack':
-          await this.sendSlackNotification(testData);
+        case 'slack': {
+          if (!options.team) {
+            throw new Error('A team is required to test Slack');
+          }
+          const config = await slackService.getTeamConfig(options.team.id);
+          if (!config) {
+            throw new Error('Slack is not configured for this team');
+          }
+          details = await slackService.postMessage(config.webhook_url, slackService.buildMessage(testData));
           break;
+        }
         default:
           throw new Error(`Unknown notification method: ${method}`);
       }
-      return true;
+
+      return { method, success: true, details };
     } catch (error) {
-      console.error(`Test notification failed for method ${method}:`, error);
-      return false;
+      console.error(`Test notification failed for method ${method}:`, error.message);
+      return { method, success: false, error: error.message };
     }
   }
 }
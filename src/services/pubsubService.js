@@ -1,5 +1,6 @@
 const { publishEvent, subscribeToChannel } = require('../../config/redis');
 const supabase = require('../../config/supabase');
+const webhookService = require('./webhookService');
 
 class PubSubService {
   constructor() {
@@ -29,10 +30,24 @@ class PubSubService {
     return channel;
   }
 
+  /**
+   * Forward a published event to the team's webhook subscriptions without blocking the publisher
+   * Only the code that wrote the row dispatches; relays of database changes publish with webhooks: false
+   * @param {string} teamId - Team ID
+   * @param {Object} eventData - Event payload
+   * @param {string} sourceId - ID of the row the event is about
+   */
+  dispatchWebhooks(teamId, eventData, sourceId) {
+    webhookService.dispatchEvent(teamId, eventData.type, eventData, sourceId).catch(error => {
+      console.error(`Error dispatching ${eventData.type} webhooks:`, error);
+    });
+  }
+
   /**
    * Publish team activity event
+   * @param {Object} options - { sourceId } of the row the activity is about, and whether to dispatch webhooks
    */
-  async publishTeamActivity(teamId, activityType, data, userId = null) {
+  async publishTeamActivity(teamId, activityType, data, userId = null, { sourceId = null, webhooks = true } = {}) {
     try {
       const channel = this.getChannelName('TEAM_ACTIVITY', { teamId });
 
@@ -56,6 +71,9 @@ class PubSubService {
         timestamp: new Date().toISOString()
       };
 
+      if (webhooks) {
+        this.dispatchWebhooks(teamId, eventData, sourceId && `${activityType}:${sourceId}`);
+      }
       const success = await publishEvent(channel, eventData);
 
       // Also publish to global activity feed
@@ -73,8 +91,9 @@ class PubSubService {
 
   /**
    * Publish check-in event
+   * @param {Object} options - { webhooks } false when relaying a check-in whose writer already dispatched them
    */
-  async publishCheckInEvent(teamId, checkInData, userId) {
+  async publishCheckInEvent(teamId, checkInData, userId, { webhooks = true } = {}) {
     try {
       const channel = this.getChannelName('TEAM_CHECKINS', { teamId });
 
@@ -104,6 +123,9 @@ class PubSubService {
         timestamp: new Date().toISOString()
       };
 
+      if (webhooks) {
+        this.dispatchWebhooks(teamId, eventData, checkInData.id);
+      }
       const success = await publishEvent(channel, eventData);
 
       // Publish team activity
@@ -115,7 +137,8 @@ class PubSubService {
           energy_level: checkInData.energy_level,
           sentiment: checkInData.sentiment_label
         },
-        checkInData.is_anonymous ? null : userId
+        checkInData.is_anonymous ? null : userId,
+        { sourceId: checkInData.id, webhooks }
       );
 
       return success;
@@ -127,8 +150,9 @@ class PubSubService {
 
   /**
    * Publish alert event
+   * @param {Object} options - { webhooks } false when the event must not reach webhook subscriptions
    */
-  async publishAlertEvent(teamId, alertData) {
+  async publishAlertEvent(teamId, alertData, { webhooks = true } = {}) {
     try {
       const channel = this.getChannelName('TEAM_ALERTS', { teamId });
 
@@ -145,6 +169,9 @@ class PubSubService {
         timestamp: new Date().toISOString()
       };
 
+      if (webhooks) {
+        this.dispatchWebhooks(teamId, eventData, alertData.id);
+      }
       const success = await publishEvent(channel, eventData);
 
       // Publish team activity
@@ -154,7 +181,9 @@ class PubSubService {
         {
           severity: alertData.severity,
           title: alertData.title
-        }
+        },
+        null,
+        { sourceId: alertData.id, webhooks }
       );
 
       return success;
@@ -166,8 +195,9 @@ class PubSubService {
 
   /**
    * Publish insight generation event
+   * @param {Object} options - { webhooks } false when relaying an insight whose writer already dispatched them
    */
-  async publishInsightEvent(teamId, insightData, userId) {
+  async publishInsightEvent(teamId, insightData, userId, { webhooks = true } = {}) {
     try {
       const channel = this.getChannelName('TEAM_INSIGHTS', { teamId });
 
@@ -195,6 +225,9 @@ class PubSubService {
         timestamp: new Date().toISOString()
       };
 
+      if (webhooks) {
+        this.dispatchWebhooks(teamId, eventData, insightData.id);
+      }
       const success = await publishEvent(channel, eventData);
 
       // Publish team activity
@@ -205,7 +238,8 @@ class PubSubService {
           type: insightData.insight_type,
           title: insightData.title
         },
-        userId
+        userId,
+        { sourceId: insightData.id, webhooks }
       );
 
       return success;
@@ -0,0 +1,260 @@
+const webpush = require('web-push');
+const supabase = require('../../config/supabase');
+
+class PushService {
+  constructor() {
+    this.enabled = process.env.PUSH_NOTIFICATIONS_ENABLED === 'true';
+    this.publicKey = process.env.VAPID_PUBLIC_KEY || null;
+    this.ttlSeconds = parseInt(process.env.PUSH_TTL_SECONDS) || 24 * 60 * 60;
+    this.maxTokenAgeDays = parseInt(process.env.PUSH_TOKEN_MAX_AGE_DAYS) || 60;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.configured = false;
+
+    // Browser push services subscriptions may point at; anything else is refused so a
+    // registered "endpoint" can't make the server post to internal addresses
+    this.endpointHosts = [
+      'fcm.googleapis.com',
+      'android.googleapis.com',
+      'push.services.mozilla.com',
+      'push.apple.com',
+      'notify.windows.com'
+    ];
+  }
+
+  /**
+   * Apply VAPID credentials on first use
+   * Generate a key pair once with `npx web-push generate-vapid-keys`
+   */
+  configure() {
+    if (this.configured) return;
+
+    if (!this.publicKey || !process.env.VAPID_PRIVATE_KEY) {
+      throw new Error('VAPID keys not configured');
+    }
+
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:notifications@teampulse.local',
+      this.publicKey,
+      process.env.VAPID_PRIVATE_KEY
+    );
+
+    this.configured = true;
+  }
+
+  /**
+   * Check that a subscription endpoint belongs to a known push service
+   * @param {string} endpoint - Subscription endpoint URL
+   * @returns {boolean} True for https URLs on a push service host or one of its subdomains
+   */
+  isAllowedEndpoint(endpoint) {
+    try {
+      const { protocol, hostname, port } = new URL(endpoint);
+      if (protocol !== 'https:' || port) return false;
+      return this.endpointHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Register (or refresh) the push subscription of a user's device
+   * @param {string} userId - User ID
+   * @param {Object} device - { device_id, subscription, platform, user_agent }
+   * @returns {Promise<Object>} Stored token
+   */
+  async registerToken(userId, { device_id, subscription, platform = 'web', user_agent = null }) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('push_tokens')
+      .upsert({
+        user_id: userId,
+        device_id,
+        platform,
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+        expires_at: subscription.expirationTime ? new Date(subscription.expirationTime).toISOString() : null,
+        user_agent,
+        updated_at: now,
+        last_used_at: now
+      }, { onConflict: 'user_id,device_id' })
+      .select('id, device_id, platform, user_agent, expires_at, created_at, updated_at, last_used_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to register push token: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Revoke the push token of one of the user's devices
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} True if a token was revoked
+   */
+  async revokeToken(userId, deviceId) {
+    const { data, error } = await supabase
+      .from('push_tokens')
+      .delete()
+      .eq('user_id', userId)
+      .eq('device_id', deviceId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to revoke push token: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Get a user's registered devices
+   * @param {string} userId - User ID
+   * @param {Object} options - { includeKeys } to return the subscription endpoint and keys
+   * @returns {Promise<Array>} Push tokens
+   */
+  async getTokens(userId, { includeKeys = false } = {}) {
+    const columns = includeKeys
+      ? '*'
+      : 'id, device_id, platform, user_agent, expires_at, created_at, updated_at, last_used_at';
+
+    const { data, error } = await supabase
+      .from('push_tokens')
+      .select(columns)
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch push tokens: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Build the push payload for a notification
+   * @param {Object} data - Notification data
+   * @returns {Object} Payload read by the service worker
+   */
+  buildPayload(data) {
+    const url = data.alert_id && data.alert_id !== 'test'
+      ? `${this.frontendUrl}/teams/${data.team_id}/alerts/${data.alert_id}`
+      : `${this.frontendUrl}/notifications`;
+
+    return {
+      title: data.title,
+      body: (data.content || '').length > 140 ? `${data.content.substring(0, 137)}...` : (data.content || ''),
+      tag: data.alert_id ? `alert-${data.alert_id}` : data.type,
+      data: {
+        type: data.type,
+        team_id: data.team_id,
+        alert_id: data.alert_id,
+        severity: data.severity,
+        url
+      }
+    };
+  }
+
+  /**
+   * Send a push notification to every device of a user
+   * Tokens the push service reports as gone (404/410), and tokens on hosts that aren't push services, are pruned straight away.
+   * Push service responses are logged, not returned, since callers may pass errors on to users
+   * @param {string} userId - User ID
+   * @param {Object} data - Notification data
+   * @returns {Promise<Object>} { sent, failed, pruned, errors }
+   */
+  async sendToUser(userId, data) {
+    this.configure();
+
+    const tokens = await this.getTokens(userId, { includeKeys: true });
+    if (tokens.length === 0) {
+      throw new Error('No registered push devices');
+    }
+
+    const payload = JSON.stringify(this.buildPayload(data));
+    const urgency = data.severity === 'critical' ? 'high' : 'normal';
+    const result = { sent: 0, failed: 0, pruned: 0, errors: [] };
+
+    for (const token of tokens) {
+      if (!this.isAllowedEndpoint(token.endpoint)) {
+        await supabase.from('push_tokens').delete().eq('id', token.id);
+        result.pruned++;
+        continue;
+      }
+
+      try {
+        await webpush.sendNotification(
+          { endpoint: token.endpoint, keys: token.keys },
+          payload,
+          { TTL: this.ttlSeconds, urgency }
+        );
+
+        result.sent++;
+        await supabase
+          .from('push_tokens')
+          .update({ last_used_at: new Date().toISOString() })
+          .eq('id', token.id);
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await supabase.from('push_tokens').delete().eq('id', token.id);
+          result.pruned++;
+        } else {
+          console.error(`Push delivery to device ${token.device_id} failed:`, error.statusCode || '', error.body || error.message);
+          result.failed++;
+          result.errors.push({
+            device_id: token.device_id,
+            error: error.statusCode ? `Push service responded with HTTP ${error.statusCode}` : 'Push service unreachable'
+          });
+        }
+      }
+    }
+
+    if (result.sent === 0) {
+      const reason = result.errors[0]?.error || 'all devices have expired';
+      throw new Error(`Push delivery failed: ${reason}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove expired tokens and tokens not refreshed for maxTokenAgeDays (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} { expired, stale }, or null if nothing was pruned
+   */
+  async pruneExpiredTokens(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - this.maxTokenAgeDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: expired, error: expiredError } = await supabase
+      .from('push_tokens')
+      .delete()
+      .lt('expires_at', now.toISOString())
+      .select('id');
+
+    if (expiredError) {
+      throw new Error(`Failed to prune expired push tokens: ${expiredError.message}`);
+    }
+
+    const { data: stale, error: staleError } = await supabase
+      .from('push_tokens')
+      .delete()
+      .lt('updated_at', staleBefore)
+      .select('id');
+
+    if (staleError) {
+      throw new Error(`Failed to prune stale push tokens: ${staleError.message}`);
+    }
+
+    if (expired.length === 0 && stale.length === 0) {
+      return null;
+    }
+
+    console.log(`🧹 Pruned ${expired.length} expired and ${stale.length} stale push tokens`);
+
+    return { expired: expired.length, stale: stale.length };
+  }
+}
+
+module.exports = new PushService();
@@ -99,8 +99,8 @@ class RealtimeService {
                 timestamp: new Date().toISOString()
               });
 
-              // Also publish to Redis for broader distribution
-              pubsubService.publishCheckInEvent(teamId, enrichedPayload.new, enrichedPayload.new.user_id);
+              // Also publish to Redis for broader distribution; the route that stored the check-in sends its webhooks
+              pubsubService.publishCheckInEvent(teamId, enrichedPayload.new, enrichedPayload.new.user_id, { webhooks: false });
             })
             .catch(error => {
               console.error('Error enriching check-in payload:', error);
@@ -192,9 +192,9 @@ class RealtimeService {
             timestamp: new Date().toISOString()
           });
 
-          // Publish to Redis for broader distribution
+          // Publish to Redis for broader distribution; whoever stored the insight or alert sends its webhooks
           if (payload.new) {
-            pubsubService.publishInsightEvent(teamId, payload.new, null);
+            pubsubService.publishInsightEvent(teamId, payload.new, null, { webhooks: false });
           }
         })
         .subscribe((status) => {
@@ -0,0 +1,304 @@
+const supabase = require('../../config/supabase');
+const notificationService = require('./notificationService');
+const { getZonedParts, getZonedDateString, getZonedTimeString, getZonedDayStart } = require('../utils/timezone');
+
+class ReminderService {
+  constructor() {
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+  }
+
+  /**
+   * Get reminder schedules for a team
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Array>} Reminder schedules
+   */
+  async getSchedules(teamId) {
+    const { data, error } = await supabase
+      .from('reminder_schedules')
+      .select('*')
+      .eq('team_id', teamId)
+      .order('local_time', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch reminder schedules: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a single reminder schedule belonging to a team
+   * @param {string} teamId - Team ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Reminder schedule or null if not found
+   */
+  async getSchedule(teamId, scheduleId) {
+    const { data, error } = await supabase
+      .from('reminder_schedules')
+      .select('*')
+      .eq('id', scheduleId)
+      .eq('team_id', teamId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch reminder schedule: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Create a reminder schedule
+   * @param {string} teamId - Team ID
+   * @param {Object} schedule - Schedule fields (local_time, weekdays, timezone, message, enabled)
+   * @param {string} userId - User creating the schedule
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(teamId, schedule, userId) {
+    const { data, error } = await supabase
+      .from('reminder_schedules')
+      .insert({
+        team_id: teamId,
+        local_time: schedule.local_time,
+        weekdays: schedule.weekdays || [1, 2, 3, 4, 5],
+        timezone: schedule.timezone || this.defaultTimezone,
+        message: schedule.message || null,
+        enabled: schedule.enabled !== undefined ? schedule.enabled : true,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create reminder schedule: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a reminder schedule
+   * @param {string} teamId - Team ID
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated schedule or null if not found
+   */
+  async updateSchedule(teamId, scheduleId, updates) {
+    const allowedFields = ['local_time', 'weekdays', 'timezone', 'message', 'enabled'];
+    const updateData = {};
+
+    allowedFields.forEach(field => {
+      if (updates[field] !== undefined) {
+        updateData[field] = updates[field];
+      }
+    });
+
+    const { data, error } = await supabase
+      .from('reminder_schedules')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduleId)
+      .eq('team_id', teamId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to update reminder schedule: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Delete a reminder schedule
+   * @param {string} teamId - Team ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if a schedule was deleted
+   */
+  async deleteSchedule(teamId, scheduleId) {
+    const { data, error } = await supabase
+      .from('reminder_schedules')
+      .delete()
+      .eq('id', scheduleId)
+      .eq('team_id', teamId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete reminder schedule: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Get the check-in a user submitted during the current local day
+   * @param {string} teamId - Team ID
+   * @param {string} userId - User ID
+   * @param {string} timeZone - Timezone that defines "today"
+   * @returns {Promise<Object|null>} Latest check-in today or null
+   */
+  async getTodayCheckIn(teamId, userId, timeZone = this.defaultTimezone) {
+    const dayStart = getZonedDayStart(new Date(), timeZone);
+
+    const { data, error } = await supabase
+      .from('check_ins')
+      .select('id, mood_score, energy_level, sentiment_label, is_anonymous, created_at')
+      .eq('team_id', teamId)
+      .eq('user_id', userId)
+      .gte('created_at', dayStart.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch today's check-in: ${error.message}`);
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * Get IDs of users who have checked in to a team since a given instant
+   * @param {string} teamId - Team ID
+   * @param {Date} since - Start of the window
+   * @returns {Promise<Set>} Set of user IDs
+   */
+  async getCheckedInUserIds(teamId, since) {
+    const { data, error } = await supabase
+      .from('check_ins')
+      .select('user_id')
+      .eq('team_id', teamId)
+      .gte('created_at', since.toISOString());
+
+    if (error) {
+      throw new Error(`Failed to fetch check-ins: ${error.message}`);
+    }
+
+    return new Set(data.map(checkIn => checkIn.user_id).filter(Boolean));
+  }
+
+  /**
+   * Check whether a schedule should fire at the given instant
+   * @param {Object} schedule - Reminder schedule
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the reminder is due and has not been sent today
+   */
+  isScheduleDue(schedule, now = new Date()) {
+    const timeZone = schedule.timezone || this.defaultTimezone;
+    const { weekday } = getZonedParts(now, timeZone);
+
+    if (!(schedule.weekdays || []).includes(weekday)) return false;
+    if (getZonedTimeString(now, timeZone) < schedule.local_time) return false;
+
+    return schedule.last_sent_on !== getZonedDateString(now, timeZone);
+  }
+
+  /**
+   * Send reminders for every schedule that is due (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Processing summary
+   */
+  async processDueReminders(now = new Date()) {
+    const summary = {
+      schedules_checked: 0,
+      reminders_sent: 0,
+      teams: [],
+      errors: []
+    };
+
+    const { data: schedules, error } = await supabase
+      .from('reminder_schedules')
+      .select(`
+        *,
+        teams (
+          id, name, settings
+        )
+      `)
+      .eq('enabled', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch reminder schedules: ${error.message}`);
+    }
+
+    for (const schedule of schedules) {
+      summary.schedules_checked++;
+
+      // Teams can switch reminders off entirely from their notification settings
+      if (schedule.teams?.settings?.notifications?.check_in_reminders === false) continue;
+      if (!this.isScheduleDue(schedule, now)) continue;
+
+      try {
+        const sent = await this.sendScheduleReminders(schedule, now);
+        summary.reminders_sent += sent;
+        summary.teams.push({ team_id: schedule.team_id, schedule_id: schedule.id, sent });
+      } catch (scheduleError) {
+        console.error(`Reminder schedule ${schedule.id} failed:`, scheduleError);
+        summary.errors.push({
+          team_id: schedule.team_id,
+          schedule_id: schedule.id,
+          error: scheduleError.message
+        });
+      }
+    }
+
+    if (summary.reminders_sent > 0) {
+      console.log(`🔔 Sent ${summary.reminders_sent} check-in reminders across ${summary.teams.length} schedules`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send a schedule's reminder to every member who has not checked in today
+   * @param {Object} schedule - Reminder schedule with joined team
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of members reminded
+   */
+  async sendScheduleReminders(schedule, now) {
+    const timeZone = schedule.timezone || this.defaultTimezone;
+    const localDate = getZonedDateString(now, timeZone);
+
+    // Mark as sent first so an overlapping tick cannot send the same reminder twice
+    const { error: markError } = await supabase
+      .from('reminder_schedules')
+      .update({ last_sent_on: localDate })
+      .eq('id', schedule.id);
+
+    if (markError) {
+      throw new Error(`Failed to mark reminder as sent: ${markError.message}`);
+    }
+
+    const { data: members, error: membersError } = await supabase
+      .from('team_members')
+      .select(`
+        user_id,
+        profiles:user_id (
+          full_name,
+          email,
+          timezone,
+          notification_preferences
+        )
+      `)
+      .eq('team_id', schedule.team_id);
+
+    if (membersError) {
+      throw new Error(`Failed to fetch team members: ${membersError.message}`);
+    }
+
+    const checkedIn = await this.getCheckedInUserIds(schedule.team_id, getZonedDayStart(now, timeZone));
+    const recipients = members.filter(member => !checkedIn.has(member.user_id));
+
+    if (recipients.length === 0) return 0;
+
+    await notificationService.sendCheckInReminder(schedule.team_id, schedule.teams?.name, recipients, {
+      schedule_id: schedule.id,
+      message: schedule.message,
+      local_date: localDate
+    });
+
+    return recipients.length;
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,212 @@
+const supabase = require('../../config/supabase');
+
+class SchedulerService {
+  constructor() {
+    this.enabled = process.env.SCHEDULER_ENABLED !== 'false';
+    this.jobs = new Map(); // jobName -> job definition and state
+    this.started = false;
+  }
+
+  /**
+   * Register a recurring background job
+   * @param {string} name - Unique job name
+   * @param {Object} options - Job options
+   * @param {number} options.intervalMs - How often the job runs
+   * @param {Function} options.handler - Async function performing the work
+   * @param {boolean} options.runOnStart - Run once immediately when the scheduler starts
+   * @param {boolean} options.recordHistory - Persist every run to job_runs
+   */
+  registerJob(name, { intervalMs, handler, runOnStart = false, recordHistory = false }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      runOnStart,
+      recordHistory,
+      timer: null,
+      isRunning: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null
+    });
+
+    // Jobs registered after start() are scheduled straight away
+    if (this.started) {
+      this.scheduleJob(this.jobs.get(name));
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (!this.enabled) {
+      console.log('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    if (this.started) return;
+    this.started = true;
+
+    this.jobs.forEach(job => this.scheduleJob(job));
+
+    console.log(`⏰ Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  /**
+   * Setup the interval timer for a job
+   * @param {Object} job - Job definition
+   */
+  scheduleJob(job) {
+    job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+
+    if (job.runOnStart) {
+      setImmediate(() => this.runJob(job.name));
+    }
+  }
+
+  /**
+   * Run a job now, skipping if the previous run has not finished
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Handler result or null when skipped/failed
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.isRunning) {
+      console.log(`⏭️  Skipping job ${name}: previous run still in progress`);
+      return null;
+    }
+
+    job.isRunning = true;
+    job.lastRunAt = new Date().toISOString();
+
+    try {
+      const result = await job.handler();
+      job.lastResult = result || null;
+      job.lastError = null;
+
+      // Handlers return null when there was nothing to do, and report per-item failures in result.errors
+      if (job.recordHistory && result) {
+        const status = result.errors?.length > 0 ? 'partial' : 'success';
+        await this.recordRun(job.name, job.lastRunAt, status, result);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+      job.lastError = error.message;
+
+      if (job.recordHistory) {
+        await this.recordRun(job.name, job.lastRunAt, 'failed', null, error.message);
+      }
+
+      return null;
+    } finally {
+      job.isRunning = false;
+    }
+  }
+
+  /**
+   * Persist a job run for the run history
+   * @param {string} jobName - Job name
+   * @param {string} startedAt - ISO timestamp the run started
+   * @param {string} status - success, partial or failed
+   * @param {Object} result - Handler result
+   * @param {string} errorMessage - Error message for failed runs
+   */
+  async recordRun(jobName, startedAt, status, result, errorMessage = null) {
+    try {
+      await supabase
+        .from('job_runs')
+        .insert({
+          job_name: jobName,
+          status,
+          started_at: startedAt,
+          finished_at: new Date().toISOString(),
+          result: result || null,
+          error: errorMessage
+        });
+    } catch (error) {
+      console.error(`Failed to record run for job ${jobName}:`, error);
+      // Don't throw - history logging failure shouldn't break the job
+    }
+  }
+
+  /**
+   * Get recorded job runs, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.jobName - Only runs of this job
+   * @param {string} filters.status - Only runs with this status
+   * @param {number} filters.limit - Maximum runs to return (default 20)
+   * @returns {Promise<Array>} Job runs
+   */
+  async getRunHistory({ jobName, status, limit = 20 } = {}) {
+    let query = supabase
+      .from('job_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (jobName) {
+      query = query.eq('job_name', jobName);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch job runs: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Status of all jobs
+   */
+  getStatus() {
+    const jobs = Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      interval_ms: job.intervalMs,
+      is_running: job.isRunning,
+      records_history: job.recordHistory,
+      last_run_at: job.lastRunAt,
+      last_error: job.lastError
+    }));
+
+    return {
+      enabled: this.enabled,
+      started: this.started,
+      jobs
+    };
+  }
+
+  /**
+   * Stop all jobs
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+
+    this.started = false;
+    console.log('✅ Scheduler stopped');
+  }
+}
+
+module.exports = new SchedulerService();
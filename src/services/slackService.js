@@ -0,0 +1,331 @@
+const axios = require('axios');
+const supabase = require('../../config/supabase');
+const { withRetry } = require('../utils/retry');
+
+class SlackService {
+  constructor() {
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.requestTimeoutMs = parseInt(process.env.SLACK_TIMEOUT_MS) || 5000;
+    this.retries = parseInt(process.env.SLACK_MAX_RETRIES) || 3;
+
+    // Notification types posted to the team channel unless the team narrows them down
+    this.defaultNotify = ['team_alert', 'alert_escalation'];
+    this.notificationTypes = ['team_alert', 'alert_escalation', 'weekly_summary', 'digest'];
+  }
+
+  /**
+   * Check that a URL is a Slack incoming webhook
+   * @param {string} url - Webhook URL
+   * @returns {boolean} True for https://hooks.slack.com/ URLs
+   */
+  isSlackWebhookUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && parsed.hostname === 'hooks.slack.com';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Mask the secret part of a webhook URL for API responses
+   * @param {string} url - Webhook URL
+   * @returns {string|null} Masked URL
+   */
+  maskWebhookUrl(url) {
+    if (!url) return null;
+    const parts = url.split('/');
+    parts[parts.length - 1] = '••••••••';
+    return parts.join('/');
+  }
+
+  /**
+   * Mask the Slack webhook inside a team's settings before they are returned by the API
+   * Anyone holding the webhook URL can post to the channel, so it never leaves the server unmasked
+   * @param {Object|null} settings - teams.settings
+   * @returns {Object|null} Settings with a masked slack.webhook_url
+   */
+  redactTeamSettings(settings) {
+    if (!settings?.slack) return settings;
+
+    return {
+      ...settings,
+      slack: { ...settings.slack, webhook_url: this.maskWebhookUrl(settings.slack.webhook_url) }
+    };
+  }
+
+  /**
+   * Get a team's Slack settings
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Object|null>} { webhook_url, enabled, notify } or null if not configured
+   */
+  async getTeamConfig(teamId) {
+    const { data: team, error } = await supabase
+      .from('teams')
+      .select('settings')
+      .eq('id', teamId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch team settings: ${error.message}`);
+    }
+
+    const slack = team?.settings?.slack;
+    if (!slack?.webhook_url) return null;
+
+    return {
+      webhook_url: slack.webhook_url,
+      enabled: slack.enabled !== false,
+      notify: slack.notify || this.defaultNotify
+    };
+  }
+
+  /**
+   * Describe a team's Slack settings without exposing the webhook secret
+   * @param {Object|null} config - Team Slack config
+   * @returns {Object} Public config
+   */
+  describeConfig(config) {
+    return {
+      configured: !!config,
+      enabled: config ? config.enabled : false,
+      webhook_url: this.maskWebhookUrl(config?.webhook_url),
+      notify: config ? config.notify : this.defaultNotify
+    };
+  }
+
+  /**
+   * Save a team's Slack settings into teams.settings.slack
+   * @param {string} teamId - Team ID
+   * @param {Object|null} slack - New Slack settings, or null to remove them
+   * @returns {Promise<Object|null>} Stored Slack config
+   */
+  async saveTeamConfig(teamId, slack) {
+    const { data: team, error: fetchError } = await supabase
+      .from('teams')
+      .select('settings')
+      .eq('id', teamId)
+      .single();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch team settings: ${fetchError.message}`);
+    }
+
+    const { slack: previous, ...settings } = team.settings || {};
+    if (slack) {
+      settings.slack = { ...previous, ...slack };
+    }
+
+    const { error } = await supabase
+      .from('teams')
+      .update({
+        settings,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', teamId);
+
+    if (error) {
+      throw new Error(`Failed to save Slack settings: ${error.message}`);
+    }
+
+    return settings.slack || null;
+  }
+
+  /**
+   * Post a payload to a Slack webhook, retrying transient failures with backoff
+   * @param {string} webhookUrl - Incoming webhook URL
+   * @param {Object} payload - Slack message payload
+   * @returns {Promise<Object>} { attempts }
+   */
+  async postMessage(webhookUrl, payload) {
+    let attempts = 0;
+
+    try {
+      await withRetry(async () => {
+        attempts++;
+        await axios.post(webhookUrl, payload, {
+          timeout: this.requestTimeoutMs,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }, { retries: this.retries });
+    } catch (error) {
+      const reason = error.response
+        ? `HTTP ${error.response.status} ${typeof error.response.data === 'string' ? error.response.data : ''}`.trim()
+        : error.message;
+      throw new Error(`Slack delivery failed after ${attempts} attempt(s): ${reason}`);
+    }
+
+    return { attempts };
+  }
+
+  /**
+   * Post a notification to the team's Slack channel if the team has opted in
+   * @param {string} teamId - Team ID
+   * @param {Object} data - Notification data
+   * @param {Object} options - { force } to post regardless of the team's notify list, { config } if already loaded
+   * @returns {Promise<Object|null>} Delivery result, or null if the team doesn't post this type to Slack
+   */
+  async sendTeamNotification(teamId, data, { force = false, config } = {}) {
+    if (config === undefined) {
+      config = await this.getTeamConfig(teamId);
+    }
+    if (!config || !config.enabled || (!force && !config.notify.includes(data.type))) {
+      return null;
+    }
+
+    return this.postMessage(config.webhook_url, this.buildMessage(data));
+  }
+
+  /**
+   * Build the Block Kit message for a notification
+   * @param {Object} data - Notification data
+   * @returns {Object} Slack payload
+   */
+  buildMessage(data) {
+    const isAlert = ['team_alert', 'alert_escalation', 'test_notification'].includes(data.type);
+    const severityEmoji = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+    const emoji = isAlert ? (severityEmoji[data.severity] || '🔔') : '📰';
+    const triggeredAt = data.triggered_at ? new Date(data.triggered_at) : new Date();
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `${emoji} ${data.title}`.slice(0, 150),
+          emoji: true
+        }
+      },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Team:*\n${data.team_name}` },
+          { type: 'mrkdwn', text: `*Severity:*\n${(data.severity || 'info').toUpperCase()}` },
+          { type: 'mrkdwn', text: `*Priority:*\n${data.priority}` },
+          { type: 'mrkdwn', text: `*Triggered:*\n<!date^${Math.floor(triggeredAt.getTime() / 1000)}^{date_short_pretty} {time}|${triggeredAt.toISOString()}>` }
+        ]
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'plain_text',
+          text: (data.content || '').slice(0, 2900)
+        }
+      }
+    ];
+
+    const metrics = data.metrics || {};
+    if (Object.keys(metrics).length > 0) {
+      const format = (value) => (value === undefined || value === null ? 'N/A' : value);
+      blocks.push(
+        { type: 'divider' },
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: '*Team metrics snapshot*' },
+          fields: [
+            { type: 'mrkdwn', text: `*Avg mood:*\n${format(metrics.avg_mood)} / 5` },
+            { type: 'mrkdwn', text: `*Avg energy:*\n${format(metrics.avg_energy)} / 5` },
+            { type: 'mrkdwn', text: `*Avg sentiment:*\n${format(metrics.avg_sentiment)}` },
+            { type: 'mrkdwn', text: `*Participation:*\n${Math.round((metrics.participation_rate || 0) * 100)}%` },
+            { type: 'mrkdwn', text: `*Check-ins:*\n${format(metrics.total_checkins)}` }
+          ]
+        }
+      );
+    }
+
+    const link = data.alert_id && data.alert_id !== 'test'
+      ? { text: 'View alert', url: `${this.frontendUrl}/teams/${data.team_id}/alerts/${data.alert_id}` }
+      : { text: 'Open dashboard', url: `${this.frontendUrl}/teams/${data.team_id}` };
+
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: link.text },
+          url: link.url,
+          style: data.severity === 'critical' ? 'danger' : 'primary'
+        }
+      ]
+    });
+
+    if (data.escalation_level) {
+      blocks.push({
+        type: 'context',
+        elements: [
+          { type: 'mrkdwn', text: `Escalation level ${data.escalation_level}: still unacknowledged` }
+        ]
+      });
+    }
+
+    return {
+      text: `${isAlert ? 'Team Alert' : 'Team Pulse'}: ${data.title}`,
+      blocks
+    };
+  }
+
+  /**
+   * Build the Block Kit message for a team digest
+   * @param {Object} data - Digest notification data from digestService
+   * @returns {Object} Slack payload
+   */
+  buildDigestMessage(data) {
+    const severityEmoji = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `🗞️ ${data.title}`.slice(0, 150),
+          emoji: true
+        }
+      }
+    ];
+
+    for (const team of data.digest.teams) {
+      const items = team.items
+        .map(item => `${severityEmoji[item.severity] || '🔔'} ${item.title}`)
+        .join('\n');
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${team.team_name}*\n${items}`.slice(0, 2900)
+        }
+      });
+
+      if (team.metrics) {
+        const format = (value) => (value === undefined || value === null ? 'N/A' : value);
+        blocks.push({
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `Avg mood ${format(team.metrics.avg_mood)} / 5 · Avg energy ${format(team.metrics.avg_energy)} / 5 · ` +
+                `Participation ${Math.round((team.metrics.participation_rate || 0) * 100)}%`
+            }
+          ]
+        });
+      }
+    }
+
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Open dashboard' },
+          url: `${this.frontendUrl}/teams/${data.team_id}`,
+          style: 'primary'
+        }
+      ]
+    });
+
+    return {
+      text: `Team Pulse: ${data.title}`,
+      blocks
+    };
+  }
+}
+
+module.exports = new SlackService();
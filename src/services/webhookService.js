@@ -0,0 +1,538 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const supabase = require('../../config/supabase');
+const { getBackoffDelay } = require('../utils/retry');
+
+class WebhookService {
+  constructor() {
+    // Event types published by pubsubService that teams can subscribe to
+    this.eventTypes = ['checkin_submitted', 'alert_triggered', 'insight_generated', 'team_activity'];
+
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    this.retryBaseDelayMs = 30 * 1000;
+    this.retryMaxDelayMs = 60 * 60 * 1000;
+
+    // Plain http receivers are only for local development and must be enabled explicitly
+    this.allowHttp = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+
+    // Loopback, private, link-local, unique-local and other non-public ranges webhooks must not reach.
+    // IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+    this.blockedAddresses = new net.BlockList();
+    [
+      ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+      ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+      ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+    ].forEach(([network, prefix]) => this.blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+    [
+      ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+    ].forEach(([network, prefix]) => this.blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+    // Deliveries connect through agents that re-check every resolved address,
+    // so a hostname re-pointed at an internal address after validation (DNS rebinding) is refused
+    const lookup = this.guardedLookup.bind(this);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Generate a signing secret for a subscription
+   * @returns {string} Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a delivery body; receivers recompute HMAC-SHA256 over "<timestamp>.<body>"
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw request body
+   * @returns {string} Hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check whether an IP address is on the public internet
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} True if webhooks may be sent to the address
+   */
+  isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !this.blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Check that a webhook URL is acceptable: https (http only when WEBHOOK_ALLOW_HTTP=true)
+   * and a host that resolves to public addresses only. Rejects with the reason otherwise
+   * @param {string} url - Target URL
+   * @returns {Promise<boolean>} Resolves to true if the URL can be used
+   */
+  async validateTargetUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('url must be a valid URL');
+    }
+
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && this.allowHttp)) {
+      throw new Error('url must be an https URL');
+    }
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        throw new Error(`url host could not be resolved: ${hostname}`);
+      }
+    }
+
+    if (addresses.length === 0 || !addresses.every(address => this.isPublicAddress(address))) {
+      throw new Error('url must not point to a private or internal address');
+    }
+
+    return true;
+  }
+
+  /**
+   * dns.lookup replacement used by the delivery agents; fails the connection
+   * when the hostname resolves to any non-public address
+   * @param {string} hostname - Hostname being connected to
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = addresses.find(entry => !this.isPublicAddress(entry.address));
+      if (blocked || addresses.length === 0) {
+        return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Serialize a subscription for API responses without its secret
+   * @param {Object} subscription - webhook_subscriptions row
+   * @returns {Object} Subscription with a masked secret
+   */
+  describeSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return {
+      ...rest,
+      secret_hint: secret ? `${secret.slice(0, 10)}…` : null
+    };
+  }
+
+  /**
+   * Get a team's webhook subscriptions
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Array>} Subscriptions
+   */
+  async getSubscriptions(teamId) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('team_id', teamId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch webhooks: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a single webhook subscription
+   * @param {string} teamId - Team ID
+   * @param {string} webhookId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription or null if not found
+   */
+  async getSubscription(teamId, webhookId) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('id', webhookId)
+      .eq('team_id', teamId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw new Error(`Failed to fetch webhook: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Create a webhook subscription
+   * @param {string} teamId - Team ID
+   * @param {Object} subscription - { url, event_types, secret, description, enabled }
+   * @param {string} userId - User creating the subscription
+   * @returns {Promise<Object>} Created subscription, including its secret
+   */
+  async createSubscription(teamId, subscription, userId) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        team_id: teamId,
+        url: subscription.url,
+        event_types: subscription.event_types,
+        secret: subscription.secret || this.generateSecret(),
+        description: subscription.description || null,
+        enabled: subscription.enabled !== false,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a webhook subscription
+   * @param {string} teamId - Team ID
+   * @param {string} webhookId - Subscription ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated subscription or null if not found
+   */
+  async updateSubscription(teamId, webhookId, updates) {
+    const allowedFields = ['url', 'event_types', 'secret', 'description', 'enabled'];
+    const updateData = {};
+
+    allowedFields.forEach(field => {
+      if (updates[field] !== undefined) {
+        updateData[field] = updates[field];
+      }
+    });
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', webhookId)
+      .eq('team_id', teamId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Delete a webhook subscription
+   * @param {string} teamId - Team ID
+   * @param {string} webhookId - Subscription ID
+   * @returns {Promise<boolean>} True if a subscription was deleted
+   */
+  async deleteSubscription(teamId, webhookId) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', webhookId)
+      .eq('team_id', teamId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Get the ID of an event; events about a stored row always get the same ID so receivers can dedupe them
+   * @param {string} eventType - Event type
+   * @param {string} sourceId - ID of the row the event is about (a random ID is used without one)
+   * @returns {string} Event ID
+   */
+  getEventId(eventType, sourceId = null) {
+    if (!sourceId) return crypto.randomUUID();
+
+    const hash = crypto.createHash('sha256').update(`${eventType}:${sourceId}`).digest('hex');
+    return `evt_${hash.slice(0, 32)}`;
+  }
+
+  /**
+   * Queue and send an event to every enabled subscription of the team that wants it
+   * Called by pubsubService for each published event; the first attempt runs in the background
+   * @param {string} teamId - Team ID
+   * @param {string} eventType - Event type
+   * @param {Object} eventData - Event payload as published
+   * @param {string} sourceId - ID of the row the event is about, from which the event ID is derived
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatchEvent(teamId, eventType, eventData, sourceId = null) {
+    if (!this.eventTypes.includes(eventType)) return 0;
+
+    const { data: subscriptions, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('team_id', teamId)
+      .eq('enabled', true)
+      .contains('event_types', [eventType]);
+
+    if (error) {
+      throw new Error(`Failed to fetch webhooks: ${error.message}`);
+    }
+
+    const eventId = this.getEventId(eventType, sourceId);
+
+    for (const subscription of subscriptions) {
+      const delivery = await this.createDelivery(subscription, {
+        id: eventId,
+        type: eventType,
+        team_id: teamId,
+        created_at: new Date().toISOString(),
+        data: eventData
+      });
+
+      this.attemptDelivery(delivery, subscription).catch(deliveryError => {
+        console.error(`Webhook delivery ${delivery.id} failed:`, deliveryError);
+      });
+    }
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Store a pending delivery
+   * @param {Object} subscription - Subscription row
+   * @param {Object} payload - Event envelope to send
+   * @param {string} redeliveryOf - Original delivery ID when redelivering
+   * @returns {Promise<Object>} Delivery row
+   */
+  async createDelivery(subscription, payload, redeliveryOf = null) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: subscription.id,
+        team_id: subscription.team_id,
+        event_id: payload.id,
+        event_type: payload.type,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        redelivery_of: redeliveryOf
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create webhook delivery: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Send one attempt of a delivery and record the outcome
+   * Failures are retried by processRetries with exponential backoff until maxAttempts,
+   * after which the delivery is moved to the dead-letter list
+   * @param {Object} delivery - Delivery row
+   * @param {Object} subscription - Subscription row
+   * @returns {Promise<Object>} Updated delivery row
+   */
+  async attemptDelivery(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    const update = { attempts, last_attempt_at: new Date().toISOString() };
+
+    try {
+      // Re-validated on every attempt: the env flag or the host's DNS may have changed since registration
+      await this.validateTargetUrl(subscription.url);
+
+      const response = await axios.post(subscription.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        proxy: false, // connect directly so the guarded agents see the real target
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TeamPulse-Webhooks/1.0',
+          'X-TeamPulse-Event': delivery.event_type,
+          'X-TeamPulse-Delivery': delivery.id,
+          'X-TeamPulse-Signature': `t=${timestamp},v1=${this.sign(subscription.secret, timestamp, body)}`
+        }
+      });
+
+      Object.assign(update, {
+        status: 'delivered',
+        response_status: response.status,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString()
+      });
+    } catch (error) {
+      const exhausted = attempts >= this.maxAttempts;
+
+      Object.assign(update, {
+        status: exhausted ? 'dead_letter' : 'retrying',
+        response_status: error.response?.status || null,
+        last_error: error.response ? `HTTP ${error.response.status}` : error.message,
+        next_attempt_at: exhausted
+          ? null
+          : new Date(Date.now() + getBackoffDelay(attempts - 1, this.retryBaseDelayMs, this.retryMaxDelayMs)).toISOString()
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record webhook delivery: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Run summary, or null if nothing was due
+   */
+  async processRetries(now = new Date()) {
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*, webhook_subscriptions (*)')
+      .eq('status', 'retrying')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook retries: ${error.message}`);
+    }
+
+    if (deliveries.length === 0) return null;
+
+    const summary = {
+      retried: 0,
+      delivered: 0,
+      dead_lettered: 0,
+      errors: []
+    };
+
+    for (const { webhook_subscriptions: subscription, ...delivery } of deliveries) {
+      try {
+        // Deliveries of deleted or disabled subscriptions go straight to the dead-letter list
+        if (!subscription || !subscription.enabled) {
+          await supabase
+            .from('webhook_deliveries')
+            .update({ status: 'dead_letter', next_attempt_at: null, last_error: 'Subscription disabled or deleted' })
+            .eq('id', delivery.id);
+          summary.dead_lettered++;
+          continue;
+        }
+
+        const updated = await this.attemptDelivery(delivery, subscription);
+        summary.retried++;
+        if (updated.status === 'delivered') summary.delivered++;
+        if (updated.status === 'dead_letter') summary.dead_lettered++;
+      } catch (deliveryError) {
+        summary.errors.push({ delivery_id: delivery.id, error: deliveryError.message });
+      }
+    }
+
+    console.log(`🔁 Webhook retries: ${summary.delivered}/${summary.retried} delivered, ${summary.dead_lettered} dead-lettered`);
+
+    return summary;
+  }
+
+  /**
+   * Get the delivery log of a subscription, newest first
+   * @param {string} webhookId - Subscription ID
+   * @param {Object} filters - { status, limit }
+   * @returns {Promise<Array>} Deliveries
+   */
+  async getDeliveries(webhookId, { status, limit = 50 } = {}) {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('subscription_id', webhookId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook deliveries: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a single delivery of a subscription
+   * @param {string} webhookId - Subscription ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery or null if not found
+   */
+  async getDelivery(webhookId, deliveryId) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .eq('subscription_id', webhookId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch webhook delivery: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Send a previous delivery's event again as a new delivery and wait for the first attempt
+   * The original delivery is kept in the log unchanged
+   * @param {Object} subscription - Subscription row
+   * @param {Object} delivery - Delivery to redeliver
+   * @returns {Promise<Object>} New delivery row after its first attempt
+   */
+  async redeliver(subscription, delivery) {
+    const redelivery = await this.createDelivery(subscription, delivery.payload, delivery.id);
+    return this.attemptDelivery(redelivery, subscription);
+  }
+}
+
+module.exports = new WebhookService();
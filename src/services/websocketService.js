@@ -3,6 +3,7 @@ const { v4: uuidv4 } = require('uuid');
 const supabase = require('../../config/supabase');
 const realtimeService = require('./realtimeService');
 const pubsubService = require('./pubsubService');
+const pushService = require('./pushService');
 const { authenticateWebSocket } = require('../../middleware/websokectAuth');
 
 class WebSocketService {
@@ -518,6 +519,11 @@ class WebSocketService {
       userData.lastFocus = new Date().toISOString();
     }
 
+    const userSession = this.userSessions.get(user.id);
+    if (userSession) {
+      userSession.backgrounded = false;
+    }
+
     // Resume active subscriptions
     this.resumeMobileSubscriptions(socket, user);
 
@@ -536,6 +542,12 @@ class WebSocketService {
       userData.lastBlur = new Date().toISOString();
     }
 
+    // Notifications for backgrounded apps are routed to push (see deliverNotification)
+    const userSession = this.userSessions.get(user.id);
+    if (userSession) {
+      userSession.backgrounded = true;
+    }
+
     // Pause non-essential subscriptions
     this.pauseMobileSubscriptions(socket, user);
 
@@ -791,6 +803,68 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Check how a user can currently be reached in real time
+   * @param {string} userId - User ID
+   * @returns {string} foreground, background (mobile app blurred) or offline
+   */
+  getUserPresenceState(userId) {
+    const userSession = this.userSessions.get(userId);
+    if (!userSession || !this.io?.sockets.sockets.get(userSession.socketId)) {
+      return 'offline';
+    }
+
+    return userSession.backgrounded ? 'background' : 'foreground';
+  }
+
+  /**
+   * Deliver a notification to a user's live socket, or to push when their mobile app is backgrounded
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification data
+   * @param {Object} options - { pushFallback } set false when push is already being sent separately
+   * @returns {Promise<string>} socket, push or none
+   */
+  async deliverNotification(userId, notification, { pushFallback = true } = {}) {
+    const state = this.getUserPresenceState(userId);
+
+    if (state === 'foreground') {
+      const { socketId } = this.userSessions.get(userId);
+      this.io.to(socketId).emit('notification', {
+        ...notification,
+        timestamp: new Date().toISOString()
+      });
+      return 'socket';
+    }
+
+    if (state === 'background' && pushFallback && pushService.enabled) {
+      await pushService.sendToUser(userId, notification);
+      return 'push';
+    }
+
+    return 'none';
+  }
+
+  /**
+   * Emit an event to a user's socket if they are connected
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {boolean} True if the user was connected
+   */
+  emitToUser(userId, event, data) {
+    if (this.getUserPresenceState(userId) === 'offline') {
+      return false;
+    }
+
+    const { socketId } = this.userSessions.get(userId);
+    this.io.to(socketId).emit(event, {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
   /**
    * Handle activity ping for presence updates
    * @param {Object} socket - Socket instance
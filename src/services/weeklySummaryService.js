@@ -0,0 +1,179 @@
+const supabase = require('../../config/supabase');
+const insightsService = require('./insightsService');
+const notificationService = require('./notificationService');
+const pubsubService = require('./pubsubService');
+const { calculateAnalytics } = require('../utils/analytics');
+const { getZonedParts, getZonedDateString } = require('../utils/timezone');
+
+class WeeklySummaryService {
+  constructor() {
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+    this.defaultDay = 1; // Monday
+    this.defaultHour = 9; // 09:00 local time
+  }
+
+  /**
+   * Check whether a team's weekly summary is due at the given instant
+   * @param {Object} team - Team with settings
+   * @param {Date} now - Current time
+   * @returns {boolean} True if today is the summary day and the send hour has passed
+   */
+  isSummaryDue(team, now = new Date()) {
+    const notifications = team.settings?.notifications || {};
+    if (notifications.weekly_summaries === false) return false;
+
+    const timeZone = team.settings?.timezone || this.defaultTimezone;
+    const day = notifications.weekly_summary_day ?? this.defaultDay;
+    const hour = notifications.weekly_summary_hour ?? this.defaultHour;
+    const { weekday, hour: localHour } = getZonedParts(now, timeZone);
+
+    return weekday === day && localHour >= hour;
+  }
+
+  /**
+   * Check whether a summary has already been stored for the given local week
+   * @param {string} teamId - Team ID
+   * @param {string} summaryWeek - Local date of the summary day (YYYY-MM-DD)
+   * @returns {Promise<boolean>} True if already generated
+   */
+  async hasSummaryForWeek(teamId, summaryWeek) {
+    const { data, error } = await supabase
+      .from('team_insights')
+      .select('id')
+      .eq('team_id', teamId)
+      .eq('insight_type', 'weekly')
+      .contains('metadata', { summary_week: summaryWeek })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check existing summary: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Generate, store and deliver weekly summaries for all due teams (scheduler job handler)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Run summary with processed and failed teams, or null if none were due
+   */
+  async processWeeklySummaries(now = new Date()) {
+    const summary = {
+      teams_checked: 0,
+      processed: [],
+      errors: []
+    };
+
+    const { data: teams, error } = await supabase
+      .from('teams')
+      .select('id, name, settings');
+
+    if (error) {
+      throw new Error(`Failed to fetch teams: ${error.message}`);
+    }
+
+    for (const team of teams) {
+      summary.teams_checked++;
+
+      if (!this.isSummaryDue(team, now)) continue;
+
+      try {
+        const timeZone = team.settings?.timezone || this.defaultTimezone;
+        const summaryWeek = getZonedDateString(now, timeZone);
+
+        if (await this.hasSummaryForWeek(team.id, summaryWeek)) continue;
+
+        const insight = await this.generateTeamSummary(team, summaryWeek, now);
+        summary.processed.push({ team_id: team.id, insight_id: insight.id });
+      } catch (teamError) {
+        console.error(`Weekly summary failed for team ${team.id}:`, teamError);
+        summary.errors.push({ team_id: team.id, error: teamError.message });
+      }
+    }
+
+    // Nothing was due this tick, so there is nothing worth recording
+    if (summary.processed.length === 0 && summary.errors.length === 0) {
+      return null;
+    }
+
+    console.log(`📰 Weekly summaries: ${summary.processed.length} generated, ${summary.errors.length} failed`);
+
+    return summary;
+  }
+
+  /**
+   * Generate and deliver the weekly summary for one team
+   * @param {Object} team - Team with settings
+   * @param {string} summaryWeek - Local date of the summary day
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Stored insight
+   */
+  async generateTeamSummary(team, summaryWeek, now = new Date()) {
+    const fromDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: checkIns, error: checkInsError } = await supabase
+      .from('check_ins')
+      .select('*')
+      .eq('team_id', team.id)
+      .gte('created_at', fromDate)
+      .lte('created_at', now.toISOString());
+
+    if (checkInsError) {
+      throw new Error(`Failed to fetch check-ins: ${checkInsError.message}`);
+    }
+
+    const { data: teamMembers, error: teamMembersError } = await supabase
+      .from('team_members')
+      .select('user_id')
+      .eq('team_id', team.id);
+
+    if (teamMembersError) {
+      throw new Error(`Failed to fetch team members: ${teamMembersError.message}`);
+    }
+
+    const teamData = calculateAnalytics(checkIns, teamMembers, '7d', { timezone: team.settings?.timezone });
+    const insight = await insightsService.generateTeamInsight(teamData, 'weekly');
+
+    const { data: storedInsight, error: storeError } = await supabase
+      .from('team_insights')
+      .insert({
+        team_id: team.id,
+        insight_type: 'weekly',
+        title: insight.title,
+        content: insight.content,
+        severity: insight.severity,
+        metadata: {
+          ...insight.metadata,
+          auto_generated: true,
+          summary_week: summaryWeek,
+          period_start: fromDate,
+          period_end: now.toISOString(),
+          team_metrics: {
+            avg_mood: teamData.average_mood,
+            avg_energy: teamData.average_energy,
+            avg_sentiment: teamData.average_sentiment,
+            participation_rate: teamData.participation_rate,
+            total_checkins: teamData.total_checkins
+          }
+        }
+      })
+      .select()
+      .single();
+
+    if (storeError) {
+      throw new Error(`Failed to store weekly summary: ${storeError.message}`);
+    }
+
+    try {
+      await notificationService.sendWeeklySummaryNotification(team.id, team.name, storedInsight);
+      await pubsubService.publishInsightEvent(team.id, storedInsight, null);
+    } catch (deliveryError) {
+      // The summary is stored; delivery failures are logged by notificationService
+      console.error(`Failed to deliver weekly summary for team ${team.id}:`, deliveryError);
+    }
+
+    return storedInsight;
+  }
+}
+
+module.exports = new WeeklySummaryService();
@@ -0,0 +1,157 @@
+const supabase = require('../../config/supabase');
+const notificationService = require('./notificationService');
+const { calculateMemberWellbeing } = require('../utils/memberWellbeing');
+const { resolveTimezone } = require('../utils/timezone');
+
+class WellbeingService {
+  constructor() {
+    this.defaultDays = 30;
+    this.alertLevels = ['high'];
+    this.alertCooldown = (parseInt(process.env.WELLBEING_ALERT_COOLDOWN_DAYS) || 7) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Fetch a member's own check-ins; anonymous check-ins are never read
+   * @param {string} teamId - Team ID
+   * @param {string} userId - Member user ID
+   * @param {number} days - Days to look back
+   * @returns {Promise<Array>} Check-ins, oldest first
+   */
+  async getMemberCheckIns(teamId, userId, days) {
+    const fromDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('check_ins')
+      .select('mood_score, energy_level, sentiment_score, is_anonymous, created_at')
+      .eq('team_id', teamId)
+      .eq('user_id', userId)
+      .eq('is_anonymous', false)
+      .gte('created_at', fromDate)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch member check-ins: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Assess a member's wellbeing over a recent window
+   * @param {string} teamId - Team ID
+   * @param {string} userId - Member user ID
+   * @param {Object} options - { days, timezone }
+   * @returns {Promise<Object>} Wellbeing assessment
+   */
+  async getMemberWellbeing(teamId, userId, { days = this.defaultDays, timezone } = {}) {
+    const checkIns = await this.getMemberCheckIns(teamId, userId, days);
+
+    return {
+      team_id: teamId,
+      user_id: userId,
+      days,
+      ...calculateMemberWellbeing(checkIns, { timezone })
+    };
+  }
+
+  /**
+   * Check whether the managers were already told about this member recently
+   * @param {string} teamId - Team ID
+   * @param {string} userId - Member user ID
+   * @returns {Promise<boolean>} True if a wellbeing alert went out within the cooldown
+   */
+  async isAlertOnCooldown(teamId, userId) {
+    const cutoffTime = new Date(Date.now() - this.alertCooldown).toISOString();
+
+    const { data, error } = await supabase
+      .from('notification_logs')
+      .select('id')
+      .eq('team_id', teamId)
+      .eq('notification_type', 'member_wellbeing')
+      .contains('details', { user_id: userId })
+      .gte('sent_at', cutoffTime)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check wellbeing alert cooldown: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Assess a member and privately alert their managers when the burnout risk is high
+   * @param {Object} team - { id, name, settings }
+   * @param {Object} member - { user_id, profiles }
+   * @returns {Promise<Object>} { wellbeing, alerted }
+   */
+  async evaluateMember(team, member) {
+    const wellbeing = await this.getMemberWellbeing(team.id, member.user_id, {
+      timezone: resolveTimezone(team.settings?.timezone)
+    });
+
+    if (!wellbeing.sufficient_data || !this.alertLevels.includes(wellbeing.burnout_risk.level)) {
+      return { wellbeing, alerted: false };
+    }
+
+    if (await this.isAlertOnCooldown(team.id, member.user_id)) {
+      return { wellbeing, alerted: false };
+    }
+
+    const results = await notificationService.sendMemberWellbeingNotification(team, member, wellbeing);
+
+    return { wellbeing, alerted: !!results };
+  }
+
+  /**
+   * Assess every member of every team (scheduler job handler)
+   * Teams can opt out with settings.notifications.member_wellbeing_alerts = false
+   * @returns {Promise<Object>} Run summary with alerted members and failed teams
+   */
+  async evaluateAllMembers() {
+    const summary = {
+      teams_evaluated: 0,
+      members_evaluated: 0,
+      alerts_sent: 0,
+      errors: []
+    };
+
+    const { data: teams, error } = await supabase
+      .from('teams')
+      .select('id, name, settings');
+
+    if (error) {
+      throw new Error(`Failed to fetch teams: ${error.message}`);
+    }
+
+    for (const team of teams) {
+      if (team.settings?.notifications?.member_wellbeing_alerts === false) continue;
+
+      try {
+        const { data: members, error: membersError } = await supabase
+          .from('team_members')
+          .select('user_id, profiles:user_id (full_name)')
+          .eq('team_id', team.id);
+
+        if (membersError) {
+          throw new Error(`Failed to fetch team members: ${membersError.message}`);
+        }
+
+        for (const member of members) {
+          const { alerted } = await this.evaluateMember(team, member);
+          summary.members_evaluated++;
+          if (alerted) summary.alerts_sent++;
+        }
+
+        summary.teams_evaluated++;
+      } catch (teamError) {
+        console.error(`Wellbeing evaluation failed for team ${team.id}:`, teamError);
+        summary.errors.push({ team_id: team.id, error: teamError.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new WellbeingService();
@@ -3,11 +3,281 @@
  * Used by both checkIns.js and insights.js routes
  */
 
-function calculateAnalytics(checkIns, teamMembers, period) {
+const { resolveTimezone, getZonedBucketStart } = require('./timezone');
+
+const PERIOD_HOURS = {
+  '24h': 24,
+  '7d': 24 * 7,
+  '30d': 24 * 30,
+  '90d': 24 * 90
+};
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+// Longest custom range, and longest range that can be bucketed hourly
+const MAX_RANGE_DAYS = 366;
+const MAX_HOURLY_RANGE_DAYS = 31;
+
+const COMPARISONS = ['previous_period', 'same_period_last_year'];
+
+// Below this many check-ins on either side a difference is reported as insufficient data
+const MIN_COMPARISON_SAMPLE = 10;
+
+// Two-sided 95% critical value of the normal distribution
+const SIGNIFICANCE_Z = 1.96;
+
+/**
+ * Resolve the time window analytics cover
+ * An explicit from/to wins over the relative period, which is measured back from now
+ * @param {Object} params - { period, from, to }
+ * @param {Date} now - Current time
+ * @returns {Object} { period, from, to } with ISO timestamps; period is 'custom' for explicit ranges
+ */
+function resolveAnalyticsRange({ period = '7d', from, to } = {}, now = new Date()) {
+  if (from || to) {
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - PERIOD_HOURS[period] * 60 * 60 * 1000);
+    return { period: 'custom', from: start.toISOString(), to: end.toISOString() };
+  }
+
+  return {
+    period,
+    from: new Date(now.getTime() - PERIOD_HOURS[period] * 60 * 60 * 1000).toISOString(),
+    to: now.toISOString()
+  };
+}
+
+/**
+ * Check an explicit analytics range
+ * @param {Object} range - { from, to } from resolveAnalyticsRange
+ * @param {string} granularity - Trend bucket size
+ * @returns {string|null} Error message, or null if the range is usable
+ */
+function validateAnalyticsRange({ from, to }, granularity = 'day') {
+  const spanDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+
+  if (spanDays <= 0) {
+    return 'from must be before to';
+  }
+
+  if (spanDays > MAX_RANGE_DAYS) {
+    return `Date range cannot exceed ${MAX_RANGE_DAYS} days`;
+  }
+
+  if (granularity === 'hour' && spanDays > MAX_HOURLY_RANGE_DAYS) {
+    return `Hourly granularity is limited to ranges of ${MAX_HOURLY_RANGE_DAYS} days`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the cache key for a team analytics request
+ * Keys never contain the current time, so every key of a team matches `analytics:${teamId}:*`
+ * and relative periods match the `analytics:${teamId}:${period}:*` invalidation patterns
+ * @param {string} teamId - Team ID
+ * @param {Object} params - { period, from, to, includeAnonymous, granularity, timezone, compare }
+ * @returns {string} Cache key
+ */
+function getAnalyticsCacheKey(teamId, { period, from, to, includeAnonymous, granularity, timezone, compare }) {
+  const range = period === 'custom' ? `range:${from}:${to}` : period;
+  return `analytics:${teamId}:${range}:${includeAnonymous}:${granularity}:${timezone}:${compare || 'none'}`;
+}
+
+/**
+ * Resolve the baseline window a range is compared against
+ * @param {Object} range - { from, to } from resolveAnalyticsRange
+ * @param {string} compare - previous_period or same_period_last_year
+ * @returns {Object} { from, to } with ISO timestamps
+ */
+function getComparisonRange({ from, to }, compare) {
+  const start = new Date(from);
+  const end = new Date(to);
+
+  if (compare === 'same_period_last_year') {
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+    return { from: start.toISOString(), to: end.toISOString() };
+  }
+
+  // The window of the same length that ends where this one starts
+  return {
+    from: new Date(start.getTime() - (end - start)).toISOString(),
+    to: start.toISOString()
+  };
+}
+
+/**
+ * Absolute and percent change between two values
+ * @param {number} current - Current value
+ * @param {number} baseline - Baseline value
+ * @returns {Object} { current, baseline, delta, percent_change }; percent_change is null for a zero baseline
+ */
+function getDelta(current, baseline) {
+  return {
+    current,
+    baseline,
+    delta: Math.round((current - baseline) * 100) / 100,
+    percent_change: baseline !== 0
+      ? Math.round(((current - baseline) / Math.abs(baseline)) * 1000) / 10
+      : null
+  };
+}
+
+/**
+ * Hint whether a difference is more than noise
+ * @param {number} z - Test statistic
+ * @param {number} currentSize - Sample size of the current window
+ * @param {number} baselineSize - Sample size of the baseline window
+ * @returns {string} significant, not_significant or insufficient_data
+ */
+function getSignificance(z, currentSize, baselineSize) {
+  if (currentSize < MIN_COMPARISON_SAMPLE || baselineSize < MIN_COMPARISON_SAMPLE) {
+    return 'insufficient_data';
+  }
+
+  return Math.abs(z) >= SIGNIFICANCE_Z ? 'significant' : 'not_significant';
+}
+
+/**
+ * Compare two means with Welch's z statistic
+ * @param {number} mean1 - Current mean
+ * @param {number} sd1 - Current standard deviation
+ * @param {number} n1 - Current sample size
+ * @param {number} mean2 - Baseline mean
+ * @param {number} sd2 - Baseline standard deviation
+ * @param {number} n2 - Baseline sample size
+ * @returns {string} Significance hint
+ */
+function getMeanSignificance(mean1, sd1, n1, mean2, sd2, n2) {
+  const standardError = Math.sqrt((sd1 * sd1) / n1 + (sd2 * sd2) / n2);
+  const difference = mean1 - mean2;
+  const z = standardError > 0 ? difference / standardError : (difference === 0 ? 0 : Infinity);
+
+  return getSignificance(z, n1, n2);
+}
+
+/**
+ * Compare two proportions with a pooled two-proportion z statistic
+ * @param {number} count1 - Current successes
+ * @param {number} n1 - Current sample size
+ * @param {number} count2 - Baseline successes
+ * @param {number} n2 - Baseline sample size
+ * @returns {string} Significance hint
+ */
+function getProportionSignificance(count1, n1, count2, n2) {
+  if (n1 === 0 || n2 === 0) {
+    return 'insufficient_data';
+  }
+
+  const pooled = (count1 + count2) / (n1 + n2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const difference = count1 / n1 - count2 / n2;
+  const z = standardError > 0 ? difference / standardError : 0;
+
+  return getSignificance(z, n1, n2);
+}
+
+/**
+ * Compare a distribution bucket by bucket
+ * Shares are compared as well as counts, because the windows rarely have the same number of check-ins
+ * @param {Object} current - Current counts by bucket
+ * @param {Object} baseline - Baseline counts by bucket
+ * @param {number} currentTotal - Current check-in count
+ * @param {number} baselineTotal - Baseline check-in count
+ * @returns {Object} Deltas by bucket
+ */
+function compareDistribution(current, baseline, currentTotal, baselineTotal) {
+  const share = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+  return Object.keys(current).reduce((deltas, bucket) => {
+    const currentShare = share(current[bucket], currentTotal);
+    const baselineShare = share(baseline[bucket], baselineTotal);
+
+    deltas[bucket] = {
+      ...getDelta(current[bucket], baseline[bucket]),
+      current_share: currentShare,
+      baseline_share: baselineShare,
+      share_delta: Math.round((currentShare - baselineShare) * 10) / 10,
+      significance: getProportionSignificance(current[bucket], currentTotal, baseline[bucket], baselineTotal)
+    };
+    return deltas;
+  }, {});
+}
+
+/**
+ * Compare analytics against a baseline window
+ * @param {Object} current - calculateAnalytics result for the requested window
+ * @param {Object} baseline - calculateAnalytics result for the baseline window
+ * @param {string} compare - previous_period or same_period_last_year
+ * @param {number} teamSize - Current member count, the base of both participation rates
+ * @returns {Object} Baseline metrics and deltas, each with a significance hint
+ */
+function compareAnalytics(current, baseline, compare, teamSize) {
+  const currentTotal = current.total_checkins;
+  const baselineTotal = baseline.total_checkins;
+  const meanDelta = (metric) => ({
+    ...getDelta(current[`average_${metric}`], baseline[`average_${metric}`]),
+    significance: getMeanSignificance(
+      current[`average_${metric}`], current[`${metric}_stddev`], currentTotal,
+      baseline[`average_${metric}`], baseline[`${metric}_stddev`], baselineTotal
+    )
+  });
+
+  return {
+    compare,
+    baseline: {
+      from: baseline.from,
+      to: baseline.to,
+      total_checkins: baselineTotal,
+      unique_participants: baseline.unique_participants,
+      participation_rate: baseline.participation_rate,
+      average_mood: baseline.average_mood,
+      average_energy: baseline.average_energy,
+      average_sentiment: baseline.average_sentiment,
+      mood_distribution: baseline.mood_distribution,
+      energy_distribution: baseline.energy_distribution,
+      sentiment_distribution: baseline.sentiment_distribution
+    },
+    deltas: {
+      total_checkins: getDelta(currentTotal, baselineTotal),
+      average_mood: meanDelta('mood'),
+      average_energy: meanDelta('energy'),
+      average_sentiment: meanDelta('sentiment'),
+      participation_rate: {
+        ...getDelta(current.participation_rate, baseline.participation_rate),
+        significance: getProportionSignificance(
+          current.unique_participants, teamSize,
+          baseline.unique_participants, teamSize
+        )
+      },
+      mood_distribution: compareDistribution(current.mood_distribution, baseline.mood_distribution, currentTotal, baselineTotal),
+      energy_distribution: compareDistribution(current.energy_distribution, baseline.energy_distribution, currentTotal, baselineTotal),
+      sentiment_distribution: compareDistribution(current.sentiment_distribution, baseline.sentiment_distribution, currentTotal, baselineTotal)
+    }
+  };
+}
+
+/**
+ * Aggregate check-ins into team analytics
+ * @param {Array} checkIns - Check-ins in the period
+ * @param {Array} teamMembers - Team members, for the participation rate
+ * @param {string} period - Period label (e.g. 7d)
+ * @param {Object} options - { timezone, granularity } used to bucket the trend by the team's local calendar,
+ *   and the { from, to } range the check-ins were selected with
+ * @returns {Object} Analytics, including the timezone and granularity the trend was bucketed with
+ */
+function calculateAnalytics(checkIns, teamMembers, period, { timezone, granularity = 'day', range = null } = {}) {
+  const timeZone = resolveTimezone(timezone);
+  const window = range ? { from: range.from, to: range.to } : {};
+
   if (!checkIns || checkIns.length === 0) {
     return {
       team_id: null,
       period,
+      ...window,
+      timezone: timeZone,
+      granularity,
       sentiment_trend: [],
       mood_distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
       energy_distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
@@ -17,6 +287,9 @@ function calculateAnalytics(checkIns, teamMembers, period) {
       average_mood: 0,
       average_energy: 0,
       average_sentiment: 0,
+      mood_stddev: 0,
+      energy_stddev: 0,
+      sentiment_stddev: 0,
       unique_participants: 0
     };
   }
@@ -29,16 +302,21 @@ function calculateAnalytics(checkIns, teamMembers, period) {
   let totalMood = 0;
   let totalEnergy = 0;
   let totalSentiment = 0;
+  let squaredMood = 0;
+  let squaredEnergy = 0;
+  let squaredSentiment = 0;
   const uniqueUsers = new Set();
 
   checkIns.forEach(checkIn => {
     // Mood distribution
     moodDistribution[checkIn.mood_score]++;
     totalMood += checkIn.mood_score;
+    squaredMood += checkIn.mood_score * checkIn.mood_score;
 
     // Energy distribution
     energyDistribution[checkIn.energy_level]++;
     totalEnergy += checkIn.energy_level;
+    squaredEnergy += checkIn.energy_level * checkIn.energy_level;
 
     // Sentiment distribution
     if (checkIn.sentiment_label) {
@@ -46,6 +324,7 @@ function calculateAnalytics(checkIns, teamMembers, period) {
     }
     if (checkIn.sentiment_score !== null) {
       totalSentiment += checkIn.sentiment_score;
+      squaredSentiment += checkIn.sentiment_score * checkIn.sentiment_score;
     }
 
     // Track unique users for participation rate
@@ -60,13 +339,18 @@ function calculateAnalytics(checkIns, teamMembers, period) {
   const averageEnergy = totalEnergy / totalCheckIns;
   const averageSentiment = totalSentiment / totalCheckIns;
 
+  // Sample standard deviations, used to judge whether period-over-period changes are significant
+  const stddev = (sumOfSquares, mean) => (totalCheckIns > 1
+    ? Math.sqrt(Math.max(0, (sumOfSquares - totalCheckIns * mean * mean) / (totalCheckIns - 1)))
+    : 0);
+
   // Calculate participation rate
   const participationRate = teamMembers.length > 0 ? (uniqueUsers.size / teamMembers.length) : 0;
 
-  // Calculate trend data (group by day)
+  // Calculate trend data (group by local day, week or month)
   const trendData = {};
   checkIns.forEach(checkIn => {
-    const date = checkIn.created_at.split('T')[0]; // Get date part only
+    const date = getZonedBucketStart(checkIn.created_at, timeZone, granularity);
 
     if (!trendData[date]) {
       trendData[date] = {
@@ -95,11 +379,14 @@ function calculateAnalytics(checkIns, teamMembers, period) {
       ? Math.round((day.sentiment_scores.reduce((a, b) => a + b, 0) / day.sentiment_scores.length) * 100) / 100
       : 0,
     count: day.count
-  })).sort((a, b) => new Date(a.date) - new Date(b.date));
+  })).sort((a, b) => a.date.localeCompare(b.date));
 
   return {
     team_id: checkIns[0]?.team_id || null,
     period,
+    ...window,
+    timezone: timeZone,
+    granularity,
     sentiment_trend: sentimentTrend,
     mood_distribution: moodDistribution,
     energy_distribution: energyDistribution,
@@ -109,11 +396,22 @@ function calculateAnalytics(checkIns, teamMembers, period) {
     average_mood: Math.round(averageMood * 100) / 100,
     average_energy: Math.round(averageEnergy * 100) / 100,
     average_sentiment: Math.round(averageSentiment * 100) / 100,
+    mood_stddev: Math.round(stddev(squaredMood, averageMood) * 100) / 100,
+    energy_stddev: Math.round(stddev(squaredEnergy, averageEnergy) * 100) / 100,
+    sentiment_stddev: Math.round(stddev(squaredSentiment, averageSentiment) * 100) / 100,
     unique_participants: uniqueUsers.size,
     insights_count: 0 // Will be populated when insights feature is implemented
   };
 }
 
 module.exports = {
-  calculateAnalytics
+  PERIOD_HOURS,
+  GRANULARITIES,
+  COMPARISONS,
+  calculateAnalytics,
+  compareAnalytics,
+  getComparisonRange,
+  resolveAnalyticsRange,
+  validateAnalyticsRange,
+  getAnalyticsCacheKey
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * Statistical anomaly detection on team metrics
+ * Each day is scored against the team's own rolling baseline rather than a fixed threshold,
+ * so a team that usually sits at 3.2 and one that sits at 4.5 are judged against their own normal
+ */
+
+const { resolveTimezone, getZonedBucketStart } = require('./timezone');
+
+const ANOMALY_METRICS = ['average_mood', 'average_energy', 'average_sentiment', 'participation_rate'];
+
+// Smallest spread assumed per metric, so a team that answers the same every day
+// doesn't raise an anomaly on the first small wobble
+const MIN_STDDEV = {
+  average_mood: 0.25,
+  average_energy: 0.25,
+  average_sentiment: 0.05,
+  participation_rate: 0.05
+};
+
+const DEFAULT_OPTIONS = {
+  windowDays: 28, // Active days of history the baseline is learned from
+  minBaselineDays: 7, // Fewer active days than this and there is no baseline yet
+  minDayCheckIns: 3, // Days with fewer check-ins are too noisy to score or learn from
+  zThreshold: 3 // |z| at or above this is flagged
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Aggregate check-ins into one row per local day that has check-ins
+ * Days without check-ins are left out, so weekends and holidays don't drag the baseline down
+ * @param {Array} checkIns - Check-ins, any order
+ * @param {Array} teamMembers - Team members, for the participation rate
+ * @param {string} timezone - IANA timezone the days are cut in
+ * @returns {Array} [{ date, check_ins, average_mood, average_energy, average_sentiment, participation_rate }] oldest first
+ */
+function buildDailySeries(checkIns, teamMembers, timezone) {
+  const timeZone = resolveTimezone(timezone);
+  const teamSize = teamMembers.length;
+  const days = {};
+
+  (checkIns || []).forEach(checkIn => {
+    const date = getZonedBucketStart(checkIn.created_at, timeZone, 'day');
+
+    if (!days[date]) {
+      days[date] = { date, count: 0, mood: 0, energy: 0, sentiment: 0, sentimentCount: 0, users: new Set() };
+    }
+
+    const day = days[date];
+    day.count++;
+    day.mood += checkIn.mood_score;
+    day.energy += checkIn.energy_level;
+    if (checkIn.sentiment_score !== null && checkIn.sentiment_score !== undefined) {
+      day.sentiment += checkIn.sentiment_score;
+      day.sentimentCount++;
+    }
+    if (!checkIn.is_anonymous && checkIn.user_id) {
+      day.users.add(checkIn.user_id);
+    }
+  });
+
+  return Object.values(days)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      date: day.date,
+      check_ins: day.count,
+      average_mood: round(day.mood / day.count),
+      average_energy: round(day.energy / day.count),
+      average_sentiment: day.sentimentCount > 0 ? round(day.sentiment / day.sentimentCount) : null,
+      participation_rate: teamSize > 0 ? round(day.users.size / teamSize) : null
+    }));
+}
+
+/**
+ * Mean and sample standard deviation of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {Object} { mean, stddev }
+ */
+function getBaseline(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+
+  return { mean, stddev: Math.sqrt(variance) };
+}
+
+/**
+ * Score one day of a series against the active days before it
+ * @param {Array} series - Output of buildDailySeries
+ * @param {number} index - Index of the day to score
+ * @param {Object} options - Detection options
+ * @returns {Array} Anomalies found on that day
+ */
+function scoreDay(series, index, options) {
+  const { windowDays, minBaselineDays, minDayCheckIns, zThreshold } = options;
+  const day = series[index];
+
+  if (!day || day.check_ins < minDayCheckIns) {
+    return [];
+  }
+
+  const history = series
+    .slice(0, index)
+    .filter(previous => previous.check_ins >= minDayCheckIns)
+    .slice(-windowDays);
+
+  const anomalies = [];
+
+  ANOMALY_METRICS.forEach(metric => {
+    const values = history.map(previous => previous[metric]).filter(value => value !== null);
+
+    if (day[metric] === null || values.length < minBaselineDays) {
+      return;
+    }
+
+    const { mean, stddev } = getBaseline(values);
+    const zScore = (day[metric] - mean) / Math.max(stddev, MIN_STDDEV[metric]);
+
+    if (Math.abs(zScore) >= zThreshold) {
+      anomalies.push({
+        date: day.date,
+        metric,
+        value: day[metric],
+        direction: zScore < 0 ? 'drop' : 'spike',
+        z_score: round(zScore),
+        check_ins: day.check_ins,
+        baseline: {
+          mean: round(mean, 3),
+          stddev: round(stddev, 3),
+          days: values.length,
+          from: history[0].date,
+          to: history[history.length - 1].date
+        }
+      });
+    }
+  });
+
+  return anomalies;
+}
+
+/**
+ * Find every anomalous day in a series
+ * @param {Array} series - Output of buildDailySeries
+ * @param {Object} options - { windowDays, minBaselineDays, minDayCheckIns, zThreshold }
+ * @returns {Array} Anomalies, oldest first
+ */
+function detectAnomalies(series, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  return series.flatMap((day, index) => scoreDay(series, index, settings));
+}
+
+/**
+ * Score only the most recent day with enough check-ins
+ * @param {Array} series - Output of buildDailySeries
+ * @param {Object} options - { windowDays, minBaselineDays, minDayCheckIns, zThreshold }
+ * @returns {Array} Anomalies on that day
+ */
+function detectLatestAnomalies(series, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  for (let index = series.length - 1; index >= 0; index--) {
+    if (series[index].check_ins >= settings.minDayCheckIns) {
+      return scoreDay(series, index, settings);
+    }
+  }
+
+  return [];
+}
+
+module.exports = {
+  ANOMALY_METRICS,
+  DEFAULT_OPTIONS,
+  buildDailySeries,
+  detectAnomalies,
+  detectLatestAnomalies
+};
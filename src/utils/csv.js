@@ -0,0 +1,60 @@
+/**
+ * RFC 4180 CSV helpers
+ * Used by the CSV exports for every field, so commas, quotes and line breaks in user content stay inside their cell
+ */
+
+// Spreadsheets treat cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format a value as a CSV field
+ * Text that a spreadsheet would run as a formula is prefixed with a single quote;
+ * numbers are left alone so negative scores stay numeric
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function formatCSVField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (!(value instanceof Date) && FORMULA_PREFIXES.some(prefix => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a CSV record terminated by CRLF
+ * @param {Array} fields - Field values
+ * @returns {string} CSV line
+ */
+function formatCSVRow(fields) {
+  return `${fields.map(formatCSVField).join(',')}\r\n`;
+}
+
+/**
+ * Format a timestamp as ISO-8601 UTC
+ * @param {string|Date} timestamp - Timestamp
+ * @returns {string|null} ISO timestamp, or null when missing
+ */
+function toISOTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+module.exports = {
+  formatCSVField,
+  formatCSVRow,
+  toISOTimestamp
+};
@@ -0,0 +1,210 @@
+/**
+ * Per-member wellbeing calculations
+ * Team analytics average everyone together, which hides one person's sustained decline;
+ * these work on a single member's own (never anonymous) check-ins
+ */
+
+const { resolveTimezone, getZonedBucketStart } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each factor contributes to the burnout risk score; they add up to 1
+const RISK_WEIGHTS = {
+  low_energy: 0.3,
+  low_mood: 0.25,
+  decline: 0.2,
+  low_streak: 0.15,
+  negative_sentiment: 0.1
+};
+
+const RISK_LEVELS = [
+  { level: 'high', min: 60 },
+  { level: 'moderate', min: 35 },
+  { level: 'low', min: 0 }
+];
+
+const DEFAULT_OPTIONS = {
+  minDataPoints: 5, // Fewer check-ins than this and nothing is reported about the member
+  lowScore: 2, // A check-in with mood or energy at or below this counts towards a low streak
+  rollingDays: 7 // Length of the rolling averages and of the "recent" window the risk is based on
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const dayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+
+/**
+ * Least-squares slope of values over day numbers
+ * @param {Array} points - [{ x, y }] with x in days
+ * @returns {number|null} Change per day, or null with fewer than two distinct days
+ */
+function getSlope(points) {
+  const usable = points.filter(point => point.y !== null);
+  if (usable.length < 2) return null;
+
+  const meanX = average(usable.map(point => point.x));
+  const meanY = average(usable.map(point => point.y));
+  const spread = usable.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+
+  if (spread === 0) return null;
+
+  return usable.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / spread;
+}
+
+/**
+ * Count consecutive low check-ins
+ * @param {Array} checkIns - Check-ins, oldest first
+ * @param {number} lowScore - Mood or energy at or below this is low
+ * @returns {Object} { current, longest }
+ */
+function getLowStreaks(checkIns, lowScore) {
+  let current = 0;
+  let longest = 0;
+
+  checkIns.forEach(checkIn => {
+    if (checkIn.mood_score <= lowScore || checkIn.energy_level <= lowScore) {
+      current++;
+      longest = Math.max(longest, current);
+    } else {
+      current = 0;
+    }
+  });
+
+  return { current, longest };
+}
+
+/**
+ * Assess one member's wellbeing from their check-ins
+ * @param {Array} checkIns - The member's check-ins; anonymous ones are dropped
+ * @param {Object} options - { timezone, minDataPoints, lowScore, rollingDays }
+ * @returns {Object} Trends, streaks and burnout risk, or { sufficient_data: false } below minDataPoints
+ */
+function calculateMemberWellbeing(checkIns, options = {}) {
+  const { minDataPoints, lowScore, rollingDays } = { ...DEFAULT_OPTIONS, ...options };
+  const timeZone = resolveTimezone(options.timezone);
+
+  const points = (checkIns || [])
+    .filter(checkIn => !checkIn.is_anonymous)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  if (points.length < minDataPoints) {
+    return {
+      sufficient_data: false,
+      data_points: points.length,
+      min_data_points: minDataPoints,
+      timezone: timeZone
+    };
+  }
+
+  // One row per local day with check-ins
+  const days = {};
+  points.forEach(checkIn => {
+    const date = getZonedBucketStart(checkIn.created_at, timeZone, 'day');
+    if (!days[date]) {
+      days[date] = { date, mood: [], energy: [], sentiment: [] };
+    }
+    days[date].mood.push(checkIn.mood_score);
+    days[date].energy.push(checkIn.energy_level);
+    if (checkIn.sentiment_score !== null && checkIn.sentiment_score !== undefined) {
+      days[date].sentiment.push(checkIn.sentiment_score);
+    }
+  });
+
+  const dayList = Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+
+  // Rolling averages over the check-ins of the trailing rollingDays calendar days
+  const daily = dayList.map(day => {
+    const end = dayNumber(day.date);
+    const window = dayList.filter(other => dayNumber(other.date) > end - rollingDays && dayNumber(other.date) <= end);
+    const pooled = (key) => window.flatMap(other => other[key]);
+    const rounded = (values) => (values.length > 0 ? round(average(values)) : null);
+
+    return {
+      date: day.date,
+      count: day.mood.length,
+      avg_mood: rounded(day.mood),
+      avg_energy: rounded(day.energy),
+      avg_sentiment: rounded(day.sentiment),
+      rolling_mood: rounded(pooled('mood')),
+      rolling_energy: rounded(pooled('energy')),
+      rolling_sentiment: rounded(pooled('sentiment'))
+    };
+  });
+
+  // "Recent" is the rolling window ending on the latest check-in
+  const latest = daily[daily.length - 1];
+  const recentMood = latest.rolling_mood;
+  const recentEnergy = latest.rolling_energy;
+  const recentSentiment = latest.rolling_sentiment;
+
+  const slopeOf = (key) => {
+    const slope = getSlope(daily.map(day => ({ x: dayNumber(day.date), y: day[key] })));
+    return slope === null ? null : round(slope * 7);
+  };
+  const moodPerWeek = slopeOf('avg_mood');
+  const energyPerWeek = slopeOf('avg_energy');
+  const sentimentPerWeek = slopeOf('avg_sentiment');
+
+  const streaks = getLowStreaks(points, lowScore);
+
+  // Each factor is scaled to 0..1: 1 means a mood/energy around 1, a drop of a point a week,
+  // five low check-ins in a row, or sentiment at -0.5 or below
+  const weeklyDrop = average([moodPerWeek, energyPerWeek].filter(value => value !== null));
+  const factorValues = {
+    low_energy: clamp((4 - recentEnergy) / 3),
+    low_mood: clamp((4 - recentMood) / 3),
+    decline: weeklyDrop === null ? 0 : clamp(-weeklyDrop),
+    low_streak: clamp(streaks.current / 5),
+    negative_sentiment: recentSentiment === null ? 0 : clamp(-recentSentiment / 0.5)
+  };
+
+  const score = Math.round(100 * Object.entries(RISK_WEIGHTS)
+    .reduce((sum, [factor, weight]) => sum + factorValues[factor] * weight, 0));
+
+  const factors = Object.keys(RISK_WEIGHTS).reduce((result, factor) => {
+    result[factor] = { value: round(factorValues[factor]), weight: RISK_WEIGHTS[factor] };
+    return result;
+  }, {});
+
+  const declining = weeklyDrop !== null && weeklyDrop <= -0.25;
+  const improving = weeklyDrop !== null && weeklyDrop >= 0.25;
+
+  return {
+    sufficient_data: true,
+    data_points: points.length,
+    min_data_points: minDataPoints,
+    timezone: timeZone,
+    first_check_in: points[0].created_at,
+    last_check_in: points[points.length - 1].created_at,
+    recent: {
+      days: rollingDays,
+      average_mood: recentMood,
+      average_energy: recentEnergy,
+      average_sentiment: recentSentiment
+    },
+    trend: {
+      direction: declining ? 'declining' : improving ? 'improving' : 'stable',
+      mood_per_week: moodPerWeek,
+      energy_per_week: energyPerWeek,
+      sentiment_per_week: sentimentPerWeek
+    },
+    streaks: {
+      low_score: lowScore,
+      current_low: streaks.current,
+      longest_low: streaks.longest
+    },
+    burnout_risk: {
+      score,
+      level: RISK_LEVELS.find(({ min }) => score >= min).level,
+      factors
+    },
+    daily
+  };
+}
+
+module.exports = {
+  RISK_WEIGHTS,
+  DEFAULT_OPTIONS,
+  calculateMemberWellbeing
+};
@@ -0,0 +1,146 @@
+/**
+ * Chart drawing helpers for PDF reports
+ * Charts are drawn with PDFKit vector primitives so reports render without any external service
+ */
+
+const AXIS_COLOR = '#9ca3af';
+const GRID_COLOR = '#e5e7eb';
+const LABEL_COLOR = '#4b5563';
+
+/**
+ * Draw a chart title and return the top of the plot area
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} title - Chart title
+ * @param {Object} box - { x, y, width }
+ * @returns {number} Y coordinate below the title
+ */
+function drawTitle(doc, title, { x, y, width }) {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827')
+    .text(title, x, y, { width, lineBreak: false });
+  return y + 18;
+}
+
+/**
+ * Draw horizontal grid lines with value labels on the left
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} plot - { x, y, width, height }
+ * @param {Object} scale - { min, max, ticks }
+ * @param {Function} toY - Maps a value to a Y coordinate
+ */
+function drawGrid(doc, plot, { min, max, ticks }, toY) {
+  doc.font('Helvetica').fontSize(7);
+
+  for (let i = 0; i <= ticks; i++) {
+    const value = min + ((max - min) * i) / ticks;
+    const y = toY(value);
+
+    doc.moveTo(plot.x, y).lineTo(plot.x + plot.width, y)
+      .lineWidth(0.5).strokeColor(i === 0 ? AXIS_COLOR : GRID_COLOR).stroke();
+
+    doc.fillColor(LABEL_COLOR)
+      .text(Number.isInteger(value) ? String(value) : value.toFixed(1), plot.x - 26, y - 3, { width: 22, align: 'right' });
+  }
+}
+
+/**
+ * Draw a legend row under a chart
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Array} series - [{ label, color }]
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ */
+function drawLegend(doc, series, x, y) {
+  let offset = x;
+  doc.font('Helvetica').fontSize(8);
+
+  series.forEach(({ label, color }) => {
+    doc.rect(offset, y + 1, 8, 8).fill(color);
+    doc.fillColor(LABEL_COLOR).text(label, offset + 12, y, { lineBreak: false });
+    offset += 12 + doc.widthOfString(label) + 16;
+  });
+}
+
+/**
+ * Draw a line chart of one or more series over shared X labels
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} chart - { x, y, width, height, title, labels, series: [{ label, color, values }], min, max, ticks }
+ * @returns {number} Y coordinate below the chart
+ */
+function drawLineChart(doc, { x, y, width, height, title, labels, series, min, max, ticks = 4 }) {
+  const plotTop = drawTitle(doc, title, { x, y, width });
+  const plot = { x: x + 30, y: plotTop, width: width - 30, height };
+  const toY = (value) => plot.y + plot.height - ((value - min) / (max - min)) * plot.height;
+  const toX = (index) => labels.length === 1
+    ? plot.x + plot.width / 2
+    : plot.x + (index / (labels.length - 1)) * plot.width;
+
+  drawGrid(doc, plot, { min, max, ticks }, toY);
+
+  series.forEach(({ color, values }) => {
+    const points = values.map((value, index) => [toX(index), toY(Math.min(max, Math.max(min, value)))]);
+
+    if (points.length > 1) {
+      doc.moveTo(...points[0]);
+      points.slice(1).forEach(point => doc.lineTo(...point));
+      doc.lineWidth(1.5).strokeColor(color).stroke();
+    }
+
+    if (points.length <= 31) {
+      points.forEach(point => doc.circle(...point, 1.8).fill(color));
+    }
+  });
+
+  // Keep X labels readable however long the period is
+  const step = Math.max(1, Math.ceil(labels.length / 8));
+  doc.font('Helvetica').fontSize(7).fillColor(LABEL_COLOR);
+  labels.forEach((label, index) => {
+    const isLast = index === labels.length - 1;
+    if (isLast || (index % step === 0 && labels.length - 1 - index >= step / 2)) {
+      doc.text(label, toX(index) - 25, plot.y + plot.height + 4, { width: 50, align: 'center', lineBreak: false });
+    }
+  });
+
+  const legendY = plot.y + plot.height + 16;
+  drawLegend(doc, series, plot.x, legendY);
+
+  return legendY + 20;
+}
+
+/**
+ * Draw a vertical bar chart
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} chart - { x, y, width, height, title, labels, values, color }
+ * @returns {number} Y coordinate below the chart
+ */
+function drawBarChart(doc, { x, y, width, height, title, labels, values, color }) {
+  const plotTop = drawTitle(doc, title, { x, y, width });
+  const plot = { x: x + 30, y: plotTop, width: width - 30, height };
+  const highest = Math.max(...values, 0);
+  const ticks = Math.min(4, Math.max(1, highest));
+  const max = Math.max(ticks, Math.ceil(highest / ticks) * ticks);
+  const toY = (value) => plot.y + plot.height - (value / max) * plot.height;
+
+  drawGrid(doc, plot, { min: 0, max, ticks }, toY);
+
+  const slot = plot.width / values.length;
+  const barWidth = slot * 0.6;
+
+  values.forEach((value, index) => {
+    const barX = plot.x + slot * index + (slot - barWidth) / 2;
+    const barY = toY(value);
+
+    if (value > 0) {
+      doc.rect(barX, barY, barWidth, plot.y + plot.height - barY).fill(color);
+    }
+
+    doc.font('Helvetica').fontSize(7).fillColor(LABEL_COLOR)
+      .text(labels[index], plot.x + slot * index, plot.y + plot.height + 4, { width: slot, align: 'center', lineBreak: false });
+  });
+
+  return plot.y + plot.height + 20;
+}
+
+module.exports = {
+  drawLineChart,
+  drawBarChart
+};
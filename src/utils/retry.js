@@ -0,0 +1,72 @@
+/**
+ * Retry helpers for outbound HTTP calls
+ * Used by integrations that deliver to third-party endpoints (Slack, webhooks)
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff delay with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelayMs - Delay for the first retry
+ * @param {number} maxDelayMs - Upper bound for any delay
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelayMs = 500, maxDelayMs = 30000) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Decide whether an axios error is worth retrying
+ * Network errors, timeouts, 429 and 5xx responses are transient; other 4xx are not
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableHttpError(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff
+ * @param {Function} operation - Async function receiving the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt (default 3)
+ * @param {number} options.baseDelayMs - Delay before the first retry (default 500)
+ * @param {number} options.maxDelayMs - Maximum delay between attempts (default 30000)
+ * @param {Function} options.shouldRetry - Returns false for permanent failures
+ * @returns {Promise<*>} Operation result
+ */
+async function withRetry(operation, {
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  shouldRetry = isRetryableHttpError
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      // Respect Retry-After from rate-limited endpoints
+      const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+      const delay = retryAfter > 0
+        ? Math.min(retryAfter * 1000, maxDelayMs)
+        : getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  getBackoffDelay,
+  isRetryableHttpError,
+  withRetry
+};
@@ -0,0 +1,214 @@
+/**
+ * Timezone helpers built on Intl.DateTimeFormat
+ * Used by schedulers that need to act on a team's or user's local wall-clock time,
+ * and by analytics that bucket check-ins by the team's local calendar
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name (e.g. Europe/Berlin)
+ * @returns {boolean} True if the runtime recognises the zone
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the local calendar/clock parts of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } (weekday 0 = Sunday)
+ */
+function getZonedParts(date, timeZone = 'UTC') {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Pick the first valid timezone, e.g. an explicit override, then the team's, then the user's
+ * @param {...string} candidates - Timezone names in order of preference (missing values are skipped)
+ * @returns {string} IANA timezone name, DEFAULT_TIMEZONE if none is valid
+ */
+function resolveTimezone(...candidates) {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the local date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date|string} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Local date string
+ */
+function getZonedDateString(date, timeZone = 'UTC') {
+  const { year, month, day } = getZonedParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the local calendar bucket an instant falls into
+ * Weeks start on Monday; buckets are identified by the local date they start on,
+ * and hours by the local date and hour (YYYY-MM-DDTHH:00)
+ * @param {Date|string} date - Instant to bucket
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} granularity - hour, day, week or month
+ * @returns {string} Local start of the bucket
+ */
+function getZonedBucketStart(date, timeZone = 'UTC', granularity = 'day') {
+  const { year, month, day, hour, weekday } = getZonedParts(new Date(date), timeZone);
+  let start;
+
+  if (granularity === 'hour') {
+    return `${new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0]}T${String(hour).padStart(2, '0')}:00`;
+  } else if (granularity === 'month') {
+    start = new Date(Date.UTC(year, month - 1, 1));
+  } else if (granularity === 'week') {
+    start = new Date(Date.UTC(year, month - 1, day - ((weekday + 6) % 7)));
+  } else {
+    start = new Date(Date.UTC(year, month - 1, day));
+  }
+
+  return start.toISOString().split('T')[0];
+}
+
+/**
+ * Get the local time (HH:MM) of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Local time string
+ */
+function getZonedTimeString(date, timeZone = 'UTC') {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Get the offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timeZone = 'UTC') {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Get the UTC instant at which the local day containing `date` starts
+ * @param {Date} date - Instant inside the day
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Start of the local day
+ */
+function getZonedDayStart(date, timeZone = 'UTC') {
+  return getZonedDateStart(getZonedDateString(date, timeZone), timeZone);
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} dateString - Candidate date
+ * @returns {boolean} True if valid
+ */
+function isValidDateString(dateString) {
+  if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    return false;
+  }
+
+  const parsed = new Date(`${dateString}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(dateString);
+}
+
+/**
+ * Get the UTC instant at which a local calendar date starts
+ * Throws on anything but a YYYY-MM-DD date rather than guessing at timestamps or partial dates
+ * @param {string} dateString - Local date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Start of the local date
+ */
+function getZonedDateStart(dateString, timeZone = 'UTC') {
+  if (!isValidDateString(dateString)) {
+    throw new Error(`Invalid local date: ${dateString}`);
+  }
+
+  const [year, month, day] = dateString.split('-').map(Number);
+  const midnightAsUTC = Date.UTC(year, month - 1, day);
+
+  // Resolve the offset twice so days starting right after a DST switch land correctly
+  let start = new Date(midnightAsUTC - getTimezoneOffset(new Date(midnightAsUTC), timeZone));
+  start = new Date(midnightAsUTC - getTimezoneOffset(start, timeZone));
+
+  return start;
+}
+
+/**
+ * Get the UTC bounds of a local calendar date
+ * Throws on anything but a YYYY-MM-DD date, like getZonedDateStart
+ * @param {string} dateString - Local date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { start, end } where end is the start of the next local date
+ */
+function getZonedDateBounds(dateString, timeZone = 'UTC') {
+  const start = getZonedDateStart(dateString, timeZone);
+  const nextDate = new Date(Date.parse(`${dateString}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  return {
+    start,
+    end: getZonedDateStart(nextDate, timeZone)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isValidDateString,
+  resolveTimezone,
+  getZonedParts,
+  getZonedDateString,
+  getZonedBucketStart,
+  getZonedTimeString,
+  getTimezoneOffset,
+  getZonedDayStart,
+  getZonedDateStart,
+  getZonedDateBounds
+};
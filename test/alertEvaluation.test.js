@@ -0,0 +1,51 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const alertService = require('../src/services/alertService');
+
+const SECOND = 1000;
+
+describe('alertService.scheduleEvaluation', () => {
+  let evaluate;
+  const { evaluationDebounceMs, evaluationMaxWaitMs } = alertService;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    alertService.evaluationDebounceMs = 10 * SECOND;
+    alertService.evaluationMaxWaitMs = 30 * SECOND;
+    evaluate = mock.method(alertService, 'evaluateTeam', async () => ({ alerts: [] }));
+  });
+
+  afterEach(() => {
+    alertService.cancelPendingEvaluations();
+    alertService.evaluationDebounceMs = evaluationDebounceMs;
+    alertService.evaluationMaxWaitMs = evaluationMaxWaitMs;
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('evaluates a burst of check-ins once, after it settles', () => {
+    alertService.scheduleEvaluation('team-1');
+    mock.timers.tick(5 * SECOND);
+    alertService.scheduleEvaluation('team-1');
+    mock.timers.tick(9 * SECOND);
+    assert.equal(evaluate.mock.callCount(), 0);
+
+    mock.timers.tick(SECOND);
+    assert.equal(evaluate.mock.callCount(), 1);
+  });
+
+  it('still evaluates a steady stream of check-ins once the first has waited the max wait', () => {
+    for (let elapsed = 0; elapsed < 30 * SECOND; elapsed += 5 * SECOND) {
+      alertService.scheduleEvaluation('team-1');
+      mock.timers.tick(5 * SECOND);
+    }
+
+    assert.equal(evaluate.mock.callCount(), 1);
+    assert.equal(alertService.pendingEvaluations.size, 0);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const alertService = require('../src/services/alertService');
+
+const now = new Date('2026-03-10T12:00:00Z');
+
+describe('alertService.getAlertStatus', () => {
+  it('treats alerts from before the lifecycle as open or acknowledged', () => {
+    assert.equal(alertService.getAlertStatus({ metadata: {} }, now), 'open');
+    assert.equal(alertService.getAlertStatus({ metadata: null }, now), 'open');
+    assert.equal(alertService.getAlertStatus({ metadata: { acknowledged: { at: '2026-03-01' } } }, now), 'acknowledged');
+  });
+
+  it('keeps a snooze until it ends, then falls back', () => {
+    const snoozed = { metadata: { status: 'snoozed', snoozed_until: '2026-03-11T00:00:00Z' } };
+    const expired = { metadata: { status: 'snoozed', snoozed_until: '2026-03-09T00:00:00Z' } };
+
+    assert.equal(alertService.getAlertStatus(snoozed, now), 'snoozed');
+    assert.equal(alertService.getAlertStatus(expired, now), 'open');
+  });
+});
+
+describe('alertService.canTransition', () => {
+  it('follows the open -> acknowledged -> resolved lifecycle', () => {
+    const open = { metadata: { status: 'open' } };
+    const resolved = { metadata: { status: 'resolved' } };
+
+    assert.equal(alertService.canTransition(open, 'acknowledge'), true);
+    assert.equal(alertService.canTransition({ metadata: { status: 'acknowledged' } }, 'acknowledge'), false);
+    assert.equal(alertService.canTransition(resolved, 'snooze'), false);
+    assert.equal(alertService.canTransition(open, 'unknown'), false);
+  });
+});
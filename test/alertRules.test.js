@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const alertService = require('../src/services/alertService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('alertService.fromStoredRule', () => {
+  it('gives custom rules saved without cooldown_minutes a 24 hour cooldown', () => {
+    const rule = alertService.fromStoredRule({
+      id: 'rule-1',
+      name: 'quiet_team',
+      conditions: [{ metric: 'total_checkins', comparator: 'lt', threshold: 3 }],
+      title: 'Quiet team',
+      severity: 'warning',
+      cooldown_minutes: null
+    });
+
+    assert.equal(rule.source, 'custom');
+    assert.equal(rule.cooldown, DAY_MS);
+  });
+
+  it('keeps the built-in cooldown for overrides that leave it unset', () => {
+    const rule = alertService.fromStoredRule({ id: 'rule-2', name: 'low_participation', severity: 'critical' });
+
+    assert.equal(rule.source, 'override');
+    assert.equal(rule.severity, 'critical');
+    assert.equal(rule.cooldown, 48 * 60 * 60 * 1000);
+  });
+
+  it('uses cooldown_minutes when set', () => {
+    const rule = alertService.fromStoredRule({ id: 'rule-3', name: 'critical_mood_drop', cooldown_minutes: 90 });
+    assert.equal(rule.cooldown, 90 * 60 * 1000);
+  });
+});
+
+describe('alertService.compileRule', () => {
+  it('requires every condition and the trend to hold', () => {
+    const rule = alertService.compileRule({
+      name: 'sinking',
+      conditions: [{ metric: 'average_sentiment', comparator: 'lt', threshold: -0.3 }],
+      trend: { metric: 'avg_sentiment', direction: 'declining' }
+    });
+
+    const declining = [{ avg_sentiment: -0.2 }, { avg_sentiment: -0.4 }, { avg_sentiment: -0.5 }];
+    const recovering = [{ avg_sentiment: -0.6 }, { avg_sentiment: -0.5 }, { avg_sentiment: -0.4 }];
+
+    assert.equal(rule.condition({ average_sentiment: -0.4, sentiment_trend: declining }), true);
+    assert.equal(rule.condition({ average_sentiment: -0.4, sentiment_trend: recovering }), false);
+    assert.equal(rule.condition({ average_sentiment: 0.1, sentiment_trend: declining }), false);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateAnalytics,
+  compareAnalytics,
+  getComparisonRange,
+  resolveAnalyticsRange,
+  validateAnalyticsRange,
+  getAnalyticsCacheKey
+} = require('../src/utils/analytics');
+
+const now = new Date('2026-03-10T12:00:00Z');
+
+describe('resolveAnalyticsRange', () => {
+  it('measures relative periods back from now', () => {
+    assert.deepEqual(resolveAnalyticsRange({ period: '7d' }, now), {
+      period: '7d',
+      from: '2026-03-03T12:00:00.000Z',
+      to: '2026-03-10T12:00:00.000Z'
+    });
+  });
+
+  it('lets an explicit range win over the period', () => {
+    assert.deepEqual(resolveAnalyticsRange({ period: '7d', from: '2026-01-01T00:00:00Z', to: '2026-02-01T00:00:00Z' }, now), {
+      period: 'custom',
+      from: '2026-01-01T00:00:00.000Z',
+      to: '2026-02-01T00:00:00.000Z'
+    });
+  });
+
+  it('fills a missing end with now and a missing start with the period length', () => {
+    assert.equal(resolveAnalyticsRange({ from: '2026-03-01T00:00:00Z' }, now).to, now.toISOString());
+    assert.equal(resolveAnalyticsRange({ period: '24h', to: '2026-03-05T00:00:00Z' }, now).from, '2026-03-04T00:00:00.000Z');
+  });
+});
+
+describe('validateAnalyticsRange', () => {
+  it('rejects reversed, overlong and overly fine ranges', () => {
+    assert.equal(validateAnalyticsRange({ from: '2026-03-10T00:00:00Z', to: '2026-03-01T00:00:00Z' }), 'from must be before to');
+    assert.match(validateAnalyticsRange({ from: '2024-01-01T00:00:00Z', to: '2026-01-01T00:00:00Z' }), /cannot exceed 366 days/);
+    assert.match(validateAnalyticsRange({ from: '2026-01-01T00:00:00Z', to: '2026-03-01T00:00:00Z' }, 'hour'), /Hourly granularity/);
+  });
+
+  it('accepts usable ranges', () => {
+    assert.equal(validateAnalyticsRange({ from: '2026-01-01T00:00:00Z', to: '2026-03-01T00:00:00Z' }, 'week'), null);
+  });
+});
+
+describe('getAnalyticsCacheKey', () => {
+  const params = { includeAnonymous: true, granularity: 'day', timezone: 'UTC' };
+
+  it('keys relative periods by name so invalidation patterns match', () => {
+    assert.equal(getAnalyticsCacheKey('team-1', { ...params, period: '7d' }), 'analytics:team-1:7d:true:day:UTC:none');
+  });
+
+  it('keys custom ranges by their bounds and comparison', () => {
+    assert.equal(
+      getAnalyticsCacheKey('team-1', { ...params, period: 'custom', from: 'a', to: 'b', compare: 'previous_period' }),
+      'analytics:team-1:range:a:b:true:day:UTC:previous_period'
+    );
+  });
+});
+
+describe('calculateAnalytics', () => {
+  const members = [{ user_id: 'u1' }, { user_id: 'u2' }, { user_id: 'u3' }, { user_id: 'u4' }];
+  const checkIns = [
+    { created_at: '2026-03-09T23:30:00Z', mood_score: 2, energy_level: 3, sentiment_score: -0.5, sentiment_label: 'NEGATIVE', user_id: 'u1' },
+    { created_at: '2026-03-10T08:00:00Z', mood_score: 4, energy_level: 3, sentiment_score: 0.5, sentiment_label: 'POSITIVE', user_id: 'u2' },
+    { created_at: '2026-03-10T09:00:00Z', mood_score: 3, energy_level: 3, sentiment_score: null, sentiment_label: null, is_anonymous: true }
+  ];
+
+  it('aggregates averages, distributions and participation', () => {
+    const analytics = calculateAnalytics(checkIns, members, '7d');
+
+    assert.equal(analytics.total_checkins, 3);
+    assert.equal(analytics.average_mood, 3);
+    assert.equal(analytics.mood_stddev, 1);
+    assert.equal(analytics.energy_stddev, 0);
+    assert.deepEqual(analytics.sentiment_distribution, { POSITIVE: 1, NEUTRAL: 0, NEGATIVE: 1 });
+    // The anonymous check-in does not count towards participation
+    assert.equal(analytics.unique_participants, 2);
+    assert.equal(analytics.participation_rate, 0.5);
+  });
+
+  it('buckets the trend by the local calendar and granularity', () => {
+    const utc = calculateAnalytics(checkIns, members, '7d', { timezone: 'UTC' });
+    assert.deepEqual(utc.sentiment_trend.map(day => [day.date, day.count]), [['2026-03-09', 1], ['2026-03-10', 2]]);
+
+    const berlin = calculateAnalytics(checkIns, members, '7d', { timezone: 'Europe/Berlin' });
+    assert.deepEqual(berlin.sentiment_trend.map(day => [day.date, day.count]), [['2026-03-10', 3]]);
+
+    const hourly = calculateAnalytics(checkIns, members, '24h', { timezone: 'UTC', granularity: 'hour' });
+    assert.deepEqual(hourly.sentiment_trend.map(bucket => bucket.date), ['2026-03-09T23:00', '2026-03-10T08:00', '2026-03-10T09:00']);
+  });
+
+  it('returns empty analytics with the range and timezone when there are no check-ins', () => {
+    const range = { from: '2026-03-01T00:00:00.000Z', to: '2026-03-02T00:00:00.000Z' };
+    const analytics = calculateAnalytics([], members, 'custom', { timezone: 'Nowhere/Else', range });
+
+    assert.equal(analytics.total_checkins, 0);
+    assert.equal(analytics.timezone, 'UTC');
+    assert.equal(analytics.from, range.from);
+  });
+});
+
+describe('getComparisonRange', () => {
+  const range = { from: '2026-03-03T12:00:00.000Z', to: '2026-03-10T12:00:00.000Z' };
+
+  it('uses the window of the same length just before the range', () => {
+    assert.deepEqual(getComparisonRange(range, 'previous_period'), {
+      from: '2026-02-24T12:00:00.000Z',
+      to: '2026-03-03T12:00:00.000Z'
+    });
+  });
+
+  it('shifts the range back a year', () => {
+    assert.deepEqual(getComparisonRange(range, 'same_period_last_year'), {
+      from: '2025-03-03T12:00:00.000Z',
+      to: '2025-03-10T12:00:00.000Z'
+    });
+  });
+});
+
+describe('compareAnalytics', () => {
+  const summary = (overrides) => ({
+    total_checkins: 40,
+    unique_participants: 8,
+    participation_rate: 0.8,
+    average_mood: 3.5,
+    average_energy: 3,
+    average_sentiment: 0.1,
+    mood_stddev: 0.5,
+    energy_stddev: 0.8,
+    sentiment_stddev: 0.3,
+    mood_distribution: { 1: 0, 2: 0, 3: 20, 4: 20, 5: 0 },
+    energy_distribution: { 1: 0, 2: 10, 3: 20, 4: 10, 5: 0 },
+    sentiment_distribution: { POSITIVE: 10, NEUTRAL: 25, NEGATIVE: 5 },
+    ...overrides
+  });
+
+  it('reports deltas and flags differences well beyond the noise', () => {
+    const comparison = compareAnalytics(summary({ average_mood: 3 }), summary(), 'previous_period', 10);
+
+    assert.equal(comparison.compare, 'previous_period');
+    assert.deepEqual(
+      { ...comparison.deltas.average_mood },
+      { current: 3, baseline: 3.5, delta: -0.5, percent_change: -14.3, significance: 'significant' }
+    );
+    assert.equal(comparison.deltas.average_energy.significance, 'not_significant');
+  });
+
+  it('compares distribution shares as well as counts', () => {
+    const comparison = compareAnalytics(
+      summary({ sentiment_distribution: { POSITIVE: 20, NEUTRAL: 15, NEGATIVE: 5 } }),
+      summary({ total_checkins: 80, sentiment_distribution: { POSITIVE: 20, NEUTRAL: 50, NEGATIVE: 10 } }),
+      'previous_period',
+      10
+    );
+    const positive = comparison.deltas.sentiment_distribution.POSITIVE;
+
+    assert.equal(positive.delta, 0);
+    assert.equal(positive.current_share, 50);
+    assert.equal(positive.baseline_share, 25);
+    assert.equal(positive.significance, 'significant');
+  });
+
+  it('reports insufficient data for small samples', () => {
+    const comparison = compareAnalytics(summary({ total_checkins: 5, average_mood: 1 }), summary(), 'previous_period', 10);
+    assert.equal(comparison.deltas.average_mood.significance, 'insufficient_data');
+  });
+
+  it('leaves the percent change out for a zero baseline', () => {
+    const comparison = compareAnalytics(summary(), summary({ average_sentiment: 0 }), 'previous_period', 10);
+    assert.equal(comparison.deltas.average_sentiment.percent_change, null);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const { buildDailySeries, detectAnomalies, detectLatestAnomalies } = require('../src/utils/anomalyDetection');
+const supabase = require('../config/supabase');
+const alertService = require('../src/services/alertService');
+const { createFakeSupabase, filterValue } = require('./helpers/fakeSupabase');
+
+const members = ['u1', 'u2', 'u3', 'u4'].map(user_id => ({ user_id }));
+
+/**
+ * One local day of check-ins from the given members, all with the same mood
+ * @param {string} date - UTC date (YYYY-MM-DD)
+ * @param {number} mood - Mood score of every check-in
+ * @param {Array} users - Users checking in
+ * @returns {Array} Check-ins
+ */
+const day = (date, mood, users = ['u1', 'u2', 'u3', 'u4']) => users.map((user_id, index) => ({
+  created_at: `${date}T1${index}:00:00Z`,
+  user_id,
+  mood_score: mood,
+  energy_level: 3,
+  sentiment_score: 0.2
+}));
+
+// Three weeks of steady days, 2026-02-01 to 2026-02-21
+const steadyDates = Array.from({ length: 21 }, (_, index) => `2026-02-${String(index + 1).padStart(2, '0')}`);
+const steady = steadyDates.flatMap((date, index) => day(date, index % 2 ? 4 : 3));
+
+describe('buildDailySeries', () => {
+  it('aggregates one row per local day and skips anonymous users for participation', () => {
+    const series = buildDailySeries([
+      ...day('2026-03-01', 4, ['u1', 'u2']),
+      { created_at: '2026-03-01T23:30:00Z', mood_score: 2, energy_level: 2, sentiment_score: null, is_anonymous: true }
+    ], members, 'UTC');
+
+    assert.deepEqual(series, [{
+      date: '2026-03-01',
+      check_ins: 3,
+      average_mood: 3.33,
+      average_energy: 2.67,
+      average_sentiment: 0.2,
+      participation_rate: 0.5
+    }]);
+  });
+
+  it('cuts days in the team timezone', () => {
+    const series = buildDailySeries(day('2026-03-01', 4, ['u1']), members, 'Pacific/Auckland');
+    assert.equal(series[0].date, '2026-03-01');
+
+    const late = buildDailySeries([{ ...day('2026-03-01', 4, ['u1'])[0], created_at: '2026-03-01T13:00:00Z' }], members, 'Pacific/Auckland');
+    assert.equal(late[0].date, '2026-03-02');
+  });
+});
+
+describe('detectAnomalies', () => {
+  it('flags a day far outside the baseline with its direction and z-score', () => {
+    const anomalies = detectAnomalies(buildDailySeries([...steady, ...day('2026-02-22', 1)], members, 'UTC'));
+
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].date, '2026-02-22');
+    assert.equal(anomalies[0].metric, 'average_mood');
+    assert.equal(anomalies[0].direction, 'drop');
+    assert.ok(anomalies[0].z_score <= -3);
+    assert.equal(anomalies[0].baseline.days, 21);
+  });
+
+  it('needs enough baseline days before scoring', () => {
+    const series = buildDailySeries([...steady.slice(0, 4 * 5), ...day('2026-02-06', 1)], members, 'UTC');
+    assert.deepEqual(detectAnomalies(series), []);
+  });
+
+  it('ignores days with too few check-ins', () => {
+    const series = buildDailySeries([...steady, ...day('2026-02-22', 1, ['u1', 'u2'])], members, 'UTC');
+    assert.deepEqual(detectAnomalies(series), []);
+  });
+});
+
+describe('detectLatestAnomalies', () => {
+  it('scores only the most recent day with enough check-ins', () => {
+    const series = buildDailySeries([
+      ...steady,
+      ...day('2026-02-22', 1),
+      ...day('2026-02-23', 3, ['u1'])
+    ], members, 'UTC');
+
+    const anomalies = detectLatestAnomalies(series);
+    assert.deepEqual(anomalies.map(anomaly => anomaly.date), ['2026-02-22']);
+  });
+});
+
+describe('alertService.detectRecentAnomalies', () => {
+  it('does not score today while the team is still checking in', () => {
+    // Three of four members have checked in by mid-morning; a complete day would be steady
+    const now = new Date('2026-02-22T13:00:00Z');
+    const partial = day('2026-02-22', 4, ['u1', 'u2', 'u3']);
+    const partialParticipation = detectLatestAnomalies(buildDailySeries([...steady, ...partial], members, 'UTC'), { zThreshold: 3 });
+
+    assert.ok(partialParticipation.some(anomaly => anomaly.metric === 'participation_rate'));
+    assert.deepEqual(alertService.detectRecentAnomalies([...steady, ...partial], members, 'UTC', now), []);
+  });
+
+  it('scores yesterday once it is complete', () => {
+    const now = new Date('2026-02-23T09:00:00Z');
+    const anomalies = alertService.detectRecentAnomalies([...steady, ...day('2026-02-22', 1)], members, 'UTC', now);
+
+    assert.deepEqual(anomalies.map(anomaly => [anomaly.date, anomaly.metric]), [['2026-02-22', 'average_mood']]);
+  });
+
+  it('leaves older days alone', () => {
+    const now = new Date('2026-02-24T09:00:00Z');
+    assert.deepEqual(alertService.detectRecentAnomalies([...steady, ...day('2026-02-22', 1)], members, 'UTC', now), []);
+  });
+});
+
+describe('alertService.evaluateAlerts anomalies', () => {
+  const anomaly = (date) => ({
+    date,
+    metric: 'average_mood',
+    direction: 'drop',
+    value: 1,
+    z_score: -4,
+    baseline: { mean: 3.5, stddev: 0.5, days: 14 }
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('alerts on each anomalous day once, so a two-day slump raises two alerts', async () => {
+    // An alert was already raised for the first day of the slump
+    const raised = [{ date: '2026-02-22', metric: 'average_mood' }];
+    const fake = createFakeSupabase({
+      team_insights: (query) => {
+        const { anomaly: { date, metric } } = filterValue(query, 'contains', 'metadata');
+        return { data: raised.filter(alert => alert.date === date && alert.metric === metric), error: null };
+      }
+    });
+    mock.method(supabase, 'from', fake.from);
+    mock.method(alertService, 'getTeamRules', async () => []);
+    const create = mock.method(alertService, 'createAlert', async (teamId, rule, teamData, details) => ({
+      priority: rule.priority,
+      date: details.anomaly.date
+    }));
+
+    const alerts = await alertService.evaluateAlerts('team-1', {}, [anomaly('2026-02-22'), anomaly('2026-02-23')]);
+
+    assert.deepEqual(alerts.map(alert => alert.date), ['2026-02-23']);
+    assert.equal(create.mock.callCount(), 1);
+  });
+});
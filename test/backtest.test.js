@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const supabase = require('../config/supabase');
+const alertService = require('../src/services/alertService');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+// One low-mood check-in a day at noon UTC through March 2026
+const checkIns = Array.from({ length: 31 }, (_, index) => ({
+  team_id: 'team-1',
+  user_id: 'user-1',
+  mood_score: 1,
+  energy_level: 2,
+  sentiment_score: -0.6,
+  sentiment_label: 'NEGATIVE',
+  created_at: new Date(Date.UTC(2026, 2, 1 + index, 12)).toISOString()
+}));
+
+describe('alertService check-in history', () => {
+  let fake;
+  const { historyPageSize } = alertService;
+
+  beforeEach(() => {
+    // Serve pages the way PostgREST does, at most historyPageSize rows per request
+    fake = createFakeSupabase({
+      check_ins: (query) => {
+        const [, from, to] = query.calls.find(([method]) => method === 'range');
+        const gte = query.calls.find(([method]) => method === 'gte')[2];
+        const lt = query.calls.find(([method]) => method === 'lt')?.[2];
+        const rows = checkIns.filter(row => row.created_at >= gte && (!lt || row.created_at < lt));
+        return { data: rows.slice(from, to + 1), error: null };
+      },
+      team_members: () => ({ data: [{ user_id: 'user-1' }], error: null })
+    });
+    mock.method(supabase, 'from', fake.from);
+    mock.method(alertService, 'getTeamTimezone', async () => 'UTC');
+    alertService.historyPageSize = 4;
+  });
+
+  afterEach(() => {
+    alertService.historyPageSize = historyPageSize;
+    mock.restoreAll();
+  });
+
+  it('pages through the whole window instead of stopping at the row cap', async () => {
+    const history = await alertService.getCheckInHistory('team-1', '2026-03-01T00:00:00.000Z', '2026-03-11T00:00:00.000Z');
+
+    assert.equal(history.length, 10);
+    assert.equal(history[9].created_at, '2026-03-10T12:00:00.000Z');
+    assert.equal(fake.queries.filter(query => query.table === 'check_ins').length, 3);
+  });
+
+  it('replays every check-in of the backtest range, including the newest days', async () => {
+    const rule = alertService.compileRule({
+      name: 'low_mood',
+      conditions: [{ metric: 'average_mood', comparator: 'lt', threshold: 2 }],
+      severity: 'warning'
+    });
+    rule.cooldown = 0;
+
+    const report = await alertService.backtestRules('team-1', [rule], {
+      from: '2026-03-08T00:00:00.000Z',
+      to: '2026-03-29T00:00:00.000Z'
+    });
+
+    // 7 days of window before the range plus the 21 days in it
+    assert.equal(report.checkins_replayed, 28);
+    assert.equal(report.days_evaluated, 21);
+  });
+});
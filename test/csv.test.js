@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCSVField, formatCSVRow, toISOTimestamp } = require('../src/utils/csv');
+
+describe('formatCSVField', () => {
+  it('leaves plain values unquoted', () => {
+    assert.equal(formatCSVField('happy'), 'happy');
+    assert.equal(formatCSVField(4), '4');
+    assert.equal(formatCSVField(false), 'false');
+    assert.equal(formatCSVField(null), '');
+    assert.equal(formatCSVField(undefined), '');
+  });
+
+  it('quotes commas, quotes and line breaks per RFC 4180', () => {
+    assert.equal(formatCSVField('tired, but ok'), '"tired, but ok"');
+    assert.equal(formatCSVField('she said "hi"'), '"she said ""hi"""');
+    assert.equal(formatCSVField('line one\nline two'), '"line one\nline two"');
+    assert.equal(formatCSVField('a\r\nb'), '"a\r\nb"');
+  });
+
+  it('neutralises text a spreadsheet would run as a formula', () => {
+    assert.equal(formatCSVField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.equal(formatCSVField('+1'), "'+1");
+    assert.equal(formatCSVField('-2'), "'-2");
+    assert.equal(formatCSVField('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(formatCSVField('\tcmd'), "'\tcmd");
+  });
+
+  it('keeps negative numbers numeric', () => {
+    assert.equal(formatCSVField(-0.5), '-0.5');
+  });
+
+  it('formats dates as ISO timestamps', () => {
+    assert.equal(formatCSVField(new Date('2026-03-10T09:00:00Z')), '2026-03-10T09:00:00.000Z');
+  });
+});
+
+describe('formatCSVRow', () => {
+  it('joins fields with commas and ends with CRLF', () => {
+    assert.equal(formatCSVRow(['a', 1, null, 'b,c']), 'a,1,,"b,c"\r\n');
+  });
+});
+
+describe('toISOTimestamp', () => {
+  it('normalises timestamps to UTC and keeps missing values null', () => {
+    assert.equal(toISOTimestamp('2026-03-10T10:00:00+01:00'), '2026-03-10T09:00:00.000Z');
+    assert.equal(toISOTimestamp(null), null);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const supabase = require('../config/supabase');
+const digestService = require('../src/services/digestService');
+const notificationService = require('../src/services/notificationService');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const item = (id, created_at, notification) => ({
+  id,
+  recipient_type: 'user',
+  user_id: 'user-1',
+  created_at,
+  notification: { type: 'team_alert', team_id: 'team-1', team_name: 'Platform', severity: 'warning', ...notification }
+});
+
+describe('digestService.getDigestBoundary', () => {
+  it('puts hourly boundaries on the hour', () => {
+    const boundary = digestService.getDigestBoundary({ frequency: 'hourly', timezone: 'UTC' }, new Date('2026-03-02T10:42:17.500Z'));
+    assert.equal(boundary.toISOString(), '2026-03-02T10:00:00.000Z');
+  });
+
+  it('puts daily boundaries at daily_at in the digest timezone', () => {
+    const digest = { frequency: 'daily', daily_at: '09:00', timezone: 'America/New_York' };
+
+    // 09:00 in New York is 14:00 UTC in March before DST starts
+    assert.equal(
+      digestService.getDigestBoundary(digest, new Date('2026-03-02T15:00:00Z')).toISOString(),
+      '2026-03-02T14:00:00.000Z'
+    );
+    assert.equal(
+      digestService.getDigestBoundary(digest, new Date('2026-03-02T13:00:00Z')).toISOString(),
+      '2026-03-01T14:00:00.000Z'
+    );
+  });
+
+  it('uses the profile timezone when the digest has none', () => {
+    const boundary = digestService.getDigestBoundary(
+      { frequency: 'daily', daily_at: '09:00' },
+      new Date('2026-03-02T12:00:00Z'),
+      'Asia/Tokyo'
+    );
+    assert.equal(boundary.toISOString(), '2026-03-02T00:00:00.000Z');
+  });
+});
+
+describe('digestService.buildDigest', () => {
+  it('groups items by team, keeps the latest metrics and takes the highest severity', () => {
+    const digest = digestService.buildDigest([
+      item('item-1', '2026-03-02T08:10:00Z', { title: 'Low mood', severity: 'info', metrics: { avg_mood: 2.5 } }),
+      item('item-2', '2026-03-02T08:20:00Z', { title: 'Low energy', metrics: { avg_mood: 2.2, participation_rate: 0.5 } }),
+      item('item-3', '2026-03-02T08:30:00Z', { title: 'Weekly summary', team_id: 'team-2', team_name: 'Data', severity: 'info' })
+    ], 'hourly', new Date('2026-03-02T09:00:00Z'));
+
+    assert.equal(digest.title, 'Hourly digest: 3 notifications from 2 teams');
+    assert.equal(digest.severity, 'warning');
+    assert.equal(digest.team_id, undefined);
+    assert.equal(digest.team_name, 'Platform, Data');
+    assert.deepEqual(digest.digest.teams.map(team => [team.team_id, team.items.length]), [['team-1', 2], ['team-2', 1]]);
+    assert.deepEqual(digest.digest.teams[0].metrics, { avg_mood: 2.2, participation_rate: 0.5 });
+    assert.equal(digest.digest.period_start, '2026-03-02T08:10:00Z');
+    assert.match(digest.content, /- \[WARNING\] Low energy/);
+    assert.match(digest.content, /participation 50%/);
+  });
+});
+
+describe('digestService.flushUserDigest', () => {
+  let fake;
+  let send;
+  const now = new Date('2026-03-02T10:05:00Z');
+  const recipient = (digest) => ({
+    user_id: 'user-1',
+    profiles: { email: 'ada@example.com', notification_preferences: { digest } }
+  });
+
+  beforeEach(() => {
+    fake = createFakeSupabase();
+    mock.method(supabase, 'from', fake.from);
+    send = mock.method(notificationService, 'sendUserNotification', async () => [{ success: true, method: 'email' }]);
+    mock.method(notificationService, 'logNotification', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('holds items until the cadence boundary has passed', async () => {
+    const sent = await digestService.flushUserDigest(
+      recipient({ frequency: 'hourly', timezone: 'UTC' }),
+      [item('item-1', '2026-03-02T10:01:00Z', { title: 'Low mood' })],
+      now
+    );
+
+    assert.equal(sent, false);
+    assert.equal(send.mock.callCount(), 0);
+    assert.equal(fake.queries.length, 0);
+  });
+
+  it('sends one digest and marks its items flushed once the boundary has passed', async () => {
+    const items = [
+      item('item-1', '2026-03-02T09:15:00Z', { title: 'Low mood' }),
+      item('item-2', '2026-03-02T10:01:00Z', { title: 'Low energy' })
+    ];
+
+    assert.equal(await digestService.flushUserDigest(recipient({ frequency: 'hourly', timezone: 'UTC' }), items, now), true);
+
+    assert.equal(send.mock.callCount(), 1);
+    assert.equal(send.mock.calls[0].arguments[1].type, 'digest');
+    const [flushed] = fake.queries;
+    assert.equal(flushed.table, 'notification_digest_items');
+    assert.deepEqual(flushed.payload, { flushed_at: now.toISOString() });
+    assert.deepEqual(flushed.calls.find(([method]) => method === 'in')[2], ['item-1', 'item-2']);
+  });
+
+  it('sends straight away to users who switched digests off', async () => {
+    const sent = await digestService.flushUserDigest(
+      recipient({ frequency: 'off' }),
+      [item('item-1', '2026-03-02T10:04:00Z', { title: 'Low mood' })],
+      now
+    );
+
+    assert.equal(sent, true);
+    assert.equal(send.mock.calls[0].arguments[1].digest.frequency, 'hourly');
+  });
+
+  it('keeps the items queued when every channel fails', async () => {
+    send.mock.mockImplementation(async () => [{ success: false, method: 'email', error: 'SMTP unavailable' }]);
+
+    await assert.rejects(
+      digestService.flushUserDigest(recipient({ frequency: 'off' }), [item('item-1', '2026-03-02T09:00:00Z', {})], now),
+      /SMTP unavailable/
+    );
+    assert.equal(fake.queries.length, 0);
+  });
+});
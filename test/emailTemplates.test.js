@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const notificationService = require('../src/services/notificationService');
+
+describe('notificationService.generateEmailTemplate', () => {
+  it('escapes the team name, title and content of alert and escalation emails', () => {
+    const html = notificationService.generateEmailTemplate({ profiles: { full_name: 'Ada' } }, {
+      type: 'alert_escalation',
+      team_name: '<img src=x onerror=alert(1)>',
+      title: 'Escalated: <script>steal()</script>',
+      content: 'Mood "dropped" & <b>stayed</b> low',
+      severity: 'critical',
+      priority: 1,
+      triggered_at: '2026-03-02T10:00:00Z'
+    });
+
+    assert.ok(!html.includes('<img src=x'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('<b>stayed</b>'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(html.includes('Escalated: &lt;script&gt;steal()&lt;/script&gt;'));
+    assert.ok(html.includes('Mood &quot;dropped&quot; &amp; &lt;b&gt;stayed&lt;/b&gt; low'));
+  });
+});
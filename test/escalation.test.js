@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const escalationService = require('../src/services/escalationService');
+
+const MINUTE = 60 * 1000;
+const triggeredAt = '2026-03-10T09:00:00.000Z';
+const policy = {
+  steps: [
+    { after_minutes: 30, recipients: ['managers'], channels: ['in_app'] },
+    { after_minutes: 120, recipients: ['managers', 'admins'], channels: ['email'] }
+  ],
+  repeat_interval_minutes: 60,
+  max_repeats: 2
+};
+
+describe('escalationService.getNextEscalation', () => {
+  it('schedules the steps from when the alert was triggered', () => {
+    const first = escalationService.getNextEscalation({ generated_at: triggeredAt, metadata: {} }, policy);
+    assert.equal(first.level, 1);
+    assert.equal(first.dueAt, Date.parse(triggeredAt) + 30 * MINUTE);
+
+    const second = escalationService.getNextEscalation({
+      generated_at: triggeredAt,
+      metadata: { escalation: { count: 1, last_escalated_at: '2026-03-10T09:30:00.000Z' } }
+    }, policy);
+    assert.equal(second.level, 2);
+    assert.equal(second.dueAt, Date.parse(triggeredAt) + 120 * MINUTE);
+  });
+
+  it('repeats the last step until max_repeats, then stops', () => {
+    const lastEscalatedAt = '2026-03-10T11:00:00.000Z';
+    const repeat = escalationService.getNextEscalation({
+      generated_at: triggeredAt,
+      metadata: { escalation: { count: 3, last_escalated_at: lastEscalatedAt } }
+    }, policy);
+    assert.equal(repeat.level, 4);
+    assert.equal(repeat.step, policy.steps[1]);
+    assert.equal(repeat.dueAt, Date.parse(lastEscalatedAt) + 60 * MINUTE);
+
+    const done = escalationService.getNextEscalation({
+      generated_at: triggeredAt,
+      metadata: { escalation: { count: 4, last_escalated_at: lastEscalatedAt } }
+    }, policy);
+    assert.equal(done, null);
+  });
+});
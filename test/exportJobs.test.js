@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const supabase = require('../config/supabase');
+const exportJobService = require('../src/services/exportJobService');
+const exportService = require('../src/services/exportService');
+const alertService = require('../src/services/alertService');
+const notificationService = require('../src/services/notificationService');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+describe('exportJobService.processQueue', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('runs queued jobs one after another and summarizes them', async () => {
+    const jobs = [{ id: 'job-1', team_id: 'team-1' }, { id: 'job-2', team_id: 'team-1' }];
+    mock.method(exportJobService, 'failStaleJobs', async () => 0);
+    mock.method(exportJobService, 'claimNextJob', async () => jobs.shift() || null);
+    mock.method(exportJobService, 'runJob', async (job) => {
+      if (job.id === 'job-2') throw new Error('Team not found');
+    });
+
+    assert.deepEqual(await exportJobService.processQueue(), {
+      completed: 1,
+      failed: 1,
+      recovered: 0,
+      errors: [{ job_id: 'job-2', team_id: 'team-1', error: 'Team not found' }]
+    });
+  });
+
+  it('keeps working after recovering stale jobs fails once', async () => {
+    mock.method(exportJobService, 'failStaleJobs', async () => {
+      throw new Error('Failed to recover stale exports: timeout');
+    });
+    await assert.rejects(exportJobService.processQueue(), /Failed to recover stale exports/);
+    assert.equal(exportJobService.processing, false);
+
+    mock.restoreAll();
+    mock.method(exportJobService, 'failStaleJobs', async () => 2);
+    mock.method(exportJobService, 'claimNextJob', async () => null);
+    assert.deepEqual(await exportJobService.processQueue(), { completed: 0, failed: 0, recovered: 2, errors: [] });
+  });
+
+  it('does nothing while a run is in progress', async () => {
+    exportJobService.processing = true;
+    try {
+      assert.equal(await exportJobService.processQueue(), null);
+    } finally {
+      exportJobService.processing = false;
+    }
+  });
+});
+
+describe('exportJobService.runJob', () => {
+  let fake;
+  const job = {
+    id: 'job-1',
+    team_id: 'team-1',
+    requested_by: 'user-1',
+    format: 'summary',
+    period: 'custom',
+    range_from: '2026-03-01T00:00:00.000Z',
+    range_to: '2026-03-31T00:00:00.000Z',
+    include_check_ins: true,
+    started_at: '2026-05-10T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    fake = createFakeSupabase({
+      teams: () => ({ data: { name: 'Platform', settings: { timezone: 'Europe/Berlin' } }, error: null }),
+      team_members: () => ({ data: [{ user_id: 'user-1' }], error: null }),
+      team_insights: () => ({ data: [], error: null }),
+      check_ins: () => ({ data: [], count: 0, error: null }),
+      export_jobs: () => ({ data: null, error: null })
+    });
+    mock.method(supabase, 'from', fake.from);
+    mock.method(exportService, 'recordExport', async () => ({ id: 'export-1' }));
+    mock.method(notificationService, 'sendExportNotification', async () => null);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('reports alerts for the export window rather than the last 30 days', async () => {
+    const getStats = mock.method(alertService, 'getAlertStatistics', async () => ({ total: 0 }));
+    const summarize = mock.method(exportService, 'generateExecutiveSummary', async (teamData, insights, alertStats, options) => {
+      assert.equal(options.period, '2026-03-01 to 2026-03-31');
+      assert.equal(teamData.timezone, 'Europe/Berlin');
+      return { recordCount: 0 };
+    });
+
+    assert.deepEqual(await exportJobService.runJob(job), { id: 'export-1' });
+
+    assert.equal(summarize.mock.callCount(), 1);
+    assert.deepEqual(getStats.mock.calls[0].arguments[2], {
+      period: 'custom',
+      from: job.range_from,
+      to: job.range_to
+    });
+
+    const completed = fake.queries.filter(query => query.table === 'export_jobs').pop();
+    assert.equal(completed.payload.status, 'completed');
+    assert.equal(completed.payload.export_id, 'export-1');
+  });
+
+  it('marks the job failed and tells the requester when the export fails', async () => {
+    mock.method(console, 'error', () => {});
+    const notify = notificationService.sendExportNotification;
+    mock.method(alertService, 'getAlertStatistics', async () => ({ total: 0 }));
+    mock.method(exportService, 'generateExecutiveSummary', async () => {
+      throw new Error('Disk full');
+    });
+
+    await assert.rejects(exportJobService.runJob(job), /Disk full/);
+
+    const failed = fake.queries.filter(query => query.table === 'export_jobs').pop();
+    assert.equal(failed.payload.status, 'failed');
+    assert.equal(failed.payload.error, 'Disk full');
+    assert.deepEqual(notify.mock.calls[0].arguments[1], { error: 'Disk full' });
+  });
+});
+
+describe('exportJobService.describeJob', () => {
+  it('only links a download once the job has completed', () => {
+    const queued = exportJobService.describeJob({ id: 'job-1', status: 'queued', format: 'csv', period: '7d' });
+    assert.equal(queued.download, null);
+    assert.equal(queued.layout, 'report');
+    assert.equal(queued.granularity, 'day');
+  });
+});
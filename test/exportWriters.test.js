@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const exportService = require('../src/services/exportService');
+
+const analytics = (granularity, sentimentTrend) => ({
+  timezone: 'Europe/Berlin',
+  granularity,
+  total_checkins: 4,
+  unique_participants: 2,
+  participation_rate: 0.5,
+  average_mood: 3.5,
+  average_energy: 3,
+  average_sentiment: 0.2,
+  mood_distribution: { 1: 0, 2: 1, 3: 1, 4: 1, 5: 1 },
+  energy_distribution: { 1: 0, 2: 2, 3: 0, 4: 2, 5: 0 },
+  sentiment_distribution: { POSITIVE: 2, NEUTRAL: 1, NEGATIVE: 1 },
+  sentiment_trend: sentimentTrend
+});
+
+const dailyTrend = [
+  { date: '2026-03-02', avg_mood: 3, avg_energy: 3, avg_sentiment: 0.1, count: 2 },
+  { date: '2026-03-03', avg_mood: 4, avg_energy: 3, avg_sentiment: 0.3, count: 2 }
+];
+
+const checkIns = [
+  {
+    created_at: '2026-03-02T08:30:00.000Z',
+    content: '=HYPERLINK("x")',
+    mood_score: 3,
+    energy_level: 2,
+    sentiment_score: 0.1,
+    sentiment_label: 'NEUTRAL',
+    is_anonymous: false,
+    profiles: { full_name: 'Ada' }
+  },
+  { created_at: '2026-03-03T09:00:00.000Z', content: 'Fine', mood_score: 4, energy_level: 4, is_anonymous: true }
+];
+
+// Check-in pages are async iterables in export jobs
+async function* pagesOf(...pages) {
+  yield* pages;
+}
+
+const readWorkbook = async (filepath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filepath);
+  return workbook;
+};
+
+describe('export writers', () => {
+  const exportDir = exportService.exportDir;
+
+  before(() => {
+    exportService.exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  });
+
+  after(() => {
+    fs.rmSync(exportService.exportDir, { recursive: true, force: true });
+    exportService.exportDir = exportDir;
+  });
+
+  describe('exportService.generateExecutiveSummaryPDF', () => {
+    it('writes a PDF with the trend charts', async () => {
+      const alertStats = { total: 2, by_severity: { critical: 1, warning: 1, info: 0 }, acknowledged: 1 };
+      const result = await exportService.generateExecutiveSummaryPDF(analytics('day', dailyTrend), [], alertStats, {
+        teamName: 'Platform Team',
+        period: '7d'
+      });
+
+      assert.match(result.filename, /^Platform_Team_executive_summary_.*\.pdf$/);
+      assert.equal(fs.readFileSync(result.filepath).subarray(0, 5).toString(), '%PDF-');
+      assert.equal(result.size, fs.statSync(result.filepath).size);
+    });
+
+    it('writes a PDF for a team without check-ins', async () => {
+      const empty = { ...analytics('day', []), total_checkins: 0, participation_rate: 0, unique_participants: 0 };
+      const result = await exportService.generateExecutiveSummaryPDF(empty, [], null, { teamName: 'Quiet' });
+      assert.ok(result.size > 0);
+    });
+  });
+
+  describe('exportService.writeXLSXReport', () => {
+    it('writes typed cells on one sheet per section and reports progress', async () => {
+      const progress = [];
+      const alerts = [{
+        generated_at: '2026-03-03T10:00:00.000Z',
+        severity: 'warning',
+        status: 'acknowledged',
+        title: 'Low mood',
+        metadata: { rule_name: 'low_mood', acknowledged: { at: '2026-03-03T11:00:00.000Z' } }
+      }];
+
+      const result = await exportService.writeXLSXReport(
+        analytics('day', dailyTrend),
+        pagesOf([checkIns[0]], [checkIns[1]]),
+        alerts,
+        { teamName: 'Platform', period: '7d' },
+        (count) => progress.push(count)
+      );
+
+      assert.equal(result.recordCount, 2);
+      assert.deepEqual(progress, [1, 2]);
+
+      const workbook = await readWorkbook(result.filepath);
+      assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), [
+        'Summary', 'Mood Distribution', 'Energy Distribution', 'Sentiment Distribution',
+        'Daily Trends', 'Check-ins', 'Alerts'
+      ]);
+
+      const trends = workbook.getWorksheet('Daily Trends');
+      assert.equal(trends.getCell('A1').value, 'Local Date');
+      assert.deepEqual(trends.getCell('A2').value, new Date('2026-03-02T00:00:00Z'));
+      assert.equal(trends.getCell('B3').value, 4);
+
+      const rows = workbook.getWorksheet('Check-ins');
+      assert.deepEqual(rows.getCell('A2').value, new Date('2026-03-02T08:30:00Z'));
+      assert.equal(rows.getCell('B2').value, 'Ada');
+      assert.equal(rows.getCell('C2').value, '=HYPERLINK("x")');
+      assert.equal(rows.getCell('B3').value, 'Anonymous');
+      assert.equal(rows.getCell('H3').value, true);
+
+      const alertRows = workbook.getWorksheet('Alerts');
+      assert.equal(alertRows.getCell('D2').value, 'low_mood');
+      assert.deepEqual(alertRows.getCell('F2').value, new Date('2026-03-03T11:00:00Z'));
+      assert.equal(alertRows.getCell('G2').value, null);
+    });
+
+    it('writes hourly trend buckets as local date-times', async () => {
+      const hourly = [
+        { date: '2026-03-02T09:00', avg_mood: 3, avg_energy: 3, avg_sentiment: 0, count: 1 },
+        { date: '2026-03-02T14:00', avg_mood: 4, avg_energy: 4, avg_sentiment: 0.4, count: 1 }
+      ];
+      const result = await exportService.writeXLSXReport(analytics('hour', hourly), pagesOf(), [], { teamName: 'Platform' });
+
+      const trends = (await readWorkbook(result.filepath)).getWorksheet('Hourly Trends');
+      assert.equal(trends.getCell('A1').value, 'Local Hour');
+      assert.deepEqual(trends.getCell('A2').value, new Date('2026-03-02T09:00:00Z'));
+      assert.deepEqual(trends.getCell('A3').value, new Date('2026-03-02T14:00:00Z'));
+    });
+  });
+});
+
+describe('exportService.getTrendBuckets', () => {
+  it('labels chart buckets for each granularity', () => {
+    assert.equal(exportService.getTrendBuckets('hour').label('2026-03-02T09:00'), '03-02 09:00');
+    assert.equal(exportService.getTrendBuckets('day').label('2026-03-02'), '03-02');
+    assert.equal(exportService.getTrendBuckets('week').header, 'Week Starting');
+    assert.equal(exportService.getTrendBuckets('month').label('2026-03-01'), '2026-03');
+    assert.equal(exportService.getTrendBuckets(undefined).title, 'Daily Trends');
+  });
+});
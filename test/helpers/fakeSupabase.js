@@ -0,0 +1,61 @@
+/**
+ * In-memory stand-in for the Supabase query builder
+ * Every chained call is recorded on the query; awaiting it resolves with what the table handler returns
+ */
+
+const CHAIN_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'in', 'is', 'gt', 'gte', 'lt', 'lte', 'or', 'not', 'contains',
+  'order', 'range', 'limit', 'single', 'maybeSingle'
+];
+
+/**
+ * Create a fake client
+ * @param {Object} handlers - Table name -> function(query) returning { data, error } (defaults to { data: [], error: null })
+ * @returns {Object} { from, queries } where queries lists every query run, in order
+ */
+function createFakeSupabase(handlers = {}) {
+  const queries = [];
+
+  const from = (table) => {
+    const query = { table, calls: [] };
+
+    // The action is the first insert/update/upsert/delete/select call
+    const builder = {
+      then(resolve, reject) {
+        queries.push(query);
+        const handler = handlers[table];
+        return Promise.resolve(handler ? handler(query) : { data: [], error: null }).then(resolve, reject);
+      }
+    };
+
+    CHAIN_METHODS.forEach(method => {
+      builder[method] = (...args) => {
+        query.calls.push([method, ...args]);
+        if (!query.action && ['select', 'insert', 'update', 'upsert', 'delete'].includes(method)) {
+          query.action = method;
+          query.payload = method === 'select' ? undefined : args[0];
+        }
+        return builder;
+      };
+    });
+
+    return builder;
+  };
+
+  return { from, queries };
+}
+
+/**
+ * Find the value a query filtered a column on
+ * @param {Object} query - Recorded query
+ * @param {string} method - Filter method, e.g. eq
+ * @param {string} column - Column name
+ * @returns {*} Filter value, or undefined
+ */
+function filterValue(query, method, column) {
+  const call = query.calls.find(([name, field]) => name === method && field === column);
+  return call ? call[2] : undefined;
+}
+
+module.exports = { createFakeSupabase, filterValue };
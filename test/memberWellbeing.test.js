@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RISK_WEIGHTS, calculateMemberWellbeing } = require('../src/utils/memberWellbeing');
+
+/**
+ * One check-in a day at noon UTC, starting 2026-03-01
+ * @param {Array} scores - [mood, energy, sentiment] per day
+ * @returns {Array} Check-ins
+ */
+const daily = (scores) => scores.map(([mood, energy, sentiment = null], index) => ({
+  created_at: new Date(Date.UTC(2026, 2, 1 + index, 12)).toISOString(),
+  mood_score: mood,
+  energy_level: energy,
+  sentiment_score: sentiment
+}));
+
+describe('RISK_WEIGHTS', () => {
+  it('adds up to 1', () => {
+    const total = Object.values(RISK_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+    assert.equal(Math.round(total * 1000) / 1000, 1);
+  });
+});
+
+describe('calculateMemberWellbeing', () => {
+  it('reports nothing below the minimum number of check-ins, not counting anonymous ones', () => {
+    const checkIns = [
+      ...daily([[2, 2], [2, 2], [2, 2], [2, 2]]),
+      { created_at: '2026-03-05T12:00:00Z', mood_score: 1, energy_level: 1, is_anonymous: true }
+    ];
+
+    assert.deepEqual(calculateMemberWellbeing(checkIns), {
+      sufficient_data: false,
+      data_points: 4,
+      min_data_points: 5,
+      timezone: 'UTC'
+    });
+  });
+
+  it('rates a steady, positive member as low risk', () => {
+    const wellbeing = calculateMemberWellbeing(daily(Array(10).fill([4, 4, 0.5])));
+
+    assert.equal(wellbeing.sufficient_data, true);
+    assert.equal(wellbeing.data_points, 10);
+    assert.equal(wellbeing.trend.direction, 'stable');
+    assert.equal(wellbeing.trend.mood_per_week, 0);
+    assert.equal(wellbeing.streaks.current_low, 0);
+    assert.deepEqual({ score: wellbeing.burnout_risk.score, level: wellbeing.burnout_risk.level }, { score: 0, level: 'low' });
+  });
+
+  it('rates a sustained decline into low scores as high risk', () => {
+    const wellbeing = calculateMemberWellbeing(daily([
+      [5, 5, 0.6], [5, 4, 0.4], [4, 4, 0.3], [4, 3, 0.1], [3, 3, 0],
+      [3, 2, -0.2], [2, 2, -0.3], [2, 1, -0.5], [1, 1, -0.6], [1, 1, -0.7]
+    ]));
+
+    assert.equal(wellbeing.trend.direction, 'declining');
+    assert.ok(wellbeing.trend.mood_per_week < -2);
+    assert.equal(wellbeing.streaks.current_low, 5);
+    assert.equal(wellbeing.burnout_risk.factors.low_streak.value, 1);
+    assert.equal(wellbeing.burnout_risk.factors.decline.value, 1);
+    assert.equal(wellbeing.burnout_risk.level, 'high');
+  });
+
+  it('tracks the current and the longest run of low check-ins', () => {
+    const wellbeing = calculateMemberWellbeing(daily([[2, 4], [3, 1], [1, 1], [4, 4], [2, 3], [3, 2]]));
+    assert.deepEqual(wellbeing.streaks, { low_score: 2, current_low: 2, longest_low: 3 });
+  });
+
+  it('averages over the trailing rolling window of calendar days', () => {
+    const wellbeing = calculateMemberWellbeing(daily([[1, 1], [1, 1], [1, 1], [5, 5], [5, 5], [5, 5]]), { rollingDays: 3 });
+    const last = wellbeing.daily[wellbeing.daily.length - 1];
+
+    assert.equal(last.rolling_mood, 5);
+    assert.equal(wellbeing.recent.average_mood, 5);
+    assert.equal(wellbeing.daily[3].rolling_mood, 2.33);
+  });
+
+  it('groups check-ins by the local day', () => {
+    const checkIns = daily(Array(5).fill([4, 4]))
+      .map(checkIn => ({ ...checkIn, created_at: checkIn.created_at.replace('T12', 'T23') }));
+    const wellbeing = calculateMemberWellbeing(checkIns, { timezone: 'Asia/Tokyo' });
+
+    assert.equal(wellbeing.timezone, 'Asia/Tokyo');
+    assert.equal(wellbeing.daily[0].date, '2026-03-02');
+  });
+});
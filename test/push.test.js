@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const webpush = require('web-push');
+const supabase = require('../config/supabase');
+const pushService = require('../src/services/pushService');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const token = (device_id, endpoint) => ({
+  id: `token-${device_id}`,
+  device_id,
+  endpoint,
+  keys: { p256dh: 'key', auth: 'auth' }
+});
+
+describe('pushService.isAllowedEndpoint', () => {
+  it('accepts https endpoints of the browser push services', () => {
+    [
+      'https://fcm.googleapis.com/fcm/send/abc',
+      'https://updates.push.services.mozilla.com/wpush/v2/abc',
+      'https://web.push.apple.com/QGx',
+      'https://db5p.notify.windows.com/w/?token=abc'
+    ].forEach(endpoint => assert.equal(pushService.isAllowedEndpoint(endpoint), true, endpoint));
+  });
+
+  it('refuses internal addresses, other hosts, ports and plain http', () => {
+    [
+      'https://10.0.0.5/push',
+      'https://169.254.169.254/latest/meta-data',
+      'https://localhost:8443/push',
+      'https://fcm.googleapis.com.evil.example/push',
+      'https://evilfcm.googleapis.com.example/push',
+      'https://fcm.googleapis.com:8443/fcm/send/abc',
+      'http://fcm.googleapis.com/fcm/send/abc',
+      'not a url'
+    ].forEach(endpoint => assert.equal(pushService.isAllowedEndpoint(endpoint), false, endpoint));
+  });
+});
+
+describe('pushService.buildPayload', () => {
+  it('links alerts to their page and shortens long bodies', () => {
+    const payload = pushService.buildPayload({
+      type: 'team_alert',
+      team_id: 'team-1',
+      alert_id: 'alert-1',
+      title: 'Low mood',
+      content: 'x'.repeat(200),
+      severity: 'warning'
+    });
+
+    assert.equal(payload.body.length, 140);
+    assert.equal(payload.tag, 'alert-alert-1');
+    assert.equal(payload.data.url, `${pushService.frontendUrl}/teams/team-1/alerts/alert-1`);
+  });
+});
+
+describe('pushService.sendToUser', () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = createFakeSupabase();
+    mock.method(supabase, 'from', fake.from);
+    mock.method(pushService, 'configure', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('sends to every device and prunes gone and non push-service tokens', async () => {
+    mock.method(pushService, 'getTokens', async () => [
+      token('phone', 'https://fcm.googleapis.com/fcm/send/1'),
+      token('old', 'https://fcm.googleapis.com/fcm/send/2'),
+      token('internal', 'https://10.0.0.5/push')
+    ]);
+    const send = mock.method(webpush, 'sendNotification', async ({ endpoint }) => {
+      if (endpoint.endsWith('/2')) {
+        throw Object.assign(new Error('Gone'), { statusCode: 410 });
+      }
+      return { statusCode: 201 };
+    });
+
+    const result = await pushService.sendToUser('user-1', { type: 'team_alert', title: 'Hi', severity: 'critical' });
+
+    assert.deepEqual(result, { sent: 1, failed: 0, pruned: 2, errors: [] });
+    assert.equal(send.mock.callCount(), 2);
+    assert.equal(send.mock.calls[0].arguments[2].urgency, 'high');
+    assert.deepEqual(
+      fake.queries.filter(query => query.action === 'delete').map(query => query.calls[1][2]),
+      ['token-old', 'token-internal']
+    );
+  });
+
+  it('does not pass push service responses on in its errors', async () => {
+    mock.method(pushService, 'getTokens', async () => [token('phone', 'https://fcm.googleapis.com/fcm/send/1')]);
+    mock.method(webpush, 'sendNotification', async () => {
+      throw Object.assign(new Error('Received unexpected response code'), { statusCode: 500, body: '<html>internal</html>' });
+    });
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(
+      pushService.sendToUser('user-1', { type: 'team_alert', title: 'Hi' }),
+      (error) => error.message === 'Push delivery failed: Push service responded with HTTP 500'
+    );
+  });
+
+  it('fails when the user has no devices', async () => {
+    mock.method(pushService, 'getTokens', async () => []);
+    await assert.rejects(pushService.sendToUser('user-1', { title: 'Hi' }), /No registered push devices/);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const notificationService = require('../src/services/notificationService');
+const { schemas } = require('../middleware/validation');
+
+const notification = { type: 'team_alert', severity: 'warning' };
+const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+describe('notificationService.getQuietHoursRelease', () => {
+  // 23:30 in Tokyo, 15:30 in Berlin
+  const now = new Date('2026-03-10T14:30:00Z');
+
+  it('falls back to the profile timezone when quiet hours have none', () => {
+    const release = notificationService.getQuietHoursRelease(quietHours, notification, now, 'Asia/Tokyo');
+    assert.equal(release.toISOString(), '2026-03-10T22:00:00.000Z');
+  });
+
+  it('prefers the quiet hours timezone over the profile', () => {
+    const release = notificationService.getQuietHoursRelease(
+      { ...quietHours, timezone: 'Europe/Berlin' }, notification, now, 'Asia/Tokyo'
+    );
+    assert.equal(release, null);
+  });
+
+  it('lets critical notifications through when allowed', () => {
+    const release = notificationService.getQuietHoursRelease(
+      { ...quietHours, allow_critical: true }, { ...notification, severity: 'critical' }, now, 'Asia/Tokyo'
+    );
+    assert.equal(release, null);
+  });
+});
+
+describe('notificationPreferences schema', () => {
+  const validate = (body, profileTimezone) => schemas.notificationPreferences.validate(body, {
+    context: { profileTimezone }
+  });
+
+  it('only requires a quiet hours timezone when the profile has none', () => {
+    assert.equal(validate({ quiet_hours: quietHours }, 'Europe/Berlin').error, undefined);
+    assert.match(validate({ quiet_hours: quietHours }, null).error.message, /quiet_hours.timezone is required/);
+  });
+
+  it('only requires a digest timezone when the profile has none', () => {
+    const digest = { frequency: 'daily', daily_at: '09:00' };
+    assert.equal(validate({ digest }, 'Europe/Berlin').error, undefined);
+    assert.match(validate({ digest }).error.message, /digest.timezone is required/);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBackoffDelay, isRetryableHttpError, withRetry } = require('../src/utils/retry');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  response: { status, headers }
+});
+
+describe('getBackoffDelay', () => {
+  it('doubles the ceiling per attempt with jitter in its upper half', () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = getBackoffDelay(2, 100, 30000);
+      assert.ok(delay >= 200 && delay <= 400, `delay ${delay} out of range`);
+    }
+  });
+
+  it('never exceeds the maximum delay', () => {
+    assert.ok(getBackoffDelay(20, 500, 1000) <= 1000);
+  });
+});
+
+describe('isRetryableHttpError', () => {
+  it('retries network errors, 429 and 5xx', () => {
+    assert.equal(isRetryableHttpError(new Error('ECONNRESET')), true);
+    assert.equal(isRetryableHttpError(httpError(429)), true);
+    assert.equal(isRetryableHttpError(httpError(503)), true);
+  });
+
+  it('does not retry other client errors', () => {
+    assert.equal(isRetryableHttpError(httpError(400)), false);
+    assert.equal(isRetryableHttpError(httpError(404)), false);
+  });
+});
+
+describe('withRetry', () => {
+  it('returns the first successful result', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw httpError(500);
+      return 'ok';
+    }, { baseDelayMs: 1, maxDelayMs: 2 });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  it('gives up after the retries and reports the attempts', async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(async () => {
+        calls++;
+        throw httpError(502);
+      }, { retries: 2, baseDelayMs: 1, maxDelayMs: 2 }),
+      (error) => error.attempts === 3
+    );
+    assert.equal(calls, 3);
+  });
+
+  it('fails straight away on permanent errors', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw httpError(401);
+    }, { baseDelayMs: 1 }));
+    assert.equal(calls, 1);
+  });
+
+  it('caps Retry-After at the maximum delay', async () => {
+    const started = Date.now();
+    let calls = 0;
+    await withRetry(async () => {
+      calls++;
+      if (calls === 1) throw httpError(429, { 'retry-after': '120' });
+      return 'ok';
+    }, { maxDelayMs: 20 });
+
+    assert.ok(Date.now() - started < 1000);
+  });
+});
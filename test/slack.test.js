@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const slackService = require('../src/services/slackService');
+
+const webhookUrl = 'https://hooks.slack.com/services/T000/B000/secretpart';
+
+describe('slackService.redactTeamSettings', () => {
+  it('masks the webhook secret and keeps the other settings', () => {
+    const settings = { timezone: 'Europe/Berlin', slack: { webhook_url: webhookUrl, enabled: true } };
+    const redacted = slackService.redactTeamSettings(settings);
+
+    assert.equal(redacted.slack.webhook_url, 'https://hooks.slack.com/services/T000/B000/••••••••');
+    assert.equal(redacted.slack.enabled, true);
+    assert.equal(redacted.timezone, 'Europe/Berlin');
+    // The stored settings are left alone
+    assert.equal(settings.slack.webhook_url, webhookUrl);
+  });
+
+  it('passes settings without Slack through', () => {
+    assert.deepEqual(slackService.redactTeamSettings({ timezone: 'UTC' }), { timezone: 'UTC' });
+    assert.equal(slackService.redactTeamSettings(null), null);
+  });
+});
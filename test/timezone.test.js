@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimezone,
+  isValidDateString,
+  resolveTimezone,
+  getZonedParts,
+  getZonedBucketStart,
+  getZonedDateString,
+  getZonedTimeString,
+  getTimezoneOffset,
+  getZonedDayStart,
+  getZonedDateBounds
+} = require('../src/utils/timezone');
+
+describe('isValidTimezone', () => {
+  it('accepts IANA zone names', () => {
+    assert.equal(isValidTimezone('Europe/Berlin'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+  });
+
+  it('rejects unknown names and non-strings', () => {
+    assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimezone(''), false);
+    assert.equal(isValidTimezone(null), false);
+    assert.equal(isValidTimezone(42), false);
+  });
+});
+
+describe('getZonedParts', () => {
+  it('returns the local wall-clock parts of an instant', () => {
+    // 2026-03-01 is a Sunday; 23:30 UTC is already Monday in Tokyo
+    const parts = getZonedParts(new Date('2026-03-01T23:30:00Z'), 'Asia/Tokyo');
+    assert.deepEqual(parts, { year: 2026, month: 3, day: 2, hour: 8, minute: 30, second: 0, weekday: 1 });
+  });
+
+  it('uses 0-23 hours at midnight', () => {
+    assert.equal(getZonedParts(new Date('2026-03-02T00:00:00Z'), 'UTC').hour, 0);
+  });
+});
+
+describe('getZonedDateString and getZonedTimeString', () => {
+  it('format the local date and time', () => {
+    const instant = new Date('2026-07-01T02:15:00Z');
+    assert.equal(getZonedDateString(instant, 'America/New_York'), '2026-06-30');
+    assert.equal(getZonedTimeString(instant, 'America/New_York'), '22:15');
+  });
+});
+
+describe('getTimezoneOffset', () => {
+  it('follows daylight saving time', () => {
+    assert.equal(getTimezoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin'), 60 * 60 * 1000);
+    assert.equal(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin'), 2 * 60 * 60 * 1000);
+    assert.equal(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York'), -4 * 60 * 60 * 1000);
+  });
+});
+
+describe('getZonedDayStart', () => {
+  it('returns the UTC instant of local midnight', () => {
+    const start = getZonedDayStart(new Date('2026-03-05T15:00:00Z'), 'America/New_York');
+    assert.equal(start.toISOString(), '2026-03-05T05:00:00.000Z');
+  });
+
+  it('handles days that start right after a DST switch', () => {
+    // New York moves to EDT at 02:00 on 2026-03-08; the day still starts at 05:00 UTC
+    const start = getZonedDayStart(new Date('2026-03-08T18:00:00Z'), 'America/New_York');
+    assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+
+    const next = getZonedDayStart(new Date('2026-03-09T18:00:00Z'), 'America/New_York');
+    assert.equal(next.toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+});
+
+describe('resolveTimezone', () => {
+  it('picks the first valid candidate and skips missing ones', () => {
+    assert.equal(resolveTimezone(null, 'Nowhere/Else', 'Asia/Tokyo', 'Europe/Berlin'), 'Asia/Tokyo');
+    assert.equal(resolveTimezone(undefined, ''), 'UTC');
+  });
+});
+
+describe('getZonedBucketStart', () => {
+  // Wednesday 2026-03-11 00:30 in Berlin, still Tuesday in UTC
+  const instant = new Date('2026-03-10T23:30:00Z');
+
+  it('buckets by the local hour, day, week and month', () => {
+    assert.equal(getZonedBucketStart(instant, 'Europe/Berlin', 'hour'), '2026-03-11T00:00');
+    assert.equal(getZonedBucketStart(instant, 'Europe/Berlin', 'day'), '2026-03-11');
+    assert.equal(getZonedBucketStart(instant, 'Europe/Berlin', 'week'), '2026-03-09');
+    assert.equal(getZonedBucketStart(instant, 'Europe/Berlin', 'month'), '2026-03-01');
+    assert.equal(getZonedBucketStart(instant, 'UTC', 'day'), '2026-03-10');
+  });
+
+  it('starts weeks on Monday, including for Sundays', () => {
+    assert.equal(getZonedBucketStart(new Date('2026-03-15T12:00:00Z'), 'UTC', 'week'), '2026-03-09');
+  });
+});
+
+describe('isValidDateString', () => {
+  it('accepts only real YYYY-MM-DD dates', () => {
+    assert.equal(isValidDateString('2026-02-28'), true);
+    assert.equal(isValidDateString('2026-02-30'), false);
+    assert.equal(isValidDateString('2026-03'), false);
+    assert.equal(isValidDateString('2026-03-01T10:00:00Z'), false);
+    assert.equal(isValidDateString(null), false);
+  });
+});
+
+describe('getZonedDateBounds', () => {
+  it('spans the local day, which is 23 hours on a DST switch', () => {
+    const { start, end } = getZonedDateBounds('2026-03-08', 'America/New_York');
+    assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+
+  it('throws on timestamps and partial dates instead of guessing', () => {
+    assert.throws(() => getZonedDateBounds('2026-03-01T10:00:00Z', 'UTC'), /Invalid local date/);
+    assert.throws(() => getZonedDateBounds('2026-03', 'UTC'), /Invalid local date/);
+  });
+});
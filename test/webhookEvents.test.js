@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The services build a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const supabase = require('../config/supabase');
+const webhookService = require('../src/services/webhookService');
+const pubsubService = require('../src/services/pubsubService');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const checkIn = { id: 'checkin-1', mood_score: 4, energy_level: 3, sentiment_label: 'POSITIVE', is_anonymous: false };
+
+describe('webhookService.getEventId', () => {
+  it('gives an event about the same row the same ID', () => {
+    const id = webhookService.getEventId('checkin_submitted', 'checkin-1');
+
+    assert.match(id, /^evt_[0-9a-f]{32}$/);
+    assert.equal(webhookService.getEventId('checkin_submitted', 'checkin-1'), id);
+    assert.notEqual(webhookService.getEventId('insight_generated', 'checkin-1'), id);
+    assert.notEqual(webhookService.getEventId('checkin_submitted', 'checkin-2'), id);
+  });
+
+  it('falls back to a random ID for events without a source row', () => {
+    assert.notEqual(webhookService.getEventId('team_activity'), webhookService.getEventId('team_activity'));
+  });
+});
+
+describe('pubsubService webhook dispatch', () => {
+  let dispatch;
+
+  beforeEach(() => {
+    mock.method(supabase, 'from', createFakeSupabase({
+      profiles: () => ({ data: { id: 'user-1', full_name: 'Ada' }, error: null })
+    }).from);
+    dispatch = mock.method(webhookService, 'dispatchEvent', async () => 1);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('dispatches a check-in and its activity once each, keyed by the check-in', async () => {
+    await pubsubService.publishCheckInEvent('team-1', checkIn, 'user-1');
+
+    assert.deepEqual(
+      dispatch.mock.calls.map(call => [call.arguments[1], call.arguments[3]]),
+      [['checkin_submitted', 'checkin-1'], ['team_activity', 'checkin_submitted:checkin-1']]
+    );
+  });
+
+  it('leaves webhooks to the writer when relaying a database change', async () => {
+    await pubsubService.publishCheckInEvent('team-1', checkIn, 'user-1', { webhooks: false });
+    await pubsubService.publishInsightEvent('team-1', { id: 'alert-1', insight_type: 'alert' }, null, { webhooks: false });
+
+    assert.equal(dispatch.mock.callCount(), 0);
+  });
+
+  it('keys alert events by the alert', async () => {
+    await pubsubService.publishAlertEvent('team-1', { id: 'alert-1', title: 'Low mood', severity: 'warning' });
+
+    assert.deepEqual(
+      dispatch.mock.calls.map(call => [call.arguments[1], call.arguments[3]]),
+      [['alert_triggered', 'alert-1'], ['team_activity', 'alert_triggered:alert-1']]
+    );
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service builds a Supabase client on load; no request is made by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const webhookService = require('../src/services/webhookService');
+
+describe('webhookService.isPublicAddress', () => {
+  it('rejects loopback, private, link-local and unique-local addresses', () => {
+    [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+      '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+    ].forEach(address => assert.equal(webhookService.isPublicAddress(address), false, address));
+  });
+
+  it('accepts public addresses', () => {
+    ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']
+      .forEach(address => assert.equal(webhookService.isPublicAddress(address), true, address));
+  });
+
+  it('rejects values that are not IP addresses', () => {
+    assert.equal(webhookService.isPublicAddress('example.com'), false);
+  });
+});
+
+describe('webhookService.validateTargetUrl', () => {
+  it('rejects URLs pointing at internal addresses', async () => {
+    await assert.rejects(webhookService.validateTargetUrl('https://127.0.0.1/hook'), /private or internal/);
+    await assert.rejects(webhookService.validateTargetUrl('https://169.254.169.254/latest/meta-data'), /private or internal/);
+    await assert.rejects(webhookService.validateTargetUrl('https://[::1]:8443/hook'), /private or internal/);
+  });
+
+  it('accepts https URLs on public addresses', async () => {
+    assert.equal(await webhookService.validateTargetUrl('https://8.8.8.8/hook'), true);
+  });
+
+  it('only accepts http when explicitly allowed', async () => {
+    const { allowHttp } = webhookService;
+    try {
+      webhookService.allowHttp = false;
+      await assert.rejects(webhookService.validateTargetUrl('http://8.8.8.8/hook'), /https/);
+
+      webhookService.allowHttp = true;
+      assert.equal(await webhookService.validateTargetUrl('http://8.8.8.8/hook'), true);
+    } finally {
+      webhookService.allowHttp = allowHttp;
+    }
+  });
+
+  it('rejects other schemes and malformed URLs', async () => {
+    await assert.rejects(webhookService.validateTargetUrl('ftp://8.8.8.8/hook'), /https/);
+    await assert.rejects(webhookService.validateTargetUrl('not a url'), /valid URL/);
+  });
+});